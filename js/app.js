@@ -1,7 +1,39 @@
 // Main application orchestration
 // Coordinates data loading, chart initialization, and slider interaction
 
+// Station manifest listing every processed station (paths are relative to data/)
+const STATION_MANIFEST_FILE = 'stations.json';
+
+// Used when the manifest is missing, e.g. on deployments from before it existed
+const FALLBACK_STATION = {
+    id: 'USC00059175',
+    name: 'Winter Park',
+    file: 'snowfall-data.compact.json',
+    attribution: 'NOAA Winter Park Station USC00059175'
+};
+
+const DEFAULT_METHODOLOGY = 'Daily snowfall from NOAA GHCND SNOW measurements, cumulative totals calculated per season';
+
+// Estimators offered for stations whose snowfall is derived from snow depth
+const SNOWFALL_ESTIMATOR_LABELS = {
+    naive: 'Depth increase',
+    settling: 'Settling-aware'
+};
+
 let appState = {
+    stations: [],
+    currentStation: null,
+    loadingStationId: null,
+    comparison: null, // { station, season, loadedSeasons, precision, seasons } for the overlaid second station
+    loadingComparisonId: null,
+    estimator: null, // Estimator chosen for depth-derived seasons, null for the one in the data file
+    loadedSeasons: [], // Seasons as loaded, before any re-estimation
+    loadedPrecision: null, // Decimal places of the loaded file's cumulative totals
+    season: null, // Season window of the current station's data file (see js/season-calendar.js)
+    showPartialSeasons: true, // Whether seasons tagged "partial-historical" are charted
+    showTemperatures: false, // Whether the highlighted season shows its daily temperatures
+    showWaterEquivalent: false, // Whether cumulative water equivalent is drawn next to snowfall
+    yearRange: null, // { startYear, endYear } selected on the slider
     allSeasons: [],
     filteredSeasons: [],
     chart: null,
@@ -24,30 +56,14 @@ async function init() {
         // Show loading indicator
         showLoading();
 
-        // Load snowfall data
-        console.log('Loading snowfall data...');
-        const data = await loadSnowfallData();
-
-        if (!data || !data.seasons || !Array.isArray(data.seasons)) {
-            throw new Error('Invalid data format received');
-        }
-
-        appState.allSeasons = data.seasons;
-        appState.filteredSeasons = [...data.seasons]; // Start with all seasons
-
-        console.log(`Loaded ${data.seasons.length} seasons of data`);
-
-        // Get data bounds for slider initialization
-        const minYear = Math.min(...data.seasons.map(s => s.startYear));
-        const maxYear = Math.max(...data.seasons.map(s => s.startYear));
-
-        console.log(`Data range: ${minYear}-${maxYear}`);
+        // Load the station list and pick the station to chart
+        const manifest = await loadStationManifest();
+        appState.stations = manifest.stations;
+        const station = pickInitialStation(manifest);
 
-        // Initialize slider with data bounds
-        initSlider('year-slider-container', minYear, maxYear, onSliderChange);
+        renderStationPicker('station-picker-container', appState.stations, station.id, onStationChange);
 
-        // Initialize chart with all seasons
-        appState.chart = initChart('snowfall-chart', appState.filteredSeasons);
+        await showStation(station);
 
         // Mark as loaded and hide loading indicator
         appState.isLoaded = true;
@@ -63,34 +79,661 @@ async function init() {
 }
 
 /**
- * Load snowfall data from static JSON file
- * @returns {Promise<Object>} Parsed JSON data
+ * Load a station's season data and draw it
+ * Re-initializes the slider for the station's year range and updates the footer attribution
+ * @param {Object} station - Station manifest entry
+ * @returns {Promise<void>}
  */
-async function loadSnowfallData() {
-    const timeout = 30000; // 30 second timeout for large file
+async function showStation(station) {
+    appState.loadingStationId = station.id;
+
+    // Load snowfall data
+    console.log(`Loading snowfall data for ${station.name}...`);
+    const data = await loadSnowfallData(station.file);
+
+    if (appState.loadingStationId !== station.id) {
+        return; // A newer station selection superseded this one
+    }
+
+    if (!data || !data.seasons || !Array.isArray(data.seasons)) {
+        throw new Error('Invalid data format received');
+    }
+
+    appState.currentStation = station;
+    appState.loadedSeasons = data.seasons;
+    appState.loadedPrecision = getDataPrecision(data);
+    appState.season = getDataSeason(data);
+    appState.allSeasons = estimateSeasons(data.seasons, appState.loadedPrecision);
+
+    // A station cannot be compared with itself, nor with one whose seasons cover other dates
+    let compareNotice = '';
+    if (appState.comparison && appState.comparison.station.id === station.id) {
+        appState.comparison = null;
+    } else if (appState.comparison && !isSameSeason(appState.comparison.season, appState.season)) {
+        compareNotice = `${appState.comparison.station.name} uses ${describeSeason(appState.comparison.season)} seasons, ` +
+            `not ${describeSeason(appState.season)}; it cannot be overlaid`;
+        appState.comparison = null;
+    }
+
+    console.log(`Loaded ${data.seasons.length} seasons of data`);
+
+    // Get data bounds for slider initialization
+    const minYear = Math.min(...data.seasons.map(s => s.startYear));
+    const maxYear = Math.max(...data.seasons.map(s => s.startYear));
+
+    console.log(`Data range: ${minYear}-${maxYear}`);
+
+    // Start with all seasons in range
+    appState.yearRange = { startYear: minYear, endYear: maxYear };
+    appState.filteredSeasons = filterDisplayedSeasons();
+
+    // Initialize slider with data bounds
+    initSlider('year-slider-container', minYear, maxYear, onSliderChange);
+
+    // Initialize chart with all seasons, or redraw the existing one
+    if (appState.chart) {
+        updateChart(appState.chart, appState.filteredSeasons, getComparisonSeries(), appState.season);
+    } else {
+        appState.chart = initChart('snowfall-chart', appState.filteredSeasons, getComparisonSeries(), appState.season,
+            { waterEquivalent: appState.showWaterEquivalent });
+    }
+
+    renderComparePicker('compare-picker-container', appState.stations, station.id, onComparisonChange);
+    if (compareNotice) {
+        updateCompareLegend(compareNotice);
+    }
+    renderEstimatorPicker('estimator-picker-container', data.seasons, onEstimatorChange);
+    renderPartialSeasonsToggle('partial-toggle-container', data.seasons, onPartialSeasonsToggle);
+    renderTemperatureToggle('temperature-toggle-container', data.seasons, onTemperatureToggle);
+    renderWaterEquivalentToggle('water-toggle-container', data.seasons, onWaterEquivalentToggle);
+    updateAttribution(station, data, appState.season);
+    renderDataDetails('data-details', data);
+}
+
+/**
+ * Handle a station picker change
+ * @param {string} stationId - ID of the selected station
+ */
+async function onStationChange(stationId) {
+    const station = appState.stations.find(s => s.id === stationId);
+    if (!station || (appState.currentStation && appState.currentStation.id === stationId)) {
+        return;
+    }
+
+    const select = document.getElementById('station-select');
+    if (select) {
+        select.disabled = true;
+    }
 
     try {
-        // Build a data URL that works both on GitHub Pages and when loaded without a trailing slash
-        // Example: https://example.github.io/repo (no slash) should still resolve to
-        // https://example.github.io/repo/data/snowfall-data.json instead of https://example.github.io/data/...
-        let dataUrl = 'data/snowfall-data.json';
-
-        if (typeof window !== 'undefined' && window.location) {
-            const { origin, pathname } = window.location;
-            // Remove filename (like index.html) from pathname if present
-            let basePath = pathname;
-            if (basePath.includes('/index.html')) {
-                basePath = basePath.replace('/index.html', '');
-            }
-            // Ensure base path ends with / for proper URL resolution
-            if (!basePath.endsWith('/')) {
-                basePath = `${basePath}/`;
+        await showStation(station);
+        updateStationQuery(station.id);
+    } catch (error) {
+        console.error(`Failed to load station ${station.id}:`, error);
+        showLoading();
+        showError(error.message || `Failed to load data for ${station.name}.`);
+    } finally {
+        if (select) {
+            select.disabled = false;
+        }
+    }
+}
+
+/**
+ * Handle a comparison station change
+ * Loads the second station's seasons and overlays them on the chart. Seasons are matched
+ * by start year and drawn by day of season, so a station with another season window is
+ * refused instead of being drawn shifted.
+ * @param {string} stationId - ID of the station to compare with, or "" for none
+ */
+async function onComparisonChange(stationId) {
+    const station = appState.stations.find(s => s.id === stationId);
+    appState.loadingComparisonId = station ? station.id : null;
+
+    if (!station) {
+        appState.comparison = null;
+        updateChart(appState.chart, appState.filteredSeasons);
+        updateCompareLegend();
+        return;
+    }
+
+    try {
+        const data = await loadSnowfallData(station.file);
+
+        if (appState.loadingComparisonId !== station.id) {
+            return; // A newer comparison selection superseded this one
+        }
+        if (!data || !Array.isArray(data.seasons)) {
+            throw new Error('Invalid data format received');
+        }
+
+        const season = getDataSeason(data);
+        if (!isSameSeason(season, appState.season)) {
+            appState.comparison = null;
+            const select = document.getElementById('compare-select');
+            if (select) {
+                select.value = '';
             }
-            const baseHref = `${origin}${basePath}`;
+            updateChart(appState.chart, appState.filteredSeasons);
+            updateCompareLegend(`${station.name} uses ${describeSeason(season)} seasons, not ` +
+                `${describeSeason(appState.season)}; it cannot be overlaid`);
+            return;
+        }
 
-            dataUrl = new URL('data/snowfall-data.json', baseHref).href;
+        const precision = getDataPrecision(data);
+        appState.comparison = { station, season, loadedSeasons: data.seasons, precision, seasons: estimateSeasons(data.seasons, precision) };
+        updateChart(appState.chart, appState.filteredSeasons, getComparisonSeries());
+        updateCompareLegend();
+    } catch (error) {
+        console.error(`Failed to load comparison station ${station.id}:`, error);
+        showLoading();
+        showError(error.message || `Failed to load data for ${station.name}.`);
+    }
+}
+
+/**
+ * Handle a snowfall estimator change
+ * Re-estimates depth-derived seasons of both stations and keeps the displayed year range
+ * @param {string} estimator - Estimator name (see SNOWFALL_ESTIMATOR_LABELS)
+ */
+function onEstimatorChange(estimator) {
+    appState.estimator = estimator;
+
+    appState.allSeasons = estimateSeasons(appState.loadedSeasons, appState.loadedPrecision);
+    appState.filteredSeasons = filterDisplayedSeasons();
+
+    if (appState.comparison) {
+        appState.comparison.seasons = estimateSeasons(appState.comparison.loadedSeasons, appState.comparison.precision);
+    }
+
+    if (appState.chart) {
+        updateChart(appState.chart, appState.filteredSeasons, getComparisonSeries());
+    }
+}
+
+/**
+ * Handle the "show partial seasons" toggle
+ * @param {boolean} show - Whether partial historical seasons are charted
+ */
+function onPartialSeasonsToggle(show) {
+    appState.showPartialSeasons = show;
+    appState.filteredSeasons = filterDisplayedSeasons();
+
+    if (appState.chart) {
+        updateChart(appState.chart, appState.filteredSeasons, getComparisonSeries());
+    }
+}
+
+/**
+ * Handle the temperature overlay toggle
+ * @param {boolean} show - Whether the highlighted season shows its daily temperatures
+ */
+function onTemperatureToggle(show) {
+    appState.showTemperatures = show;
+    setTemperatureOverlay(appState.chart, show);
+}
+
+/**
+ * Handle the water equivalent toggle
+ * @param {boolean} show - Whether cumulative water equivalent is drawn next to snowfall
+ */
+function onWaterEquivalentToggle(show) {
+    appState.showWaterEquivalent = show;
+
+    if (appState.chart) {
+        updateChart(appState.chart, appState.filteredSeasons, getComparisonSeries(), null, { waterEquivalent: show });
+    }
+}
+
+/**
+ * Get the seasons to chart for the selected year range and partial season setting
+ * @returns {Object[]} Seasons to display
+ */
+function filterDisplayedSeasons() {
+    if (!appState.yearRange) {
+        return [...appState.allSeasons];
+    }
+
+    const { startYear, endYear } = appState.yearRange;
+    return filterSeasonsByRange(appState.allSeasons, startYear, endYear, { includePartial: appState.showPartialSeasons });
+}
+
+/**
+ * Apply the chosen snowfall estimator to loaded seasons
+ * @param {Object[]} seasons - Seasons as loaded
+ * @param {number|null} precision - Decimal places of the file's cumulative totals (getDataPrecision())
+ * @returns {Object[]} Seasons to display
+ */
+function estimateSeasons(seasons, precision) {
+    return appState.estimator ? applySnowfallEstimator(seasons, appState.estimator, undefined, precision) : seasons;
+}
+
+/**
+ * Get the comparison station's seasons matching the displayed seasons, in chart form
+ * @returns {Object|null} { stationName, primaryStationName, seasons } or null without a comparison
+ */
+function getComparisonSeries() {
+    if (!appState.comparison || !appState.currentStation) {
+        return null;
+    }
+
+    const displayedYears = new Set(appState.filteredSeasons.map(s => s.startYear));
+
+    return {
+        stationName: appState.comparison.station.name,
+        primaryStationName: appState.currentStation.name,
+        seasons: appState.comparison.seasons.filter(s => displayedYears.has(s.startYear))
+    };
+}
+
+/**
+ * Build a data URL that works both on GitHub Pages and when loaded without a trailing slash
+ * Example: https://example.github.io/repo (no slash) should still resolve to
+ * https://example.github.io/repo/data/snowfall-data.json instead of https://example.github.io/data/...
+ * @param {string} relativePath - Path relative to the site root, e.g. "data/stations.json"
+ * @returns {string} Absolute URL (or the relative path outside a browser)
+ */
+function resolveDataUrl(relativePath) {
+    if (typeof window === 'undefined' || !window.location) {
+        return relativePath;
+    }
+
+    const { origin, pathname } = window.location;
+    // Remove filename (like index.html) from pathname if present
+    let basePath = pathname;
+    if (basePath.includes('/index.html')) {
+        basePath = basePath.replace('/index.html', '');
+    }
+    // Ensure base path ends with / for proper URL resolution
+    if (!basePath.endsWith('/')) {
+        basePath = `${basePath}/`;
+    }
+    const baseHref = `${origin}${basePath}`;
+
+    return new URL(relativePath, baseHref).href;
+}
+
+/**
+ * Load the station manifest
+ * Falls back to the single Winter Park data file when the manifest is missing or empty
+ * @returns {Promise<{defaultStation: string, stations: Object[]}>} Station manifest
+ */
+async function loadStationManifest() {
+    try {
+        const response = await fetch(resolveDataUrl(`data/${STATION_MANIFEST_FILE}`), { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        if (!Array.isArray(manifest.stations) || manifest.stations.length === 0) {
+            throw new Error('manifest lists no stations');
+        }
+
+        return manifest;
+    } catch (error) {
+        console.warn(`Station manifest unavailable (${error.message}), showing ${FALLBACK_STATION.name} only`);
+        return { defaultStation: FALLBACK_STATION.id, stations: [FALLBACK_STATION] };
+    }
+}
+
+/**
+ * Pick the station to show first: ?station= in the URL, then the manifest default, then the first entry
+ * @param {{defaultStation: string, stations: Object[]}} manifest - Station manifest
+ * @returns {Object} Station manifest entry
+ */
+function pickInitialStation(manifest) {
+    const requested = typeof window !== 'undefined' && window.location
+        ? new URLSearchParams(window.location.search).get('station')
+        : null;
+
+    return manifest.stations.find(s => s.id === requested) ||
+        manifest.stations.find(s => s.id === manifest.defaultStation) ||
+        manifest.stations[0];
+}
+
+/**
+ * Render the station picker
+ * @param {string} containerId - ID of the container element
+ * @param {Object[]} stations - Station manifest entries
+ * @param {string} selectedId - ID of the initially selected station
+ * @param {function} onChange - Called with the station ID when the selection changes
+ */
+function renderStationPicker(containerId, stations, selectedId, onChange) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = `
+        <label class="station-label" for="station-select">Station</label>
+        <select class="station-select" id="station-select"></select>
+    `;
+
+    const select = document.getElementById('station-select');
+    stations.forEach(station => {
+        const option = document.createElement('option');
+        option.value = station.id;
+        option.textContent = station.elevation
+            ? `${station.name} (${station.elevation.toLocaleString('en-US')} ft)`
+            : station.name;
+        option.selected = station.id === selectedId;
+        select.appendChild(option);
+    });
+
+    select.disabled = stations.length < 2;
+    select.addEventListener('change', (event) => onChange(event.target.value));
+}
+
+/**
+ * Render the "compare with" picker listing every station except the displayed one
+ * @param {string} containerId - ID of the container element
+ * @param {Object[]} stations - Station manifest entries
+ * @param {string} currentId - ID of the displayed station
+ * @param {function} onChange - Called with the station ID ("" for none) when the selection changes
+ */
+function renderComparePicker(containerId, stations, currentId, onChange) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = `
+        <label class="station-label" for="compare-select">Compare with</label>
+        <select class="station-select" id="compare-select"></select>
+        <span class="compare-legend" id="compare-legend"></span>
+    `;
+
+    const select = document.getElementById('compare-select');
+    const others = stations.filter(station => station.id !== currentId);
+    const selectedId = appState.comparison ? appState.comparison.station.id : '';
+
+    [{ id: '', name: 'None' }, ...others].forEach(station => {
+        const option = document.createElement('option');
+        option.value = station.id;
+        option.textContent = station.name;
+        option.selected = station.id === selectedId;
+        select.appendChild(option);
+    });
+
+    select.disabled = others.length === 0;
+    select.addEventListener('change', (event) => onChange(event.target.value));
+    updateCompareLegend();
+}
+
+/**
+ * Render the snowfall estimator picker, shown only for stations with depth-derived snowfall
+ * @param {string} containerId - ID of the container element
+ * @param {Object[]} seasons - Loaded seasons of the displayed station
+ * @param {function} onChange - Called with the estimator name when the selection changes
+ */
+function renderEstimatorPicker(containerId, seasons, onChange) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    const derived = seasons.find(isDepthDerivedSeason);
+    if (!derived) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = '';
+    container.innerHTML = `
+        <label class="station-label" for="estimator-select">Snowfall estimate</label>
+        <select class="station-select" id="estimator-select"></select>
+    `;
+
+    const select = document.getElementById('estimator-select');
+    const selected = appState.estimator || derived.estimator.name;
+
+    Object.entries(SNOWFALL_ESTIMATOR_LABELS).forEach(([name, label]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        option.selected = name === selected;
+        select.appendChild(option);
+    });
+
+    select.addEventListener('change', (event) => onChange(event.target.value));
+}
+
+/**
+ * Render the "show partial seasons" toggle, shown only when the station has partial seasons
+ * @param {string} containerId - ID of the container element
+ * @param {Object[]} seasons - Loaded seasons of the displayed station
+ * @param {function} onChange - Called with true or false when the toggle changes
+ */
+function renderPartialSeasonsToggle(containerId, seasons, onChange) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    const partialCount = seasons.filter(isPartialSeason).length;
+    if (partialCount === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = '';
+    container.innerHTML = `
+        <label class="partial-toggle" for="partial-toggle">
+            <input type="checkbox" id="partial-toggle">
+            Show partial seasons (${partialCount})
+        </label>
+    `;
+
+    const checkbox = document.getElementById('partial-toggle');
+    checkbox.checked = appState.showPartialSeasons;
+    checkbox.addEventListener('change', (event) => onChange(event.target.checked));
+}
+
+/**
+ * Render the temperature overlay checkbox
+ * Hidden for stations without daily temperatures in their data file.
+ * @param {string} containerId - ID of the container element
+ * @param {Object[]} seasons - Seasons of the displayed station
+ * @param {Function} onChange - Callback with the new checked state
+ */
+function renderTemperatureToggle(containerId, seasons, onChange) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    const available = seasons.some(hasTemperatureData);
+    setTemperatureOverlay(appState.chart, available && appState.showTemperatures);
+    if (!available) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = '';
+    container.innerHTML = `
+        <label class="temperature-toggle" for="temperature-toggle">
+            <input type="checkbox" id="temperature-toggle">
+            Show temperatures for the highlighted season
+        </label>
+    `;
+
+    const checkbox = document.getElementById('temperature-toggle');
+    checkbox.checked = appState.showTemperatures;
+    checkbox.addEventListener('change', (event) => onChange(event.target.checked));
+}
+
+/**
+ * Render the water equivalent checkbox
+ * Hidden for stations without daily precipitation in their data file.
+ * @param {string} containerId - ID of the container element
+ * @param {Object[]} seasons - Seasons of the displayed station
+ * @param {Function} onChange - Callback with the new checked state
+ */
+function renderWaterEquivalentToggle(containerId, seasons, onChange) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    if (!seasons.some(hasPrecipitationData)) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = '';
+    container.innerHTML = `
+        <label class="water-toggle" for="water-toggle">
+            <input type="checkbox" id="water-toggle">
+            Show cumulative water equivalent
+        </label>
+    `;
+
+    const checkbox = document.getElementById('water-toggle');
+    checkbox.checked = appState.showWaterEquivalent;
+    checkbox.addEventListener('change', (event) => onChange(event.target.checked));
+}
+
+/**
+ * Explain the line styles while a comparison station is shown
+ * @param {string} notice - Shown instead, e.g. why a comparison was refused (optional)
+ */
+function updateCompareLegend(notice = '') {
+    const legend = document.getElementById('compare-legend');
+    if (!legend) {
+        return;
+    }
+
+    legend.textContent = notice || (appState.comparison && appState.currentStation
+        ? `solid: ${appState.currentStation.name}, dashed: ${appState.comparison.station.name}`
+        : '');
+}
+
+/**
+ * Update the page title and footer attribution for the displayed station
+ * @param {Object} station - Station manifest entry
+ * @param {Object} data - Loaded season data
+ * @param {Object} season - Season window of the data (from getDataSeason())
+ */
+function updateAttribution(station, data, season = getDataSeason(data)) {
+    const title = document.getElementById('page-title');
+    const attribution = document.getElementById('data-attribution');
+    const methodology = document.getElementById('data-methodology');
+    const elevation = data.elevation || station.elevation;
+
+    if (title) {
+        title.textContent = `${station.name} Cumulative Snowfall`;
+    }
+    document.title = `${station.name} Snowfall Tracker`;
+
+    if (attribution) {
+        const source = station.attribution || data.source || station.name;
+        attribution.textContent = elevation
+            ? `Data source: ${source} (${elevation.toLocaleString('en-US')} ft elevation)`
+            : `Data source: ${source}`;
+    }
+
+    if (methodology) {
+        const range = data.dataRange ? `Data range: ${data.dataRange} | ` : '';
+        methodology.textContent = `${range}Season: ${describeSeason(season)} | Methodology: ${station.methodology || DEFAULT_METHODOLOGY}`;
+    }
+}
+
+/**
+ * Show where the station's data file came from in the footer's "Data details" panel
+ * Hidden for files without provenance.
+ * @param {string} containerId - ID of the <details> element
+ * @param {Object} data - Loaded season data file
+ */
+function renderDataDetails(containerId, data) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    const lines = describeDataProvenance(data);
+    if (lines.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = '';
+    container.innerHTML = `
+        <summary>Data details</summary>
+        <dl class="data-details-list" id="${containerId}-list"></dl>
+    `;
+
+    // Values come from the data file, so they are set as text
+    const list = document.getElementById(`${containerId}-list`);
+    for (const { label, value } of lines) {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.textContent = value;
+        list.appendChild(term);
+        list.appendChild(description);
+    }
+}
+
+/**
+ * Record the selected station in the URL so the view can be shared
+ * @param {string} stationId - Selected station ID
+ */
+function updateStationQuery(stationId) {
+    if (typeof window === 'undefined' || !window.history || !window.history.replaceState) {
+        return;
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('station', stationId);
+    window.history.replaceState(null, '', url.href);
+}
+
+/**
+ * Load snowfall data from a static JSON file
+ * Compact columnar files (js/compact-data.js) are decoded into the regular layout, and the
+ * data is checked against the season data schema (js/season-schema.js) before it is used.
+ * @param {string} fileName - Data file name, relative to data/
+ * @returns {Promise<Object>} Parsed JSON data
+ * @throws {Error} If the file cannot be loaded, decoded or does not match the schema; schema
+ *   errors name the season and record at fault
+ */
+async function loadSnowfallData(fileName = FALLBACK_STATION.file) {
+    let data = await fetchSnowfallData(fileName);
+
+    if (isCompactSeasonData(data)) {
+        try {
+            data = decodeCompactSeasonData(data);
+        } catch (error) {
+            console.error(`Invalid compact data in ${fileName}:`, error);
+            throw new Error(`The data file ${fileName} is invalid. ${error.message}.`);
         }
+    }
+
+    const problems = validateSeasonData(data);
+    if (problems.length > 0) {
+        console.error(`Invalid data in ${fileName}:`, problems);
+        throw new Error(`The data file ${fileName} is invalid. ${problems.join('. ')}.`);
+    }
 
+    return data;
+}
+
+/**
+ * Fetch and parse a data file
+ * @param {string} fileName - Data file name, relative to data/
+ * @returns {Promise<Object>} Parsed JSON data
+ */
+async function fetchSnowfallData(fileName) {
+    const timeout = 30000; // 30 second timeout for slow connections
+    const dataUrl = resolveDataUrl(`data/${fileName}`);
+
+    try {
         console.log(`Fetching data from: ${dataUrl}`);
         console.log(`Current location: ${window.location.href}`);
 
@@ -109,7 +752,7 @@ async function loadSnowfallData() {
             // Provide helpful error message for 404
             if (response.status === 404) {
                 const urlString = typeof dataUrl === 'string' ? dataUrl : dataUrl.href || String(dataUrl);
-                throw new Error(`HTTP 404: File not found at ${urlString}. Please ensure the snowfall-data.json file exists in the data/ directory and is committed to the repository.`);
+                throw new Error(`HTTP 404: File not found at ${urlString}. Please ensure the ${fileName} file exists in the data/ directory and is committed to the repository.`);
             }
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
@@ -137,11 +780,11 @@ async function loadSnowfallData() {
 
         // Provide more specific error messages
         if (error.name === 'AbortError') {
-            throw new Error('Request timed out after 30 seconds. The data file (2.1MB) may be too large for your connection. Please try again or check your internet connection.');
+            throw new Error(`Request timed out after 30 seconds while loading ${fileName}. Please try again or check your internet connection.`);
         } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError') || error.message.includes('TypeError')) {
             throw new Error('Network error. Please check your internet connection and try again. If the problem persists, the data file may not be accessible.');
         } else if (error.message.includes('404') || error.message.includes('Not Found')) {
-            throw new Error('Data file not found (404). Please ensure the snowfall-data.json file exists in the data/ directory and is committed to the GitHub repository.');
+            throw new Error(`Data file not found (404). Please ensure the ${fileName} file exists in the data/ directory and is committed to the GitHub repository.`);
         } else if (error.message.includes('JSON') || error.message.includes('parse') || error.message.includes('Unexpected token')) {
             throw new Error('Invalid JSON data. The data file may be corrupted or incomplete.');
         } else {
@@ -165,13 +808,14 @@ function onSliderChange(startYear, endYear) {
     console.log(`Filtering seasons: ${startYear}-${endYear}`);
 
     // Filter seasons by selected range
-    appState.filteredSeasons = filterSeasonsByRange(appState.allSeasons, startYear, endYear);
+    appState.yearRange = { startYear, endYear };
+    appState.filteredSeasons = filterDisplayedSeasons();
 
     console.log(`Filtered to ${appState.filteredSeasons.length} seasons`);
 
     // Update chart with filtered data
     if (appState.chart) {
-        updateChart(appState.chart, appState.filteredSeasons);
+        updateChart(appState.chart, appState.filteredSeasons, getComparisonSeries());
     }
 }
 
@@ -218,10 +862,12 @@ function showError(message) {
         loading.innerHTML = `
             <div class="error-message">
                 <h3>Error</h3>
-                <p>${message}</p>
+                <p id="error-message-text"></p>
                 <button onclick="location.reload()" class="retry-button">Retry</button>
             </div>
         `;
+        // Messages can quote values from the data file, so they are set as text
+        document.getElementById('error-message-text').textContent = message;
     }
 }
 
@@ -231,6 +877,12 @@ function showError(message) {
  */
 function getAppState() {
     return {
+        station: appState.currentStation ? appState.currentStation.id : null,
+        comparisonStation: appState.comparison ? appState.comparison.station.id : null,
+        estimator: appState.estimator,
+        showPartialSeasons: appState.showPartialSeasons,
+        showTemperatures: appState.showTemperatures,
+        showWaterEquivalent: appState.showWaterEquivalent,
         totalSeasons: appState.allSeasons.length,
         filteredSeasons: appState.filteredSeasons.length,
         isLoaded: appState.isLoaded,
@@ -246,6 +898,15 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         init,
         loadSnowfallData,
+        renderDataDetails,
+        loadStationManifest,
+        pickInitialStation,
+        onStationChange,
+        onComparisonChange,
+        onEstimatorChange,
+        onPartialSeasonsToggle,
+        onTemperatureToggle,
+        onWaterEquivalentToggle,
         onSliderChange,
         showLoading,
         hideLoading,
@@ -256,6 +917,14 @@ if (typeof module !== 'undefined' && module.exports) {
     // Make functions available globally in browser
     window.init = init;
     window.loadSnowfallData = loadSnowfallData;
+    window.renderDataDetails = renderDataDetails;
+    window.loadStationManifest = loadStationManifest;
+    window.onStationChange = onStationChange;
+    window.onComparisonChange = onComparisonChange;
+    window.onEstimatorChange = onEstimatorChange;
+    window.onPartialSeasonsToggle = onPartialSeasonsToggle;
+    window.onTemperatureToggle = onTemperatureToggle;
+    window.onWaterEquivalentToggle = onWaterEquivalentToggle;
     window.onSliderChange = onSliderChange;
     window.showLoading = showLoading;
     window.hideLoading = hideLoading;
@@ -1,12 +1,50 @@
 // Chart management functions for snowfall visualization
 
+// Season window helpers (window globals in the browser)
+const seasonCalendar = typeof module !== 'undefined' && module.exports
+    ? require('./season-calendar.js')
+    : window;
+
+// Line styles per station when a comparison station is overlaid (primary first);
+// partialBorderDash is used for seasons that are not complete
+const STATION_LINE_STYLES = [
+    { borderDash: [], partialBorderDash: [2, 4] },
+    { borderDash: [6, 4], partialBorderDash: [6, 3, 2, 3] }
+];
+
+// Dash pattern for line segments drawn across days without a snowfall value
+const GAP_BORDER_DASH = [3, 9];
+
+// Snowfall statuses of values measured on the day itself; anything else after a gap is an estimate
+const MEASURED_SNOW_STATUSES = ['observed', 'trace'];
+
+// Temperature overlay for the highlighted season: daily highs, lows and the band between them
+const TEMPERATURE_STYLES = {
+    max: { label: 'high', color: '#c53030' },
+    min: { label: 'low', color: '#2b6cb0' },
+    bandColor: 'rgba(160, 174, 192, 0.15)'
+};
+
+// Fine dots for the cumulative water equivalent line drawn next to each season
+const WATER_EQUIVALENT_BORDER_DASH = [1, 3];
+
+// Label suffixes for seasons that are not complete (see the season "status" field)
+const SEASON_STATUS_LABELS = {
+    'partial-historical': 'partial',
+    'in-progress': 'in progress'
+};
+
 /**
  * Initialize Chart.js chart with season data
  * @param {string} canvasId - ID of the canvas element
  * @param {Object[]} seasons - Array of season objects with dailyData
+ * @param {Object|null} comparison - Optional second station to overlay
+ *   ({ stationName, primaryStationName, seasons }); matched to seasons by start year
+ * @param {Object|null} season - Season window of the data (from getDataSeason()); default Aug 1 - Jul 31
+ * @param {Object|null} display - Display options ({ waterEquivalent }: also draw cumulative water equivalent)
  * @returns {Chart} Chart.js instance
  */
-function initChart(canvasId, seasons) {
+function initChart(canvasId, seasons, comparison = null, season = null, display = null) {
     const canvas = document.getElementById(canvasId);
     if (!canvas) {
         throw new Error(`Canvas element with id "${canvasId}" not found`);
@@ -14,47 +52,14 @@ function initChart(canvasId, seasons) {
 
     const ctx = canvas.getContext('2d');
 
+    const seasonDefinition = season || seasonCalendar.resolveSeason();
+    const displayOptions = { waterEquivalent: false, ...display };
+
     // Get axis bounds from data
-    const bounds = getAxisBounds(seasons);
+    const bounds = getAxisBounds(comparison ? [...seasons, ...comparison.seasons] : seasons);
 
     // Convert seasons to Chart.js datasets
-    const datasets = seasons.map((season, index) => {
-        const color = getSeasonColor(index, seasons.length);
-        const label = formatSeasonLabel(season.startYear);
-
-        // Convert daily data to chart points
-        // Include all records, but ensure we have at least start and end points
-        let data = season.dailyData.map(record => ({
-            x: record.dayOfSeason,
-            y: record.cumulativeSnowfall
-        }));
-
-        // If no data or all zeros, create minimal dataset with start/end points
-        if (data.length === 0 || data.every(point => point.y === 0)) {
-            data = [
-                { x: 0, y: 0 },    // Season start
-                { x: 365, y: 0 }   // Season end
-            ];
-        }
-
-        return {
-            label: label,
-            data: data,
-            borderColor: color,
-            backgroundColor: color,
-            borderWidth: 2,
-            pointRadius: 0,
-            pointHoverRadius: 4,
-            tension: 0.1,
-            fill: false
-        };
-    });
-
-    // Create month labels for X-axis (Aug through Jul)
-    const monthLabels = [
-        'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan',
-        'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'
-    ];
+    const datasets = buildSeasonDatasets(seasons, comparison, seasonDefinition, displayOptions);
 
     const config = {
         type: 'line',
@@ -76,13 +81,41 @@ function initChart(canvasId, seasons) {
                 tooltip: {
                     callbacks: {
                         title: function (context) {
-                            const dayOfSeason = context[0].parsed.x;
-                            const monthIndex = Math.floor(dayOfSeason / 30.4); // Approximate days per month
-                            const month = monthLabels[Math.min(monthIndex, 11)];
-                            return `${month} (Day ${dayOfSeason})`;
+                            const item = context[0];
+                            return formatTooltipTitle(item.raw, item.dataset, item.chart.seasonDefinition);
                         },
                         label: function (context) {
-                            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}"`;
+                            if (context.dataset.temperatureOverlay) {
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(0)}°F`;
+                            }
+                            if (context.dataset.waterEquivalent) {
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}"`;
+                            }
+
+                            const lines = [`${context.dataset.label}: ${context.parsed.y.toFixed(1)}"`];
+                            const partner = findPartnerDataset(context.chart, context.dataset);
+
+                            if (partner) {
+                                const partnerValue = getValueAtDay(partner, context.parsed.x);
+                                if (partnerValue !== null) {
+                                    // Difference is always primary minus comparison station
+                                    const isPrimary = context.dataset.stationRole === 'primary';
+                                    const difference = isPrimary ? context.parsed.y - partnerValue : partnerValue - context.parsed.y;
+                                    const sign = difference > 0 ? '+' : '';
+                                    lines.push(`${partner.label}: ${partnerValue.toFixed(1)}"`);
+                                    lines.push(`Difference: ${sign}${difference.toFixed(1)}"`);
+                                }
+                            }
+
+                            lines.push(...describeGaps(context.raw));
+                            lines.push(...describeImputation(context.raw));
+                            lines.push(...describeSnowToLiquid(context.raw, context.dataset));
+
+                            if (context.dataset.seasonStatus in SEASON_STATUS_LABELS && typeof context.dataset.coverage === 'number') {
+                                lines.push(`Coverage: ${context.dataset.coverage.toFixed(1)}% of days`);
+                            }
+
+                            return lines;
                         }
                     }
                 }
@@ -92,7 +125,7 @@ function initChart(canvasId, seasons) {
                     type: 'linear',
                     position: 'bottom',
                     min: Math.max(0, bounds.minDayOfSeason - 10),
-                    max: Math.min(365, bounds.maxDayOfSeason + 10),
+                    max: Math.min(seasonCalendar.getLastDayOfSeason(seasonDefinition), bounds.maxDayOfSeason + 10),
                     title: {
                         display: true,
                         text: 'Season Progress',
@@ -100,17 +133,18 @@ function initChart(canvasId, seasons) {
                             size: window.innerWidth < 768 ? 12 : 14
                         }
                     },
+                    // One tick on the first day of each calendar month
+                    afterBuildTicks: function (scale) {
+                        scale.ticks = buildMonthTicks(scale.chart.seasonDefinition, scale.min, scale.max);
+                    },
                     ticks: {
                         callback: function (value) {
                             // Convert day of season to month labels
-                            const monthIndex = Math.floor(value / 30.4);
-                            return monthLabels[Math.min(monthIndex, 11)] || '';
+                            return getMonthLabelAtDay(value, this.chart.seasonDefinition);
                         },
-                        stepSize: 30.4, // Approximately one month
                         font: {
                             size: window.innerWidth < 768 ? 10 : 12
-                        },
-                        maxTicksLimit: window.innerWidth < 480 ? 6 : 12
+                        }
                     }
                 },
                 y: {
@@ -132,6 +166,53 @@ function initChart(canvasId, seasons) {
                         },
                         maxTicksLimit: window.innerWidth < 480 ? 6 : 8
                     }
+                },
+                water: {
+                    position: 'right',
+                    display: hasWaterEquivalent(datasets), // Shown in water equivalent mode
+                    beginAtZero: true,
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    title: {
+                        display: true,
+                        text: window.innerWidth < 480 ? 'Water (in)' : 'Water Equivalent (inches)',
+                        font: {
+                            size: window.innerWidth < 768 ? 12 : 14
+                        }
+                    },
+                    ticks: {
+                        callback: function (value) {
+                            return value.toFixed(0) + '"';
+                        },
+                        font: {
+                            size: window.innerWidth < 768 ? 10 : 12
+                        },
+                        maxTicksLimit: window.innerWidth < 480 ? 6 : 8
+                    }
+                },
+                temperature: {
+                    position: 'right',
+                    display: false, // Shown with the temperature overlay
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    title: {
+                        display: true,
+                        text: window.innerWidth < 480 ? '°F' : 'Temperature (°F)',
+                        font: {
+                            size: window.innerWidth < 768 ? 12 : 14
+                        }
+                    },
+                    ticks: {
+                        callback: function (value) {
+                            return value.toFixed(0) + '°';
+                        },
+                        font: {
+                            size: window.innerWidth < 768 ? 10 : 12
+                        },
+                        maxTicksLimit: window.innerWidth < 480 ? 6 : 8
+                    }
                 }
             },
             onHover: (event, activeElements) => {
@@ -153,64 +234,456 @@ function initChart(canvasId, seasons) {
         }
     };
 
-    return new Chart(ctx, config);
+    const chart = new Chart(ctx, config);
+    chart.seasonDefinition = seasonDefinition;
+    chart.displayOptions = displayOptions;
+
+    return chart;
 }
 
 /**
  * Update existing chart with new season data
  * @param {Chart} chart - Chart.js instance
  * @param {Object[]} seasons - Array of season objects with dailyData
+ * @param {Object|null} comparison - Optional second station to overlay (see initChart)
+ * @param {Object|null} season - Season window of the data; keeps the chart's current one if null
+ * @param {Object|null} display - Display options to change (see initChart); keeps the others
  */
-function updateChart(chart, seasons) {
+function updateChart(chart, seasons, comparison = null, season = null, display = null) {
     if (!chart || !seasons) {
         return;
     }
 
+    if (season) {
+        chart.seasonDefinition = season;
+    }
+    const seasonDefinition = chart.seasonDefinition || seasonCalendar.resolveSeason();
+    chart.displayOptions = { waterEquivalent: false, ...chart.displayOptions, ...display };
+
     // Get new axis bounds
-    const bounds = getAxisBounds(seasons);
+    const bounds = getAxisBounds(comparison ? [...seasons, ...comparison.seasons] : seasons);
 
     // Update datasets
-    chart.data.datasets = seasons.map((season, index) => {
-        const color = getSeasonColor(index, seasons.length);
-        const label = formatSeasonLabel(season.startYear);
+    chart.data.datasets = buildSeasonDatasets(seasons, comparison, seasonDefinition, chart.displayOptions);
+    chart.options.scales.water.display = hasWaterEquivalent(chart.data.datasets);
+
+    // Update axis bounds
+    chart.options.scales.x.min = Math.max(0, bounds.minDayOfSeason - 10);
+    chart.options.scales.x.max = Math.min(seasonCalendar.getLastDayOfSeason(seasonDefinition), bounds.maxDayOfSeason + 10);
+    chart.options.scales.y.max = Math.max(10, Math.ceil(bounds.maxCumulative * 1.1));
+
+    // Clear any existing highlight state
+    clearHighlight(chart);
+
+    chart.update();
+}
+
+/**
+ * Build Chart.js datasets for the displayed seasons
+ * With a comparison station, each season it also has gets a second dataset in the
+ * same color but the comparison line style, so the two stations pair up visually.
+ * @param {Object[]} seasons - Array of season objects with dailyData
+ * @param {Object|null} comparison - Optional second station ({ stationName, primaryStationName, seasons })
+ * @param {Object|null} seasonDefinition - Season window used for labels and the empty-season line
+ * @param {Object} display - Display options; with waterEquivalent each season with precipitation
+ *   also gets a cumulative water equivalent dataset on the "water" axis
+ * @returns {Object[]} Chart.js datasets
+ */
+function buildSeasonDatasets(seasons, comparison = null, seasonDefinition = null, { waterEquivalent = false } = {}) {
+    const datasets = seasons.map((season, index) => createSeasonDataset(
+        season,
+        getSeasonColor(index, seasons.length),
+        comparison ? 'primary' : null,
+        comparison ? comparison.primaryStationName : null,
+        seasonDefinition
+    ));
+
+    if (comparison) {
+        seasons.forEach((season, index) => {
+            const match = comparison.seasons.find(s => s.startYear === season.startYear);
+            if (match) {
+                datasets.push(createSeasonDataset(match, getSeasonColor(index, seasons.length), 'comparison',
+                    comparison.stationName, seasonDefinition));
+            }
+        });
+    }
+
+    if (waterEquivalent) {
+        datasets.push(...datasets.filter(dataset => dataset.waterEquivalentPoints).map(createWaterEquivalentDataset));
+    }
+
+    return datasets;
+}
 
-        // Convert daily data to chart points
-        // Include all records, but ensure we have at least start and end points
-        let data = season.dailyData.map(record => ({
+/**
+ * Convert one season to a Chart.js dataset
+ * @param {Object} season - Season object with dailyData
+ * @param {string} color - Line color
+ * @param {string|null} stationRole - "primary" or "comparison" when two stations are shown
+ * @param {string|null} stationName - Station name appended to the label when two stations are shown
+ * @param {Object|null} seasonDefinition - Season window (default Aug 1 - Jul 31)
+ * @returns {Object} Chart.js dataset; partial and in-progress seasons are drawn dotted
+ */
+function createSeasonDataset(season, color, stationRole = null, stationName = null, seasonDefinition = null) {
+    const label = formatSeasonLabel(season.startYear, seasonDefinition);
+    const statusLabel = SEASON_STATUS_LABELS[season.status];
+    const displayLabel = statusLabel ? `${label} (${statusLabel})` : label;
+
+    // Convert daily data to chart points, leaving out days without a snowfall value
+    let data = buildSeasonPoints(season.dailyData);
+
+    // If no data or all zeros, create minimal dataset with start/end points
+    if (data.length === 0 || data.every(point => point.y === 0)) {
+        data = [
+            { x: 0, y: 0 },    // Season start
+            { x: seasonCalendar.getLastDayOfSeason(seasonDefinition || undefined), y: 0 } // Season end
+        ];
+    }
+
+    const lineStyle = STATION_LINE_STYLES[stationRole === 'comparison' ? 1 : 0];
+
+    return {
+        label: stationName ? `${displayLabel} · ${stationName}` : displayLabel,
+        seasonKey: label,
+        startYear: season.startYear,
+        seasonStatus: season.status || 'complete',
+        coverage: season.coverage,
+        temperatures: buildTemperaturePoints(season.dailyData),
+        waterEquivalentPoints: buildWaterEquivalentPoints(season.dailyData),
+        snowToLiquid: season.snowToLiquid || null,
+        stationRole,
+        baseColor: color,
+        data: data,
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        borderDash: statusLabel ? lineStyle.partialBorderDash : lineStyle.borderDash,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        tension: 0.1,
+        fill: false,
+        segment: {
+            borderDash: gapSegmentDash
+        }
+    };
+}
+
+/**
+ * Convert a season's daily records to chart points
+ * Days without a snowfall value (missing or QC-failed) and days absent from dailyData
+ * get no point. Gaps are counted in calendar days when records have dates, since day of
+ * season skips the Feb 29 index in seasons without one. The points on either side of such a gap carry it as gapAfter/gapBefore:
+ * { missingDays, fromDay, toDay, estimated }, where estimated tells whether the value
+ * after the gap was measured that day or is an estimate (e.g. a multi-day total or a
+ * depth change spanning the gap). Days filled from a neighbor station carry `imputed`:
+ * { dailySnowfall, stationId, neighborSnowfall, ratio }.
+ * @param {Object[]} dailyData - Season's daily records sorted by day of season
+ * @returns {Object[]} Points {x, y, date} with optional gapBefore/gapAfter/imputed
+ */
+function buildSeasonPoints(dailyData) {
+    const points = [];
+
+    for (const record of dailyData) {
+        if (record.dailySnowfall === null) {
+            continue;
+        }
+
+        const point = { x: record.dayOfSeason, y: record.cumulativeSnowfall };
+        const previous = points[points.length - 1];
+
+        if (record.date) {
+            point.date = record.date;
+        }
+
+        if (record.snowStatus === 'imputed' && record.imputation) {
+            point.imputed = { dailySnowfall: record.dailySnowfall, ...record.imputation };
+        }
+
+        const missingDays = !previous ? 0 : previous.date && point.date
+            ? Math.round((Date.parse(point.date) - Date.parse(previous.date)) / (24 * 60 * 60 * 1000)) - 1
+            : point.x - previous.x - 1;
+
+        if (missingDays > 0) {
+            const gap = {
+                missingDays,
+                fromDay: previous.x + 1,
+                toDay: point.x - 1,
+                estimated: Boolean(record.accumulation) ||
+                    (record.snowStatus !== undefined && !MEASURED_SNOW_STATUSES.includes(record.snowStatus))
+            };
+            previous.gapAfter = gap;
+            point.gapBefore = gap;
+        }
+
+        points.push(point);
+    }
+
+    return points;
+}
+
+/**
+ * Convert a season's daily precipitation to cumulative water equivalent points
+ * @param {Object[]} dailyData - Season's daily records sorted by day of season
+ * @returns {Object[]|null} Points {x, y, date} (liquid inches so far), or null when the
+ *   season has no precipitation
+ */
+function buildWaterEquivalentPoints(dailyData) {
+    const points = [];
+    let total = 0;
+
+    for (const record of dailyData) {
+        if (typeof record.precipitation !== 'number') {
+            continue;
+        }
+        total += record.precipitation;
+        points.push({ x: record.dayOfSeason, y: Math.round(total * 100) / 100, date: record.date });
+    }
+
+    return points.length > 0 ? points : null;
+}
+
+/**
+ * Build the cumulative water equivalent dataset drawn next to a season
+ * Same color and season key as the season, so it is highlighted together with it.
+ * @param {Object} dataset - Season dataset (see createSeasonDataset)
+ * @returns {Object} Chart.js dataset on the "water" axis
+ */
+function createWaterEquivalentDataset(dataset) {
+    return {
+        label: `${dataset.label} water equivalent`,
+        waterEquivalent: true,
+        seasonKey: dataset.seasonKey,
+        stationRole: dataset.stationRole,
+        yAxisID: 'water',
+        baseColor: dataset.baseColor,
+        data: dataset.waterEquivalentPoints,
+        borderColor: dataset.baseColor,
+        backgroundColor: dataset.baseColor,
+        borderWidth: 2,
+        borderDash: WATER_EQUIVALENT_BORDER_DASH,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        tension: 0.1,
+        fill: false
+    };
+}
+
+/**
+ * Check whether any water equivalent dataset is drawn
+ * @param {Object[]} datasets - Chart.js datasets
+ * @returns {boolean} True in water equivalent mode with at least one season with precipitation
+ */
+function hasWaterEquivalent(datasets) {
+    return datasets.some(dataset => dataset.waterEquivalent);
+}
+
+/**
+ * Describe the snow-to-liquid ratio of a hovered point's season and month
+ * @param {Object} point - Chart point ({ x, y, date })
+ * @param {Object} dataset - Season dataset carrying the season's snowToLiquid summary
+ * @returns {string[]} e.g. ["Snow-to-liquid: 14:1 season, 18:1 in Jan"], or [] without a ratio
+ */
+function describeSnowToLiquid(point, dataset) {
+    const summary = dataset && dataset.snowToLiquid;
+    if (!summary || summary.ratio === null || summary.ratio === undefined) {
+        return [];
+    }
+
+    const month = point && point.date
+        ? summary.months.find(entry => entry.month === point.date.slice(0, 7))
+        : null;
+    const monthText = month && month.ratio !== null
+        ? `, ${month.ratio.toFixed(0)}:1 in ${seasonCalendar.formatShortDate(point.date).split(' ')[0]}`
+        : '';
+
+    return [`Snow-to-liquid: ${summary.ratio.toFixed(0)}:1 season${monthText}`];
+}
+
+/**
+ * Collect a season's daily temperatures for the temperature overlay
+ * @param {Object[]} dailyData - Season's daily records sorted by day of season
+ * @returns {Object[]|null} Points {x, date, max, min} (°F, null when not reported), or null
+ *   when the season has no temperatures
+ */
+function buildTemperaturePoints(dailyData) {
+    const points = dailyData
+        .filter(record => typeof record.maxTemperature === 'number' || typeof record.minTemperature === 'number')
+        .map(record => ({
             x: record.dayOfSeason,
-            y: record.cumulativeSnowfall
+            date: record.date,
+            max: typeof record.maxTemperature === 'number' ? record.maxTemperature : null,
+            min: typeof record.minTemperature === 'number' ? record.minTemperature : null
         }));
 
-        // If no data or all zeros, create minimal dataset with start/end points
-        if (data.length === 0 || data.every(point => point.y === 0)) {
-            data = [
-                { x: 0, y: 0 },    // Season start
-                { x: 365, y: 0 }   // Season end
-            ];
-        }
+    return points.length > 0 ? points : null;
+}
+
+/**
+ * Build the temperature overlay datasets for a season dataset
+ * Highs and lows are drawn on the right-hand temperature axis with the band between them
+ * shaded, so warm spells can be lined up with flat stretches of the cumulative line.
+ * @param {Object} dataset - Season dataset (see createSeasonDataset)
+ * @returns {Object[]} Chart.js datasets for the highs and lows, empty without temperatures
+ */
+function buildTemperatureDatasets(dataset) {
+    if (!dataset || !dataset.temperatures) {
+        return [];
+    }
 
+    return ['max', 'min'].map(key => {
+        const style = TEMPERATURE_STYLES[key];
         return {
-            label: label,
-            data: data,
-            borderColor: color,
-            backgroundColor: color,
-            borderWidth: 2,
+            label: `${dataset.label} ${style.label}`,
+            temperatureOverlay: true,
+            overlayFor: dataset.label,
+            yAxisID: 'temperature',
+            baseColor: style.color,
+            data: dataset.temperatures
+                .filter(point => point[key] !== null)
+                .map(point => ({ x: point.x, y: point[key], date: point.date })),
+            borderColor: style.color,
+            backgroundColor: TEMPERATURE_STYLES.bandColor,
+            borderWidth: 1,
             pointRadius: 0,
-            pointHoverRadius: 4,
-            tension: 0.1,
-            fill: false
+            pointHoverRadius: 3,
+            tension: 0,
+            fill: key === 'min' ? '-1' : false // Shade the band between highs and lows
         };
     });
+}
 
-    // Update axis bounds
-    chart.options.scales.x.min = Math.max(0, bounds.minDayOfSeason - 10);
-    chart.options.scales.x.max = Math.min(365, bounds.maxDayOfSeason + 10);
-    chart.options.scales.y.max = Math.max(10, Math.ceil(bounds.maxCumulative * 1.1));
+/**
+ * Turn the temperature overlay for the highlighted season on or off
+ * @param {Chart} chart - Chart.js instance
+ * @param {boolean} enabled - Whether highlighted seasons show their temperatures
+ */
+function setTemperatureOverlay(chart, enabled) {
+    if (!chart) {
+        return;
+    }
 
-    // Clear any existing highlight state
-    clearHighlight(chart);
+    chart.temperatureOverlay = enabled;
+    const highlighted = chart.data.datasets[highlightState.highlightedDatasetIndex];
 
-    chart.update();
+    if (enabled && highlighted) {
+        showTemperatureOverlay(chart, highlighted);
+    } else {
+        removeTemperatureOverlay(chart);
+    }
+
+    chart.update('none');
+}
+
+/**
+ * Replace the temperature overlay with the given season's (without redrawing)
+ * @param {Chart} chart - Chart.js instance
+ * @param {Object} dataset - Season dataset to show the temperatures of
+ */
+function showTemperatureOverlay(chart, dataset) {
+    const current = chart.data.datasets.find(d => d.temperatureOverlay);
+    if (current && current.overlayFor === dataset.label) {
+        return;
+    }
+
+    removeTemperatureOverlay(chart);
+    const overlay = buildTemperatureDatasets(dataset);
+    chart.data.datasets.push(...overlay);
+    chart.options.scales.temperature.display = overlay.length > 0;
+}
+
+/**
+ * Remove the temperature overlay datasets (without redrawing)
+ * @param {Chart} chart - Chart.js instance
+ */
+function removeTemperatureOverlay(chart) {
+    if (!chart.data.datasets.some(dataset => dataset.temperatureOverlay)) {
+        return;
+    }
+
+    chart.data.datasets = chart.data.datasets.filter(dataset => !dataset.temperatureOverlay);
+    chart.options.scales.temperature.display = false;
+}
+
+/**
+ * Chart.js segment style: dash the segments that bridge a gap
+ * @param {Object} context - Chart.js segment context
+ * @returns {number[]|undefined} Gap dash pattern, or undefined to keep the dataset's style
+ */
+function gapSegmentDash(context) {
+    const point = context.chart.data.datasets[context.datasetIndex].data[context.p1DataIndex];
+    return point && point.gapBefore ? GAP_BORDER_DASH : undefined;
+}
+
+/**
+ * Describe the gaps next to a chart point for its tooltip
+ * @param {Object} point - Chart point from buildSeasonPoints()
+ * @returns {string[]} Tooltip lines (empty when the point is not next to a gap)
+ */
+function describeGaps(point) {
+    const lines = [];
+
+    for (const gap of [point && point.gapBefore, point && point.gapAfter]) {
+        if (!gap) {
+            continue;
+        }
+        const days = `${gap.missingDays} missing day${gap.missingDays === 1 ? '' : 's'}`;
+        const range = gap.missingDays === 1 ? `day ${gap.fromDay}` : `days ${gap.fromDay}-${gap.toDay}`;
+        lines.push(`Gap: ${days} (${range})`);
+        lines.push(`Value after gap: ${gap.estimated ? 'estimated' : 'measured'}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Describe a day filled from a neighbor station for its tooltip
+ * @param {Object} point - Chart point from buildSeasonPoints()
+ * @returns {string[]} Tooltip lines (empty unless the day was imputed)
+ */
+function describeImputation(point) {
+    if (!point || !point.imputed) {
+        return [];
+    }
+
+    const { dailySnowfall, stationId, neighborSnowfall, ratio } = point.imputed;
+    return [`Imputed: ${dailySnowfall}" from ${stationId} (${neighborSnowfall}" × ${ratio})`];
+}
+
+/**
+ * Find the other station's dataset for the same season
+ * @param {Chart} chart - Chart.js instance
+ * @param {Object} dataset - Dataset to find the partner of
+ * @returns {Object|null} Partner dataset, or null without a comparison station
+ */
+function findPartnerDataset(chart, dataset) {
+    if (!dataset.stationRole) {
+        return null;
+    }
+
+    return chart.data.datasets.find(other => (
+        other !== dataset && other.seasonKey === dataset.seasonKey && other.stationRole &&
+        other.stationRole !== dataset.stationRole && !other.waterEquivalent
+    )) || null;
+}
+
+/**
+ * Get a dataset's cumulative value on a day of season
+ * Uses the latest point on or before the day, since cumulative totals carry forward
+ * @param {Object} dataset - Chart.js dataset with {x, y} points sorted by x
+ * @param {number} dayOfSeason - Day of season
+ * @returns {number|null} Cumulative value, or null before the dataset's first point
+ */
+function getValueAtDay(dataset, dayOfSeason) {
+    let value = null;
+
+    for (const point of dataset.data) {
+        if (point.x > dayOfSeason) {
+            break;
+        }
+        value = point.y;
+    }
+
+    return value;
 }
 
 /**
@@ -237,17 +710,65 @@ function getSeasonColor(seasonIndex, totalSeasons) {
 /**
  * Format season label from start year
  * @param {number} startYear - Starting year of season (e.g., 2023)
- * @returns {string} Formatted label (e.g., "2023-24")
+ * @param {Object|null} seasonDefinition - Season window (default Aug 1 - Jul 31)
+ * @returns {string} Formatted label (e.g., "2023-24", or "2023" for a season within one calendar year)
  */
-function formatSeasonLabel(startYear) {
+function formatSeasonLabel(startYear, seasonDefinition = null) {
     if (typeof startYear !== 'number' || isNaN(startYear) || !isFinite(startYear) || startYear < 1000 || startYear > 9999) {
         return 'Invalid';
     }
 
-    const endYear = startYear + 1;
-    const endYearShort = String(endYear).slice(-2); // Last 2 digits
+    return seasonCalendar.formatSeasonName(startYear, seasonDefinition || undefined);
+}
+
+/**
+ * Get the month label for a day of season on the x-axis
+ * @param {number} dayOfSeason - Day of season
+ * @param {Object|null} seasonDefinition - Season window (default Aug 1 - Jul 31)
+ * @returns {string} Month abbreviation, or '' outside the season
+ */
+function getMonthLabelAtDay(dayOfSeason, seasonDefinition = null) {
+    const season = seasonDefinition || seasonCalendar.resolveSeason();
+    if (!(dayOfSeason >= 0 && dayOfSeason <= seasonCalendar.getLastDayOfSeason(season))) {
+        return '';
+    }
+
+    return seasonCalendar.getMonthOfDayOfSeason(dayOfSeason, season);
+}
 
-    return `${startYear}-${endYearShort}`;
+/**
+ * Build x-axis ticks on the first day of each calendar month
+ * Month starts are fixed days of season on the 366-day season calendar, so they line
+ * up for leap and non-leap seasons alike.
+ * @param {Object|null} seasonDefinition - Season window (default Aug 1 - Jul 31)
+ * @param {number} min - Smallest day of season shown
+ * @param {number} max - Largest day of season shown
+ * @returns {{value: number}[]} Chart.js ticks
+ */
+function buildMonthTicks(seasonDefinition, min, max) {
+    return seasonCalendar.getMonthStartDays(seasonDefinition || undefined)
+        .filter(month => month.dayOfSeason >= min && month.dayOfSeason <= max)
+        .map(month => ({ value: month.dayOfSeason }));
+}
+
+/**
+ * Format the tooltip title for a hovered point
+ * Shows the calendar date of the hovered season's day, e.g. "Jan 14 (Day 166)". Points
+ * without a date (the flat line of an empty season) get it from the season's start year.
+ * @param {Object} point - Chart point ({ x, y, date })
+ * @param {Object} dataset - Dataset of the point (see createSeasonDataset)
+ * @param {Object|null} seasonDefinition - Season window (default Aug 1 - Jul 31)
+ * @returns {string} Tooltip title
+ */
+function formatTooltipTitle(point, dataset, seasonDefinition = null) {
+    const season = seasonDefinition || seasonCalendar.resolveSeason();
+    const date = point.date || (dataset && typeof dataset.startYear === 'number'
+        ? seasonCalendar.getDateOfDayOfSeason(dataset.startYear, point.x, season)
+        : null);
+
+    return date
+        ? `${seasonCalendar.formatShortDate(date)} (Day ${point.x})`
+        : `${getMonthLabelAtDay(point.x, season)} (Day ${point.x})`;
 }
 
 // Highlight state management
@@ -262,16 +783,29 @@ let highlightState = {
  * @param {number} datasetIndex - Index of dataset to highlight
  */
 function highlightSeries(chart, datasetIndex) {
+    const target = chart.data.datasets[datasetIndex];
+    if (target && target.temperatureOverlay) {
+        return; // Hovering the overlay keeps the season it belongs to highlighted
+    }
+
     chart.data.datasets.forEach((dataset, index) => {
-        if (index === datasetIndex) {
+        if (dataset.temperatureOverlay) {
+            return;
+        }
+
+        // The same season from a comparison station is highlighted together with it,
+        // and so is the season's water equivalent line
+        const isPartner = Boolean(target && dataset.seasonKey === target.seasonKey &&
+            (target.stationRole || target.waterEquivalent || dataset.waterEquivalent));
+        const originalColor = dataset.baseColor || getSeasonColor(index, chart.data.datasets.length);
+
+        if (index === datasetIndex || isPartner) {
             dataset.borderWidth = 4; // Thicker line for highlighted
             // Ensure full opacity for highlighted series
-            const originalColor = getSeasonColor(index, chart.data.datasets.length);
             dataset.borderColor = originalColor;
         } else {
             dataset.borderWidth = 2;
             // Convert HSL to HSLA with reduced opacity for dimmed series
-            const originalColor = getSeasonColor(index, chart.data.datasets.length);
             if (originalColor.startsWith('hsl(')) {
                 // Convert hsl(h, s%, l%) to hsla(h, s%, l%, 0.3)
                 dataset.borderColor = originalColor.replace('hsl(', 'hsla(').replace(')', ', 0.3)');
@@ -288,6 +822,10 @@ function highlightSeries(chart, datasetIndex) {
         }
     });
 
+    if (chart.temperatureOverlay && target) {
+        showTemperatureOverlay(chart, target);
+    }
+
     chart.update('none'); // Update without animation
 }
 
@@ -299,9 +837,10 @@ function clearHighlight(chart) {
     highlightState.highlightedDatasetIndex = null;
     highlightState.isToggled = false;
 
+    removeTemperatureOverlay(chart);
     chart.data.datasets.forEach((dataset, index) => {
         dataset.borderWidth = 2;
-        const color = getSeasonColor(index, chart.data.datasets.length);
+        const color = dataset.baseColor || getSeasonColor(index, chart.data.datasets.length);
         dataset.borderColor = color;
     });
 
@@ -314,6 +853,11 @@ function clearHighlight(chart) {
  * @param {number} datasetIndex - Index of dataset to toggle
  */
 function toggleHighlight(chart, datasetIndex) {
+    const target = chart.data.datasets[datasetIndex];
+    if (target && target.temperatureOverlay) {
+        return;
+    }
+
     if (highlightState.highlightedDatasetIndex === datasetIndex && highlightState.isToggled) {
         // Tapped the same series again - clear highlight
         clearHighlight(chart);
@@ -340,6 +884,17 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         initChart,
         updateChart,
+        buildSeasonDatasets,
+        buildSeasonPoints,
+        buildMonthTicks,
+        formatTooltipTitle,
+        buildTemperatureDatasets,
+        setTemperatureOverlay,
+        buildWaterEquivalentPoints,
+        describeSnowToLiquid,
+        describeGaps,
+        describeImputation,
+        getValueAtDay,
         getSeasonColor,
         formatSeasonLabel,
         highlightSeries,
@@ -351,10 +906,12 @@ if (typeof module !== 'undefined' && module.exports) {
     // Make functions available globally in browser
     window.initChart = initChart;
     window.updateChart = updateChart;
+    window.buildSeasonDatasets = buildSeasonDatasets;
     window.getSeasonColor = getSeasonColor;
     window.formatSeasonLabel = formatSeasonLabel;
     window.highlightSeries = highlightSeries;
     window.clearHighlight = clearHighlight;
     window.toggleHighlight = toggleHighlight;
+    window.setTemperatureOverlay = setTemperatureOverlay;
     window.addSeasonLabels = addSeasonLabels;
 }
\ No newline at end of file
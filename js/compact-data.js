@@ -0,0 +1,390 @@
+/**
+ * Compact season data files
+ * A columnar encoding of the season data file for the page to download. Daily records are
+ * stored per season as one array per field instead of one object per day: dates and days
+ * of season follow from the season's first date, numbers are scaled to integers (cumulative
+ * snowfall as day-to-day deltas) and repeated values such as statuses and flags are
+ * indexed into a shared dictionary. decodeCompactSeasonData() gives back the exact file
+ * encodeCompactSeasonData() was given, so readers only ever see the regular layout.
+ */
+
+// Season window helpers (window globals in the browser)
+const compactCalendar = typeof module !== 'undefined' && module.exports
+    ? require('./season-calendar.js')
+    : window;
+
+// Value of the "format" field that marks a compact file
+const COMPACT_FORMAT = 'columnar';
+
+// Bump when a change to the encoding would break decoders of the previous version
+const COMPACT_FORMAT_VERSION = 1;
+
+// Number columns stored as the change from the previous day
+const DELTA_COLUMNS = ['cumulativeSnowfall'];
+
+// Decimal places tried before a number column is stored unscaled
+const MAX_SCALE_DIGITS = 6;
+
+// Fields of the compact file that are not part of the regular layout
+const COMPACT_ONLY_FIELDS = ['format', 'formatVersion', 'columns', 'shapes'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether parsed JSON is a compact season file
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True if the data needs decodeCompactSeasonData()
+ */
+function isCompactSeasonData(data) {
+    return Boolean(data) && typeof data === 'object' && data.format === COMPACT_FORMAT;
+}
+
+/**
+ * Count the days between two YYYY-MM-DD dates
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number} Whole days from `from` to `to`
+ */
+function countDaysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * Cheaper than toISOString() for the thousands of dates a file decodes to.
+ * @param {number} year - Year
+ * @param {number} month - 1-based month
+ * @param {number} day - Day of month
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function formatIsoDate(year, month, day) {
+    return `${year}-${month < 10 ? '0' : ''}${month}-${day < 10 ? '0' : ''}${day}`;
+}
+
+/**
+ * Tabulate the day of season of every month and day
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {number[][]} Day of season indexed by 1-based month, then day
+ */
+function buildDayOfSeasonTable(season) {
+    const table = [];
+    for (let month = 1; month <= 12; month++) {
+        table[month] = [];
+        for (let day = 1; day <= 31; day++) {
+            // 2000 is a leap year, so Feb 29 gets its index too
+            table[month][day] = compactCalendar.getDayOfSeason(new Date(Date.UTC(2000, month - 1, day)), season);
+        }
+    }
+    return table;
+}
+
+/**
+ * Find the power of ten that turns every number of a column into an integer
+ * @param {Array<number|null>} values - Column values
+ * @returns {number|null} Scale such as 10 for tenths, or null if the values need more digits
+ */
+function findColumnScale(values) {
+    for (let digits = 0; digits <= MAX_SCALE_DIGITS; digits++) {
+        const scale = 10 ** digits;
+        if (values.every(value => value === null || Math.round(value * scale) / scale === value)) {
+            return scale;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe how a column is stored, from its values over the whole file
+ * @param {string} key - Field name
+ * @param {Array} values - Every value of the field
+ * @returns {Object} { type: 'number', scale, delta } for numbers (scale omitted when the values
+ *   are stored as they are) or { type: 'dictionary', dictionary } for anything else
+ */
+function describeColumn(key, values) {
+    if (values.every(value => value === null || typeof value === 'number')) {
+        const scale = findColumnScale(values);
+        if (scale === null) {
+            return { type: 'number' };
+        }
+        return DELTA_COLUMNS.includes(key) ? { type: 'number', scale, delta: true } : { type: 'number', scale };
+    }
+
+    const dictionary = [];
+    const seen = new Set();
+    for (const value of values) {
+        const json = JSON.stringify(value);
+        if (!seen.has(json)) {
+            seen.add(json);
+            dictionary.push(value);
+        }
+    }
+    return { type: 'dictionary', dictionary };
+}
+
+/**
+ * Encode the values of one column of one season
+ * @param {Object} column - From describeColumn()
+ * @param {Array} values - The season's values of the field
+ * @param {Map<string, number>} dictionaryIndex - JSON of each dictionary entry to its index
+ * @returns {Array<number|null>} Stored values
+ */
+function encodeColumnValues(column, values, dictionaryIndex) {
+    if (column.type === 'dictionary') {
+        return values.map(value => dictionaryIndex.get(JSON.stringify(value)));
+    }
+    if (!column.scale) {
+        return values;
+    }
+
+    let previous = 0;
+    return values.map(value => {
+        if (value === null) {
+            return null;
+        }
+        const scaled = Math.round(value * column.scale);
+        if (!column.delta) {
+            return scaled;
+        }
+        const delta = scaled - previous;
+        previous = scaled;
+        return delta;
+    });
+}
+
+/**
+ * Decode the values of one column of one season
+ * @param {Object} column - Column description of the compact file
+ * @param {Array<number|null>} stored - Stored values
+ * @returns {Array} Field values
+ */
+function decodeColumnValues(column, stored) {
+    if (column.type === 'dictionary') {
+        return stored.map(index => {
+            if (!(index >= 0 && index < column.dictionary.length)) {
+                throw new Error(`dictionary index ${index} is out of range`);
+            }
+            // Records share dictionary objects such as flags, like the statuses they point to
+            return column.dictionary[index];
+        });
+    }
+    if (!column.scale) {
+        return stored;
+    }
+
+    let previous = 0;
+    return stored.map(value => {
+        if (value === null) {
+            return null;
+        }
+        const scaled = column.delta ? previous + value : value;
+        previous = scaled;
+        return scaled / column.scale;
+    });
+}
+
+/**
+ * Encode a season data file in the compact columnar format
+ * Records keep their field order through "shapes", the lists of fields a record has; each
+ * season stores which shape every record uses as [shape, count] runs. dayOfSeason is only
+ * stored when it does not follow from the date and the file's season window.
+ * @param {Object} data - Season data file in the regular layout
+ * @returns {Object} Compact file with the same metadata, { format, formatVersion, columns, shapes }
+ *   and per season a `days` object ({ start, count, gaps, shapes, values }) instead of dailyData
+ */
+function encodeCompactSeasonData(data) {
+    const dataSeason = compactCalendar.getDataSeason(data);
+    const shapes = [];
+    const shapeIndex = new Map();
+    const columnValues = new Map();
+    let derivedDayOfSeason = true;
+
+    for (const season of data.seasons) {
+        for (const record of season.dailyData) {
+            const keys = Object.keys(record);
+            const shapeKey = keys.join(',');
+            if (!shapeIndex.has(shapeKey)) {
+                shapeIndex.set(shapeKey, shapes.length);
+                shapes.push(keys);
+            }
+            for (const key of keys) {
+                if (key === 'date') {
+                    continue;
+                }
+                if (!columnValues.has(key)) {
+                    columnValues.set(key, []);
+                }
+                columnValues.get(key).push(record[key]);
+            }
+            if (record.dayOfSeason !== compactCalendar.getDayOfSeason(record.date, dataSeason)) {
+                derivedDayOfSeason = false;
+            }
+        }
+    }
+
+    if (derivedDayOfSeason) {
+        columnValues.delete('dayOfSeason');
+    }
+
+    const columns = {};
+    const dictionaryIndexes = {};
+    for (const [key, values] of columnValues) {
+        columns[key] = describeColumn(key, values);
+        if (columns[key].type === 'dictionary') {
+            dictionaryIndexes[key] = new Map(columns[key].dictionary.map((value, index) => [JSON.stringify(value), index]));
+        }
+    }
+
+    const seasons = data.seasons.map(season => {
+        const records = season.dailyData;
+        const days = { start: records.length > 0 ? records[0].date : null, count: records.length, gaps: [], shapes: [], values: {} };
+
+        records.forEach((record, index) => {
+            if (index > 0) {
+                const step = countDaysBetween(records[index - 1].date, record.date);
+                if (step !== 1) {
+                    days.gaps.push([index, step]);
+                }
+            }
+
+            const shape = shapeIndex.get(Object.keys(record).join(','));
+            const lastRun = days.shapes[days.shapes.length - 1];
+            if (lastRun && lastRun[0] === shape) {
+                lastRun[1]++;
+            } else {
+                days.shapes.push([shape, 1]);
+            }
+        });
+
+        for (const [key, column] of Object.entries(columns)) {
+            const values = records.filter(record => key in record).map(record => record[key]);
+            if (values.length > 0) {
+                days.values[key] = encodeColumnValues(column, values, dictionaryIndexes[key]);
+            }
+        }
+
+        return Object.fromEntries(Object.entries(season).map(([key, value]) => (
+            key === 'dailyData' ? ['days', days] : [key, value]
+        )));
+    });
+
+    const { seasons: _seasons, ...metadata } = data;
+    return { format: COMPACT_FORMAT, formatVersion: COMPACT_FORMAT_VERSION, ...metadata, columns, shapes, seasons };
+}
+
+/**
+ * Rebuild the daily records of one season
+ * @param {Object} days - The season's `days` object
+ * @param {Object} compact - Compact file (columns and shapes)
+ * @param {number[][]} dayOfSeasonTable - From buildDayOfSeasonTable() for the file's season window
+ * @returns {Object[]} Daily records in the regular layout
+ */
+function decodeDays(days, compact, dayOfSeasonTable) {
+    // One cursor per stored column; records take the next value of each field they have
+    const cursors = {};
+    for (const [key, stored] of Object.entries(days.values || {})) {
+        if (!compact.columns[key]) {
+            throw new Error(`values for "${key}" have no column description`);
+        }
+        cursors[key] = { key, values: decodeColumnValues(compact.columns[key], stored), position: 0 };
+    }
+    const deriveDayOfSeason = !cursors.dayOfSeason;
+
+    const gaps = new Map(days.gaps || []);
+    const records = [];
+    let time = Date.parse(`${days.start}T00:00:00Z`);
+
+    for (const [shape, count] of days.shapes) {
+        const keys = compact.shapes[shape];
+        if (!keys) {
+            throw new Error(`shape ${shape} is not defined`);
+        }
+        const fields = keys.map(key => (
+            key === 'date' || (key === 'dayOfSeason' && deriveDayOfSeason) ? key : cursors[key] || { key, values: [], position: 0 }
+        ));
+
+        for (let run = 0; run < count; run++) {
+            const index = records.length;
+            if (index > 0) {
+                time += (gaps.has(index) ? gaps.get(index) : 1) * DAY_MS;
+            }
+            const date = new Date(time);
+            const month = date.getUTCMonth() + 1;
+            const day = date.getUTCDate();
+
+            const record = {};
+            for (const field of fields) {
+                if (field === 'date') {
+                    record.date = formatIsoDate(date.getUTCFullYear(), month, day);
+                } else if (field === 'dayOfSeason') {
+                    record.dayOfSeason = dayOfSeasonTable[month][day];
+                } else {
+                    if (field.position >= field.values.length) {
+                        throw new Error(`the ${field.key} values end before record ${index + 1}`);
+                    }
+                    record[field.key] = field.values[field.position++];
+                }
+            }
+            records.push(record);
+        }
+    }
+
+    if (records.length !== days.count) {
+        throw new Error(`expected ${days.count} records, found ${records.length}`);
+    }
+    return records;
+}
+
+/**
+ * Decode a compact season file back into the regular layout
+ * @param {Object} compact - Parsed compact file
+ * @returns {Object} Season data file as encodeCompactSeasonData() was given it
+ * @throws {Error} If the file uses a newer format version or its columns do not add up;
+ *   the message names the season at fault
+ */
+function decodeCompactSeasonData(compact) {
+    if (!(compact.formatVersion <= COMPACT_FORMAT_VERSION)) {
+        throw new Error(`The file uses compact format version ${compact.formatVersion}; this version reads up to ${COMPACT_FORMAT_VERSION}`);
+    }
+    if (!Array.isArray(compact.seasons) || !compact.columns || !Array.isArray(compact.shapes)) {
+        throw new Error('The compact file is missing its seasons, columns or shapes');
+    }
+
+    const data = {};
+    for (const [key, value] of Object.entries(compact)) {
+        if (!COMPACT_ONLY_FIELDS.includes(key) && key !== 'seasons') {
+            data[key] = value;
+        }
+    }
+
+    const dayOfSeasonTable = buildDayOfSeasonTable(compactCalendar.getDataSeason(compact));
+    data.seasons = compact.seasons.map((season, index) => {
+        let dailyData;
+        try {
+            dailyData = decodeDays(season.days || {}, compact, dayOfSeasonTable);
+        } catch (error) {
+            throw new Error(`Season ${season.season || `#${index + 1}`}: ${error.message}`);
+        }
+        return Object.fromEntries(Object.entries(season).map(([key, value]) => (
+            key === 'days' ? ['dailyData', dailyData] : [key, value]
+        )));
+    });
+
+    return data;
+}
+
+// Export for Node.js (scripts and tests) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPACT_FORMAT,
+        COMPACT_FORMAT_VERSION,
+        isCompactSeasonData,
+        encodeCompactSeasonData,
+        decodeCompactSeasonData
+    };
+} else if (typeof window !== 'undefined') {
+    window.COMPACT_FORMAT = COMPACT_FORMAT;
+    window.COMPACT_FORMAT_VERSION = COMPACT_FORMAT_VERSION;
+    window.isCompactSeasonData = isCompactSeasonData;
+    window.encodeCompactSeasonData = encodeCompactSeasonData;
+    window.decodeCompactSeasonData = decodeCompactSeasonData;
+}
@@ -1,73 +1,59 @@
 // Data processing functions for snowfall calculations
+// Daily and cumulative snowfall come from snowfall-calculations.js, which index.html loads first
 
-/**
- * Calculate daily snowfall from snow depth changes
- * Rule: snowfall[i] = max(0, depth[i] - depth[i-1])
- * Negative depth changes (settling/melt) produce zero snowfall
- * @param {number[]} depths - Array of snow depth measurements
- * @returns {number[]} Array of daily snowfall values
- */
-function calculateDailySnowfall(depths) {
-    if (!Array.isArray(depths) || depths.length === 0) {
-        return [];
-    }
-
-    const dailySnowfall = [];
-
-    // First day has no previous day, so snowfall equals depth (if positive)
-    dailySnowfall.push(Math.max(0, depths[0] || 0));
-
-    // For subsequent days, calculate difference from previous day
-    for (let i = 1; i < depths.length; i++) {
-        const currentDepth = depths[i] || 0;
-        const previousDepth = depths[i - 1] || 0;
-        const snowfall = Math.max(0, currentDepth - previousDepth);
-        dailySnowfall.push(snowfall);
-    }
-
-    return dailySnowfall;
-}
-
-/**
- * Calculate cumulative snowfall from daily values
- * Rule: cumulative[i] = sum(daily[0..i])
- * @param {number[]} dailyValues - Array of daily snowfall values
- * @returns {number[]} Array of cumulative snowfall values
- */
-function calculateCumulative(dailyValues) {
-    if (!Array.isArray(dailyValues) || dailyValues.length === 0) {
-        return [];
-    }
-
-    const cumulative = [];
-    let runningTotal = 0;
-
-    for (let i = 0; i < dailyValues.length; i++) {
-        runningTotal += dailyValues[i] || 0;
-        cumulative.push(runningTotal);
-    }
-
-    return cumulative;
-}
+const snowfallEngine = typeof module !== 'undefined' && module.exports
+    ? require('./snowfall-calculations.js')
+    : window;
 
 /**
  * Filter seasons by year range
  * @param {Object[]} seasons - Array of season objects with startYear property
  * @param {number} startYear - Minimum year to include
  * @param {number} endYear - Maximum year to include
+ * @param {Object} options - Filter options
+ * @param {boolean} options.includePartial - Keep partial historical seasons (default: true)
  * @returns {Object[]} Filtered array of seasons
  */
-function filterSeasonsByRange(seasons, startYear, endYear) {
+function filterSeasonsByRange(seasons, startYear, endYear, { includePartial = true } = {}) {
     if (!Array.isArray(seasons)) {
         return [];
     }
 
     return seasons.filter(season => {
         const year = season.startYear;
-        return year >= startYear && year <= endYear;
+        return year >= startYear && year <= endYear && (includePartial || !isPartialSeason(season));
     });
 }
 
+/**
+ * Check whether a finished season is missing too much data to compare with the others
+ * The season in progress is not partial: it is incomplete only because it has not ended.
+ * @param {Object} season - Season object
+ * @returns {boolean} True if the pipeline tagged the season "partial-historical"
+ */
+function isPartialSeason(season) {
+    return Boolean(season) && season.status === 'partial-historical';
+}
+
+/**
+ * Check whether a season has daily temperatures (maxTemperature/minTemperature)
+ * @param {Object} season - Season object with dailyData
+ * @returns {boolean} True if any day has a high or low temperature
+ */
+function hasTemperatureData(season) {
+    return Boolean(season && season.dailyData) && season.dailyData.some(day =>
+        typeof day.maxTemperature === 'number' || typeof day.minTemperature === 'number');
+}
+
+/**
+ * Check whether a season has daily liquid precipitation
+ * @param {Object} season - Season object with dailyData
+ * @returns {boolean} True if any day has a precipitation value
+ */
+function hasPrecipitationData(season) {
+    return Boolean(season && season.dailyData) && season.dailyData.some(day => typeof day.precipitation === 'number');
+}
+
 /**
  * Get axis bounds from season data
  * @param {Object[]} seasons - Array of season objects with dailyData
@@ -124,18 +110,181 @@ function getAxisBounds(seasons) {
     };
 }
 
+/**
+ * Check whether a season's snowfall was derived from snow depth (and can be re-estimated)
+ * @param {Object} season - Season object
+ * @returns {boolean} True if the season records a depth-based estimator
+ */
+function isDepthDerivedSeason(season) {
+    return Boolean(season && season.estimator && season.estimator.name !== 'reported');
+}
+
+/**
+ * Get the decimal places a data file's cumulative totals were written with
+ * @param {Object} data - Parsed season data file
+ * @returns {number|null} Precision recorded in the file's provenance, null for files without it
+ */
+function getDataPrecision(data) {
+    const parameters = data && data.provenance && data.provenance.parameters;
+    return parameters && typeof parameters.precision === 'number' ? parameters.precision : null;
+}
+
+/**
+ * Recompute depth-derived seasons with a different snowfall estimator
+ * Uses the policies recorded on each season, so only the estimator changes. Seasons
+ * with reported snowfall are returned unchanged; the input is not modified.
+ * @param {Object[]} seasons - Array of season objects
+ * @param {string} estimator - Estimator name, e.g. 'naive' or 'settling'
+ * @param {number} settlingRate - Daily compaction for 'settling' (default: the season's or the engine default)
+ * @param {number|null} precision - Decimal places the file's cumulative totals were written with,
+ *   see getDataPrecision() (default: the season's daily precision)
+ * @returns {Object[]} Seasons with recomputed daily, cumulative and total snowfall
+ */
+function applySnowfallEstimator(seasons, estimator, settlingRate, precision = null) {
+    if (!Array.isArray(seasons)) {
+        return [];
+    }
+
+    return seasons.map(season => {
+        if (!isDepthDerivedSeason(season) || !Array.isArray(season.dailyData)) {
+            return season;
+        }
+
+        const { name, ...recorded } = season.estimator;
+        const policies = { ...recorded, estimator };
+        if (estimator === 'settling' && settlingRate !== undefined) {
+            policies.settlingRate = settlingRate;
+        }
+
+        const dailySnowfall = snowfallEngine.calculateDailySnowfall(
+            season.dailyData.map(day => day.snowDepth),
+            policies,
+            season.dailyData.map(day => day.date)
+        );
+        // Round totals like the pipeline did, so the default estimator reproduces the file
+        const cumulative = snowfallEngine.calculateCumulative(dailySnowfall, {
+            precision: precision !== null ? precision : policies.precision
+        });
+
+        return {
+            ...season,
+            totalSnowfall: cumulative.length > 0 ? cumulative[cumulative.length - 1] : 0,
+            estimator: snowfallEngine.describeSnowfallEstimator(policies),
+            dailyData: season.dailyData.map((day, i) => ({
+                ...day,
+                dailySnowfall: dailySnowfall[i],
+                cumulativeSnowfall: cumulative[i]
+            }))
+        };
+    });
+}
+
+// Processing parameters with their own line in the data details; the rest share one line
+const PROVENANCE_MAIN_PARAMETERS = ['season', 'estimator', 'precision'];
+
+/**
+ * Format a processing parameter for display
+ * @param {*} value - Parameter value from the file's provenance
+ * @returns {string} e.g. "spread", "none", "settling (settlingRate: 0.02)"
+ */
+function formatProvenanceValue(value) {
+    if (value === null || value === undefined) {
+        return 'none';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'yes' : 'no';
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatProvenanceValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        const { name, ...rest } = value;
+        const details = Object.entries(rest).map(([key, entry]) => `${key}: ${formatProvenanceValue(entry)}`).join(', ');
+        if (name === undefined) {
+            return details;
+        }
+        return details ? `${name} (${details})` : String(name);
+    }
+    return String(value);
+}
+
+/**
+ * Describe where a data file came from, for the "Data details" panel
+ * @param {Object} data - Parsed season data file
+ * @returns {{label: string, value: string}[]} One line per fact, empty when the file has no provenance
+ */
+function describeDataProvenance(data) {
+    const provenance = data && data.provenance;
+    if (!provenance) {
+        return [];
+    }
+
+    const lines = [{ label: 'Schema version', value: String(data.schemaVersion) }];
+    const { generator, generatedAt, inputs = [], rows, parameters = {} } = provenance;
+
+    lines.push({ label: 'Generated', value: `${String(generatedAt).split('T')[0]} by ${generator.script} ${generator.version}` });
+
+    for (const input of inputs) {
+        const details = [
+            typeof input.rowsRead === 'number' ? `${input.rowsRead.toLocaleString('en-US')} rows` : null,
+            typeof input.bytes === 'number' ? `${(input.bytes / 1024 / 1024).toFixed(1)} MB` : null,
+            `SHA-256 ${input.sha256.slice(0, 12)}…`
+        ].filter(Boolean);
+        lines.push({ label: input.role === 'neighbor' ? 'Neighbor input' : 'Input', value: `${input.file} (${details.join(', ')})` });
+    }
+
+    if (rows) {
+        const skipped = Object.entries(rows.skipped || {});
+        const skippedCount = skipped.reduce((sum, [, count]) => sum + count, 0);
+        const reasons = skipped.map(([reason, count]) => `${count} ${reason}`).join('; ');
+        lines.push({
+            label: 'Rows',
+            value: `${rows.read.toLocaleString('en-US')} read, ${skippedCount.toLocaleString('en-US')} skipped${reasons ? ` (${reasons})` : ''}`
+        });
+    }
+
+    if (parameters.season) {
+        lines.push({ label: 'Season', value: `${parameters.season.name} (${parameters.season.start} to ${parameters.season.end})` });
+    }
+    if (parameters.estimator !== undefined) {
+        lines.push({ label: 'Estimator', value: formatProvenanceValue(parameters.estimator) });
+    }
+    if (typeof parameters.precision === 'number') {
+        lines.push({ label: 'Rounding', value: `${parameters.precision} decimal place${parameters.precision === 1 ? '' : 's'}` });
+    }
+
+    const others = Object.entries(parameters).filter(([key]) => !PROVENANCE_MAIN_PARAMETERS.includes(key));
+    if (others.length > 0) {
+        lines.push({ label: 'Options', value: others.map(([key, value]) => `${key}: ${formatProvenanceValue(value)}`).join(', ') });
+    }
+
+    return lines;
+}
+
 // Export functions for testing (Node.js environment)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-        calculateDailySnowfall,
-        calculateCumulative,
+        calculateDailySnowfall: snowfallEngine.calculateDailySnowfall,
+        calculateCumulative: snowfallEngine.calculateCumulative,
         filterSeasonsByRange,
-        getAxisBounds
+        isPartialSeason,
+        hasTemperatureData,
+        hasPrecipitationData,
+        getAxisBounds,
+        isDepthDerivedSeason,
+        getDataPrecision,
+        applySnowfallEstimator,
+        describeDataProvenance
     };
 } else if (typeof window !== 'undefined') {
     // Make functions available globally in browser
-    window.calculateDailySnowfall = calculateDailySnowfall;
-    window.calculateCumulative = calculateCumulative;
     window.filterSeasonsByRange = filterSeasonsByRange;
+    window.isPartialSeason = isPartialSeason;
+    window.hasTemperatureData = hasTemperatureData;
+    window.hasPrecipitationData = hasPrecipitationData;
     window.getAxisBounds = getAxisBounds;
+    window.isDepthDerivedSeason = isDepthDerivedSeason;
+    window.getDataPrecision = getDataPrecision;
+    window.applySnowfallEstimator = applySnowfallEstimator;
+    window.describeDataProvenance = describeDataProvenance;
 }
\ No newline at end of file
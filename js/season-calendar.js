@@ -0,0 +1,364 @@
+/**
+ * Season calendar
+ * Defines what a season is (its first and last day) and the day-of-season math for it.
+ * This is the single copy used by the browser (index.html), the data scripts and the tests:
+ * the processors write the season definition into each data file, and the chart reads it
+ * back for its axis, tooltips, season labels and the footer.
+ */
+
+// Named season definitions, first and last day as MM-DD
+const SEASON_PRESETS = {
+    ski: { start: '08-01', end: '07-31' },          // Full year from Aug 1 (default)
+    'water-year': { start: '10-01', end: '09-30' }, // Hydrological water year
+    resort: { start: '11-01', end: '04-30' }        // Typical lift-served season
+};
+
+const DEFAULT_SEASON_NAME = 'ski';
+
+/**
+ * Feb 29 policy: days of season are counted on a 366-day calendar in which Feb 29 always
+ * has its own index. Seasons without a Feb 29 leave that index empty, so every other
+ * calendar date (e.g. Mar 1) has the same day of season in every season, and a full-year
+ * season always ends on day 365.
+ */
+const DAYS_IN_SEASON_CALENDAR = 366;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Parse a month and day given as MM-DD
+ * @param {string} value - Month and day, e.g. "08-01" or "10-01"
+ * @param {string} what - What the value is, for the error message
+ * @returns {{month: number, day: number}} 1-based month and day
+ * @throws {Error} If the value is not a valid MM-DD date (Feb 29 is not accepted)
+ */
+function parseMonthDay(value, what = 'season start') {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+    const month = match ? Number(match[1]) : NaN;
+    const day = match ? Number(match[2]) : NaN;
+    const daysInMonth = new Date(Date.UTC(2001, month, 0)).getUTCDate(); // Non-leap year: Feb 29 is not valid
+
+    if (!(month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth)) {
+        throw new Error(`Invalid ${what} "${value}" (expected MM-DD, e.g. 08-01)`);
+    }
+
+    return { month, day };
+}
+
+/**
+ * Format a month and day as MM-DD
+ * @param {{month: number, day: number}} monthDay - Month and day
+ * @returns {string} e.g. "08-01"
+ */
+function formatMonthDay(monthDay) {
+    return `${String(monthDay.month).padStart(2, '0')}-${String(monthDay.day).padStart(2, '0')}`;
+}
+
+/**
+ * Count the days from a season start to a month and day on the 366-day season calendar
+ * The month and day are placed in a reference season that contains Feb 29: it starts in
+ * 2000 when the season starts in January or February, and in 1999 otherwise.
+ * @param {{month: number, day: number}} monthDay - Month and day
+ * @param {{month: number, day: number}} start - Season start
+ * @returns {number} Day of season (0-365)
+ */
+function countSeasonDays(monthDay, start) {
+    const referenceYear = start.month <= 2 ? 2000 : 1999;
+    const onOrAfterStart = monthDay.month > start.month || (monthDay.month === start.month && monthDay.day >= start.day);
+    const date = Date.UTC(onOrAfterStart ? referenceYear : referenceYear + 1, monthDay.month - 1, monthDay.day);
+
+    return Math.round((date - Date.UTC(referenceYear, start.month - 1, start.day)) / MS_PER_DAY);
+}
+
+/**
+ * Resolve a season definition
+ * Accepts a preset name ("ski", "water-year", "resort"), "MM-DD..MM-DD", a start date
+ * alone ("MM-DD", a full year from that day) or { start, end } with MM-DD strings or
+ * { month, day } objects. Without an end the season runs until the day before its start.
+ * @param {string|Object} definition - Season definition (default: "ski", Aug 1 - Jul 31)
+ * @returns {{name: string, start: {month: number, day: number}, end: {month: number, day: number}}} Season
+ * @throws {Error} On an unknown preset or invalid dates
+ */
+function resolveSeason(definition = DEFAULT_SEASON_NAME) {
+    let start;
+    let end;
+
+    if (typeof definition === 'string' && SEASON_PRESETS[definition]) {
+        ({ start, end } = SEASON_PRESETS[definition]);
+    } else if (typeof definition === 'string' && /^[\d-]+(\.\.[\d-]+)?$/.test(definition.trim())) {
+        [start, end] = definition.trim().split('..');
+    } else if (definition && typeof definition === 'object' && definition.start) {
+        ({ start, end } = definition);
+    } else {
+        throw new Error(`Unknown season "${typeof definition === 'object' ? JSON.stringify(definition) : definition}" ` +
+            `(expected ${Object.keys(SEASON_PRESETS).join(', ')}, MM-DD or MM-DD..MM-DD)`);
+    }
+
+    const startDay = typeof start === 'string' ? parseMonthDay(start, 'season start') : parseMonthDay(formatMonthDay(start), 'season start');
+    let endDay;
+    if (end === undefined || end === null) {
+        // The day before the start, on a non-leap calendar
+        const dayBefore = new Date(Date.UTC(2001, startDay.month - 1, startDay.day - 1));
+        endDay = { month: dayBefore.getUTCMonth() + 1, day: dayBefore.getUTCDate() };
+    } else {
+        endDay = typeof end === 'string' ? parseMonthDay(end, 'season end') : parseMonthDay(formatMonthDay(end), 'season end');
+    }
+
+    const key = `${formatMonthDay(startDay)}..${formatMonthDay(endDay)}`;
+    const preset = Object.keys(SEASON_PRESETS).find(name => `${SEASON_PRESETS[name].start}..${SEASON_PRESETS[name].end}` === key);
+
+    return { name: preset || 'custom', start: startDay, end: endDay };
+}
+
+/**
+ * Get the calendar year, month and day of a date
+ * Dates are calendar days at midnight UTC, so the local time zone and daylight saving
+ * time never move a date to a neighboring day.
+ * @param {Date|string} date - UTC date or YYYY-MM-DD string
+ * @returns {{year: number, month: number, day: number}} 1-based month and day
+ */
+function getCalendarDate(date) {
+    if (typeof date === 'string') {
+        const [year, month, day] = date.split('-').map(Number);
+        return { year, month, day };
+    }
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Get the calendar year in which the season containing a date starts
+ * @param {Date|string} date - UTC date or YYYY-MM-DD string
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {number} Season start year
+ */
+function getSeasonStartYear(date, season = resolveSeason()) {
+    const { year, month, day } = getCalendarDate(date);
+    const { start } = season;
+    const onOrAfterStart = month > start.month || (month === start.month && day >= start.day);
+
+    return onOrAfterStart ? year : year - 1;
+}
+
+/**
+ * Get day of season (0-365, where the season start = 0)
+ * Counts on the 366-day season calendar, see DAYS_IN_SEASON_CALENDAR
+ * @param {Date|string} date - UTC date or YYYY-MM-DD string
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {number} Day of season
+ */
+function getDayOfSeason(date, season = resolveSeason()) {
+    return countSeasonDays(getCalendarDate(date), season.start);
+}
+
+/**
+ * Get the day of season of a season's last day
+ * A season ending Feb 28 also includes Feb 29 in leap years.
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {number} Last day of season (365 for a full year)
+ */
+function getLastDayOfSeason(season = resolveSeason()) {
+    const endsOnFeb28 = season.end.month === 2 && season.end.day === 28;
+    return countSeasonDays(endsOnFeb28 ? { month: 2, day: 29 } : season.end, season.start);
+}
+
+/**
+ * Check whether a date falls inside a season window
+ * Always true for full-year seasons; false e.g. for July with a Nov 1 - Apr 30 season.
+ * @param {Date|string} date - UTC date or YYYY-MM-DD string
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {boolean} True if the date belongs to a season
+ */
+function isInSeason(date, season = resolveSeason()) {
+    return getDayOfSeason(date, season) <= getLastDayOfSeason(season);
+}
+
+/**
+ * Check whether a season ends in the calendar year after it starts
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {boolean} True for e.g. Aug 1 - Jul 31, false for Jan 1 - Dec 31
+ */
+function spansNewYear(season = resolveSeason()) {
+    return formatMonthDay(season.end) < formatMonthDay(season.start);
+}
+
+/**
+ * Format a season's name from its start year
+ * @param {number} startYear - Season start year
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {string} "2023-24" for seasons spanning the new year, "2023" otherwise
+ */
+function formatSeasonName(startYear, season = resolveSeason()) {
+    return spansNewYear(season) ? `${startYear}-${String(startYear + 1).slice(-2)}` : String(startYear);
+}
+
+/**
+ * Get the name of the season containing a date
+ * @param {Date|string} date - UTC date or YYYY-MM-DD string
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {string|null} Season name, or null for dates outside the season window
+ */
+function getSeasonName(date, season = resolveSeason()) {
+    return isInSeason(date, season) ? formatSeasonName(getSeasonStartYear(date, season), season) : null;
+}
+
+/**
+ * Get the first and last date of a season
+ * Seasons ending Feb 28 end on Feb 29 in leap years (see getLastDayOfSeason).
+ * @param {number} startYear - Season start year
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {{start: string, end: string}} Dates in YYYY-MM-DD format
+ */
+function getSeasonDateRange(startYear, season = resolveSeason()) {
+    const endYear = spansNewYear(season) ? startYear + 1 : startYear;
+    const endsOnLeapDay = season.end.month === 2 && season.end.day === 28 &&
+        new Date(Date.UTC(endYear, 1, 29)).getUTCDate() === 29;
+
+    return {
+        start: `${startYear}-${formatMonthDay(season.start)}`,
+        end: `${endYear}-${endsOnLeapDay ? '02-29' : formatMonthDay(season.end)}`
+    };
+}
+
+/**
+ * Get the calendar date of a day of season
+ * Inverse of getDayOfSeason(): in seasons without Feb 29 the day of season after Feb 28
+ * has no date.
+ * @param {number} startYear - Season start year
+ * @param {number} dayOfSeason - Day of season (0-365)
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {string|null} Date in YYYY-MM-DD format, or null for the skipped Feb 29
+ */
+function getDateOfDayOfSeason(startYear, dayOfSeason, season = resolveSeason()) {
+    const februaryYear = season.start.month <= 2 ? startYear : startYear + 1;
+    const hasLeapDay = new Date(Date.UTC(februaryYear, 1, 29)).getUTCDate() === 29;
+    const leapDayIndex = countSeasonDays({ month: 2, day: 29 }, season.start);
+
+    if (!hasLeapDay && dayOfSeason === leapDayIndex) {
+        return null;
+    }
+
+    const offset = !hasLeapDay && dayOfSeason > leapDayIndex ? dayOfSeason - 1 : dayOfSeason;
+    return new Date(Date.UTC(startYear, season.start.month - 1, season.start.day + offset)).toISOString().split('T')[0];
+}
+
+/**
+ * Get the month a day of season falls in
+ * Uses the 366-day season calendar, so the Feb 29 index is in February.
+ * @param {number} dayOfSeason - Day of season (0-365)
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {string} Month abbreviation, e.g. "Jan"
+ */
+function getMonthOfDayOfSeason(dayOfSeason, season = resolveSeason()) {
+    const referenceYear = season.start.month <= 2 ? 2000 : 1999; // A season with Feb 29
+    const date = getDateOfDayOfSeason(referenceYear, Math.round(dayOfSeason), season);
+
+    return MONTH_ABBREVIATIONS[getCalendarDate(date).month - 1];
+}
+
+/**
+ * List the days of season on which a calendar month starts
+ * Months whose first day is before the season start (a season starting mid-month) or
+ * after its end are left out.
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {{dayOfSeason: number, label: string}[]} Month starts in season order
+ */
+function getMonthStartDays(season = resolveSeason()) {
+    const lastDay = getLastDayOfSeason(season);
+
+    return MONTH_ABBREVIATIONS
+        .map((label, i) => ({ dayOfSeason: countSeasonDays({ month: i + 1, day: 1 }, season.start), label }))
+        .filter(month => month.dayOfSeason <= lastDay)
+        .sort((a, b) => a.dayOfSeason - b.dayOfSeason);
+}
+
+/**
+ * Format a date as month and day for people
+ * @param {Date|string} date - UTC date or YYYY-MM-DD string
+ * @returns {string} e.g. "Jan 14"
+ */
+function formatShortDate(date) {
+    const { month, day } = getCalendarDate(date);
+    return `${MONTH_ABBREVIATIONS[month - 1]} ${day}`;
+}
+
+/**
+ * Describe a season's window for people, e.g. in the footer
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {string} "Aug-Jul" for whole months, otherwise e.g. "Nov 15-Apr 30"
+ */
+function describeSeason(season = resolveSeason()) {
+    const { start, end } = season;
+    const endsOnMonthEnd = end.day === new Date(Date.UTC(2001, end.month, 0)).getUTCDate();
+
+    if (start.day === 1 && endsOnMonthEnd) {
+        return `${MONTH_ABBREVIATIONS[start.month - 1]}-${MONTH_ABBREVIATIONS[end.month - 1]}`;
+    }
+    return `${MONTH_ABBREVIATIONS[start.month - 1]} ${start.day}-${MONTH_ABBREVIATIONS[end.month - 1]} ${end.day}`;
+}
+
+/**
+ * Tell whether two seasons cover the same window
+ * @param {Object} a - Season from resolveSeason()
+ * @param {Object} b - Season from resolveSeason()
+ * @returns {boolean} True if both start and end on the same month and day
+ */
+function isSameSeason(a, b) {
+    return formatMonthDay(a.start) === formatMonthDay(b.start) && formatMonthDay(a.end) === formatMonthDay(b.end);
+}
+
+/**
+ * Read the season definition of a data file
+ * Files from before seasonEnd was written cover a full year from seasonStart.
+ * @param {Object} data - Parsed season file
+ * @returns {Object} Season from resolveSeason()
+ */
+function getDataSeason(data) {
+    if (!data || !data.seasonStart) {
+        return resolveSeason();
+    }
+    return resolveSeason({ start: data.seasonStart, end: data.seasonEnd });
+}
+
+// Export for Node.js (scripts and tests) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEASON_PRESETS,
+        DEFAULT_SEASON_NAME,
+        DAYS_IN_SEASON_CALENDAR,
+        parseMonthDay,
+        formatMonthDay,
+        resolveSeason,
+        getCalendarDate,
+        getSeasonStartYear,
+        getDayOfSeason,
+        getLastDayOfSeason,
+        isInSeason,
+        spansNewYear,
+        formatSeasonName,
+        getSeasonName,
+        getSeasonDateRange,
+        getDateOfDayOfSeason,
+        getMonthOfDayOfSeason,
+        getMonthStartDays,
+        formatShortDate,
+        describeSeason,
+        isSameSeason,
+        getDataSeason
+    };
+} else if (typeof window !== 'undefined') {
+    window.SEASON_PRESETS = SEASON_PRESETS;
+    window.resolveSeason = resolveSeason;
+    window.getDayOfSeason = getDayOfSeason;
+    window.getLastDayOfSeason = getLastDayOfSeason;
+    window.formatSeasonName = formatSeasonName;
+    window.getSeasonDateRange = getSeasonDateRange;
+    window.getDateOfDayOfSeason = getDateOfDayOfSeason;
+    window.getMonthOfDayOfSeason = getMonthOfDayOfSeason;
+    window.getMonthStartDays = getMonthStartDays;
+    window.formatShortDate = formatShortDate;
+    window.describeSeason = describeSeason;
+    window.isSameSeason = isSameSeason;
+    window.getDataSeason = getDataSeason;
+}
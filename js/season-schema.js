@@ -0,0 +1,346 @@
+/**
+ * Season data file schema
+ * JSON Schema (draft-07 keywords) for the files the processors write and the page loads,
+ * and a small validator for the keywords it uses. The processors validate before writing
+ * and loadSnowfallData() validates after fetching, so a bad file is rejected with the
+ * season and record at fault instead of breaking the chart.
+ */
+
+// Bump when a change to the file layout would break readers of the previous version
+const SEASON_DATA_SCHEMA_VERSION = 1;
+
+// Problems listed before the rest are summarized
+const DEFAULT_MAX_SCHEMA_PROBLEMS = 5;
+
+// How "type" names read in error messages
+const SCHEMA_TYPE_NAMES = {
+    null: 'null',
+    array: 'an array',
+    object: 'an object',
+    integer: 'a whole number',
+    number: 'a number',
+    string: 'a string',
+    boolean: 'true or false'
+};
+
+const NUMBER_OR_NULL = { type: ['number', 'null'] };
+const NON_NEGATIVE_INTEGER = { type: 'integer', minimum: 0 };
+const DATE_STRING = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', examples: ['2024-01-14'] };
+const MONTH_DAY_STRING = { type: 'string', pattern: '^\\d{2}-\\d{2}$', examples: ['08-01'] };
+const OBSERVATION_FLAGS = {
+    type: 'object',
+    properties: {
+        measurement: { type: 'string' },
+        quality: { type: 'string' },
+        source: { type: 'string' },
+        time: { type: 'string' }
+    }
+};
+
+const DAILY_RECORD_SCHEMA = {
+    type: 'object',
+    required: ['date', 'dayOfSeason', 'dailySnowfall', 'cumulativeSnowfall'],
+    properties: {
+        date: DATE_STRING,
+        dayOfSeason: { type: 'integer', minimum: 0, maximum: 365 },
+        snowDepth: { type: ['number', 'null'], minimum: 0 },
+        dailySnowfall: { type: ['number', 'null'], minimum: 0 },
+        cumulativeSnowfall: { type: 'number', minimum: 0 },
+        snowStatus: {
+            enum: ['observed', 'trace', 'presumed-zero', 'missing', 'qc-failed', 'distributed', 'accumulated', 'imputed', 'derived']
+        },
+        snowDepthStatus: { enum: ['observed', 'trace', 'presumed-zero', 'missing', 'qc-failed'] },
+        flags: {
+            type: 'object',
+            properties: { snow: OBSERVATION_FLAGS, snowDepth: OBSERVATION_FLAGS }
+        },
+        depthSnowfall: NUMBER_OR_NULL,
+        snowfallDiscrepancy: NUMBER_OR_NULL,
+        precipitation: { type: ['number', 'null'], minimum: 0 },
+        snowToLiquidRatio: { type: 'number', minimum: 0 },
+        maxTemperature: NUMBER_OR_NULL,
+        minTemperature: NUMBER_OR_NULL,
+        accumulation: {
+            type: 'object',
+            required: ['reportDate', 'periodDays', 'total', 'method'],
+            properties: {
+                reportDate: DATE_STRING,
+                periodDays: { type: 'integer', minimum: 1 },
+                total: { type: 'number', minimum: 0 },
+                method: { enum: ['spread', 'lump'] }
+            }
+        },
+        imputation: {
+            type: 'object',
+            required: ['stationId', 'neighborSnowfall', 'ratio'],
+            properties: {
+                stationId: { type: 'string' },
+                neighborSnowfall: { type: 'number', minimum: 0 },
+                ratio: { type: 'number', minimum: 0 }
+            }
+        }
+    }
+};
+
+const SEASON_SCHEMA = {
+    type: 'object',
+    required: ['season', 'startYear', 'totalSnowfall', 'dailyData'],
+    properties: {
+        season: { type: 'string', pattern: '^\\d{4}(-\\d{2})?$', examples: ['2023-24'] },
+        startYear: { type: 'integer' },
+        status: { enum: ['complete', 'partial-historical', 'in-progress'] },
+        coverage: { type: 'number', minimum: 0, maximum: 100 },
+        totalSnowfall: { type: 'number', minimum: 0 },
+        traceDays: NON_NEGATIVE_INTEGER,
+        presumedZeroDays: NON_NEGATIVE_INTEGER,
+        missingDays: NON_NEGATIVE_INTEGER,
+        qcFailedDays: NON_NEGATIVE_INTEGER,
+        distributedDays: NON_NEGATIVE_INTEGER,
+        imputedDays: NON_NEGATIVE_INTEGER,
+        estimator: {
+            type: 'object',
+            required: ['name'],
+            properties: { name: { type: 'string' } }
+        },
+        discrepancy: { type: 'object' },
+        totalPrecipitation: NUMBER_OR_NULL,
+        snowToLiquid: {
+            type: 'object',
+            properties: {
+                ratio: NUMBER_OR_NULL,
+                snowDays: NON_NEGATIVE_INTEGER,
+                months: { type: 'array' }
+            }
+        },
+        dailyData: { type: 'array', items: DAILY_RECORD_SCHEMA }
+    }
+};
+
+// Where a file came from: inputs, row counts and processing options (scripts/lib/provenance.js)
+const PROVENANCE_SCHEMA = {
+    type: 'object',
+    required: ['generator', 'generatedAt', 'inputs', 'parameters'],
+    properties: {
+        generator: {
+            type: 'object',
+            required: ['script', 'version'],
+            properties: { script: { type: 'string' }, version: { type: 'string' } }
+        },
+        generatedAt: { type: 'string' },
+        inputs: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['file', 'sha256'],
+                properties: {
+                    file: { type: 'string' },
+                    bytes: NON_NEGATIVE_INTEGER,
+                    sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+                    role: { type: 'string' },
+                    rowsRead: NON_NEGATIVE_INTEGER
+                }
+            }
+        },
+        rows: {
+            type: ['object', 'null'],
+            properties: { read: NON_NEGATIVE_INTEGER, skipped: { type: 'object' }, records: NON_NEGATIVE_INTEGER }
+        },
+        parameters: { type: 'object' }
+    }
+};
+
+// The season data file (data/snowfall-data.json, and every station file in data/stations.json once decoded)
+const SEASON_DATA_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `season-data-v${SEASON_DATA_SCHEMA_VERSION}`,
+    title: 'Season data file',
+    type: 'object',
+    required: ['schemaVersion', 'units', 'seasons'],
+    properties: {
+        schemaVersion: { type: 'integer', minimum: 1 },
+        source: { type: 'string' },
+        stationId: { type: 'string' },
+        stationName: { type: 'string' },
+        elevation: NUMBER_OR_NULL,
+        units: { enum: ['inches'] },
+        seasonStart: MONTH_DAY_STRING,
+        seasonEnd: MONTH_DAY_STRING,
+        lastUpdated: DATE_STRING,
+        dataRange: { type: 'string' },
+        note: { type: 'string' },
+        provenance: PROVENANCE_SCHEMA,
+        seasons: { type: 'array', items: SEASON_SCHEMA }
+    }
+};
+
+/**
+ * Check a value against one of the schema's "type" names
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True if the value has that type
+ */
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Describe a value for an error message
+ * @param {*} value - Offending value
+ * @returns {string} e.g. 'null', 'an array', '"12"' or '-3'
+ */
+function describeSchemaValue(value) {
+    if (value === null || value === undefined) {
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    if (typeof value === 'object') {
+        return 'an object';
+    }
+    return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Collect the problems of a value against a schema (recursively)
+ * Supports type, enum, minimum, maximum, pattern, required, properties and items; fields
+ * the schema does not list are allowed.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema or sub-schema
+ * @param {Array<string|number>} path - Keys leading to the value
+ * @param {Object[]} problems - Collected { path, message } entries, appended to
+ */
+function collectSchemaProblems(value, schema, path, problems) {
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesSchemaType(value, type))) {
+            const expected = types.map(type => SCHEMA_TYPE_NAMES[type] || type).join(' or ');
+            problems.push({ path, message: `must be ${expected} (got ${describeSchemaValue(value)})` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push({ path, message: `must be one of ${schema.enum.join(', ')} (got ${describeSchemaValue(value)})` });
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push({ path, message: `must be at least ${schema.minimum} (got ${value})` });
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push({ path, message: `must be at most ${schema.maximum} (got ${value})` });
+        }
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        const expected = schema.examples ? `look like "${schema.examples[0]}"` : `match ${schema.pattern}`;
+        problems.push({ path, message: `must ${expected} (got ${describeSchemaValue(value)})` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => collectSchemaProblems(item, schema.items, [...path, index], problems));
+    }
+
+    if (matchesSchemaType(value, 'object')) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                problems.push({ path: [...path, key], message: 'is missing' });
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                collectSchemaProblems(value[key], propertySchema, [...path, key], problems);
+            }
+        }
+    }
+}
+
+/**
+ * Name the place of a problem in words
+ * Seasons are named by their season name and daily records by their date where the file has them.
+ * @param {Object} data - The checked file
+ * @param {Array<string|number>} path - Keys leading to the problem
+ * @returns {string} e.g. "Season 2023-24, record 2024-01-14: cumulativeSnowfall"
+ */
+function describeSchemaPath(data, path) {
+    const places = [];
+    let rest = path;
+
+    if (rest[0] === 'seasons' && typeof rest[1] === 'number') {
+        const season = data.seasons[rest[1]];
+        places.push(season && typeof season.season === 'string' ? `Season ${season.season}` : `Season #${rest[1] + 1}`);
+        rest = rest.slice(2);
+
+        if (rest[0] === 'dailyData' && typeof rest[1] === 'number') {
+            const record = season.dailyData[rest[1]];
+            places.push(record && typeof record.date === 'string' ? `record ${record.date}` : `record #${rest[1] + 1}`);
+            rest = rest.slice(2);
+        }
+    }
+
+    const field = rest.map((key, index) => (typeof key === 'number' ? `[${key}]` : `${index > 0 ? '.' : ''}${key}`)).join('');
+    if (places.length === 0) {
+        return field || 'The file';
+    }
+    return field ? `${places.join(', ')}: ${field}` : places.join(', ');
+}
+
+/**
+ * Validate a parsed season data file
+ * @param {*} data - Parsed JSON
+ * @param {Object} options - Validation options
+ * @param {number} options.maxProblems - Problems listed before the rest are counted
+ * @returns {string[]} Readable problems, e.g. "Season 2023-24, record 2024-01-14: cumulativeSnowfall
+ *   must be a number (got null)"; empty when the file is valid
+ */
+function validateSeasonData(data, { maxProblems = DEFAULT_MAX_SCHEMA_PROBLEMS } = {}) {
+    if (matchesSchemaType(data, 'object') && Number.isInteger(data.schemaVersion) &&
+        data.schemaVersion > SEASON_DATA_SCHEMA_VERSION) {
+        return [`The file uses schema version ${data.schemaVersion}; this version reads up to ${SEASON_DATA_SCHEMA_VERSION}`];
+    }
+
+    const problems = [];
+    collectSchemaProblems(data, SEASON_DATA_SCHEMA, [], problems);
+
+    const messages = problems.slice(0, maxProblems).map(problem => `${describeSchemaPath(data, problem.path)} ${problem.message}`);
+    if (problems.length > maxProblems) {
+        messages.push(`... and ${problems.length - maxProblems} more`);
+    }
+    return messages;
+}
+
+/**
+ * Throw if a season data file does not match the schema
+ * @param {*} data - Parsed JSON
+ * @param {string} label - Name of the file in the error message
+ * @throws {Error} Listing the first problems found
+ */
+function assertValidSeasonData(data, label = 'Season data') {
+    const problems = validateSeasonData(data);
+    if (problems.length > 0) {
+        throw new Error(`${label} does not match the season data schema (version ${SEASON_DATA_SCHEMA_VERSION}): ${problems.join('; ')}`);
+    }
+}
+
+// Export for Node.js (scripts and tests) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEASON_DATA_SCHEMA_VERSION,
+        SEASON_DATA_SCHEMA,
+        validateSeasonData,
+        assertValidSeasonData
+    };
+} else if (typeof window !== 'undefined') {
+    window.SEASON_DATA_SCHEMA_VERSION = SEASON_DATA_SCHEMA_VERSION;
+    window.SEASON_DATA_SCHEMA = SEASON_DATA_SCHEMA;
+    window.validateSeasonData = validateSeasonData;
+    window.assertValidSeasonData = assertValidSeasonData;
+}
@@ -1,24 +1,166 @@
 /**
  * Core snowfall calculation functions
- * These functions implement the business logic for calculating daily and cumulative snowfall
+ * These functions implement the business logic for calculating daily and cumulative snowfall.
+ * This is the single copy used by the browser (index.html), the data scripts and the tests,
+ * so a season computed in Node and in the browser always matches.
  */
 
+/**
+ * Default policies for deriving snowfall from snow depth
+ *   firstDay     - 'zero': the first reading has no previous day and counts as no snowfall
+ *                  'depth': the first reading's whole depth counts as snowfall
+ *   missingDepth - 'skip': days without a reading get null snowfall and the next reading
+ *                          is compared with the last day that had one
+ *                  'carry': like 'skip', but days without a reading get 0 instead of null
+ *                  'zero': days without a reading count as 0 depth (the next reading's
+ *                          whole depth then counts as snowfall)
+ *   precision    - Decimal places for daily values, or null to leave them unrounded
+ *   estimator    - 'naive': snowfall is the rise in depth since the previous reading
+ *                  'settling': snowfall is the rise over the depth the previous reading
+ *                              would have settled to (see settlingRate), so new snow that
+ *                              lands while the pack compacts is not undercounted
+ *   settlingRate - Fraction of the snowpack depth lost to compaction per day ('settling' only)
+ */
+const DEFAULT_SNOWFALL_POLICIES = {
+    firstDay: 'zero',
+    missingDepth: 'skip',
+    precision: null,
+    estimator: 'naive',
+    settlingRate: 0.02
+};
+
+const SNOWFALL_POLICY_VALUES = {
+    firstDay: ['zero', 'depth'],
+    missingDepth: ['skip', 'carry', 'zero'],
+    estimator: ['naive', 'settling']
+};
+
+/**
+ * Merge policies with the defaults and check their values
+ * @param {Object} policies - Policy overrides (see DEFAULT_SNOWFALL_POLICIES)
+ * @returns {Object} Complete policies
+ * @throws {Error} On an unknown policy or value
+ */
+function resolveSnowfallPolicies(policies = {}) {
+    const resolved = { ...DEFAULT_SNOWFALL_POLICIES, ...policies };
+
+    for (const name of Object.keys(resolved)) {
+        if (!(name in DEFAULT_SNOWFALL_POLICIES)) {
+            throw new Error(`Unknown snowfall policy "${name}"`);
+        }
+        const allowed = SNOWFALL_POLICY_VALUES[name];
+        if (allowed && !allowed.includes(resolved[name])) {
+            throw new Error(`Invalid ${name} policy "${resolved[name]}" (expected one of ${allowed.join(', ')})`);
+        }
+    }
+
+    if (resolved.precision !== null && !(Number.isInteger(resolved.precision) && resolved.precision >= 0)) {
+        throw new Error(`Invalid precision policy "${resolved.precision}" (expected a whole number of decimal places or null)`);
+    }
+
+    if (typeof resolved.settlingRate !== 'number' || !(resolved.settlingRate >= 0 && resolved.settlingRate < 1)) {
+        throw new Error(`Invalid settlingRate policy "${resolved.settlingRate}" (expected a fraction from 0 to below 1)`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Describe the estimator that produced a season's snowfall, for the season's "estimator" field
+ * Includes every policy needed to recompute the season from its snow depths
+ * @param {Object} policies - Policy overrides (see DEFAULT_SNOWFALL_POLICIES)
+ * @returns {Object} { name, firstDay, missingDepth, precision } plus settlingRate for 'settling'
+ */
+function describeSnowfallEstimator(policies = {}) {
+    const { estimator, settlingRate, firstDay, missingDepth, precision } = resolveSnowfallPolicies(policies);
+    const description = { name: estimator, firstDay, missingDepth, precision };
+
+    if (estimator === 'settling') {
+        description.settlingRate = settlingRate;
+    }
+
+    return description;
+}
+
+/**
+ * Round a value to a number of decimal places
+ * @param {number} value - Value to round
+ * @param {number|null} precision - Decimal places, or null to return the value unchanged
+ * @returns {number} Rounded value
+ */
+function roundTo(value, precision) {
+    if (precision === null || precision === undefined) {
+        return value;
+    }
+    const factor = Math.pow(10, precision);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Count the calendar days between two readings
+ * @param {string[]|undefined} dates - YYYY-MM-DD date of each reading, if known
+ * @param {number} from - Index of the earlier reading
+ * @param {number} to - Index of the later reading
+ * @returns {number} Days between the readings; the index difference when there are no dates
+ */
+function countElapsedDays(dates, from, to) {
+    if (!dates || !dates[from] || !dates[to]) {
+        return to - from;
+    }
+    return Math.round((Date.parse(`${dates[to]}T00:00:00Z`) - Date.parse(`${dates[from]}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
 /**
  * Calculate daily snowfall from snow depth measurements
- * @param {number[]} depths - Array of snow depth measurements in inches
- * @returns {number[]} Array of daily snowfall amounts (positive changes only)
+ * Naive rule: snowfall[i] = max(0, depth[i] - depth[previous reading]); negative changes
+ * (settling/melt) produce zero snowfall.
+ * Settling rule: snowfall[i] = max(0, depth[i] - settled depth), where the settled depth is
+ * the previous reading * (1 - settlingRate)^(days since that reading), so snow smaller than
+ * a day's compaction still counts.
+ * @param {(number|null)[]} depths - Snow depth measurements in inches, one per day, null where missing
+ * @param {Object} policies - Policy overrides (see DEFAULT_SNOWFALL_POLICIES)
+ * @param {string[]} dates - YYYY-MM-DD date of each depth (optional); without them the
+ *   depths are taken to be consecutive days
+ * @returns {(number|null)[]} Daily snowfall amounts (null only for missing days under 'skip')
  */
-function calculateDailySnowfall(depths) {
+function calculateDailySnowfall(depths, policies = {}, dates = undefined) {
     if (!Array.isArray(depths) || depths.length === 0) {
         return [];
     }
 
-    const dailySnowfall = [0]; // First day has no previous day to compare
+    const { firstDay, missingDepth, precision, estimator, settlingRate } = resolveSnowfallPolicies(policies);
+    const dailySnowfall = [];
+    let previousDepth = null; // Last reading seen, null before the first one
+    let previousIndex = null;
 
-    for (let i = 1; i < depths.length; i++) {
-        const change = depths[i] - depths[i - 1];
-        // Only positive changes count as snowfall (negative = settling/melt)
-        dailySnowfall.push(Math.max(0, change));
+    for (let i = 0; i < depths.length; i++) {
+        let depth = typeof depths[i] === 'number' && !isNaN(depths[i]) ? depths[i] : null;
+
+        if (depth === null) {
+            if (missingDepth === 'zero') {
+                depth = 0;
+            } else {
+                dailySnowfall.push(missingDepth === 'carry' ? 0 : null);
+                continue;
+            }
+        }
+
+        let snowfall;
+        if (previousDepth === null) {
+            // First day has no previous day to compare
+            snowfall = firstDay === 'depth' ? Math.max(0, depth) : 0;
+        } else if (estimator === 'settling') {
+            // New snow landed on a pack that kept compacting since the last reading
+            const settledDepth = previousDepth * Math.pow(1 - settlingRate, countElapsedDays(dates, previousIndex, i));
+            snowfall = Math.max(0, depth - settledDepth);
+        } else {
+            // Only positive changes count as snowfall (negative = settling/melt)
+            snowfall = Math.max(0, depth - previousDepth);
+        }
+
+        dailySnowfall.push(roundTo(snowfall, precision));
+        previousDepth = depth;
+        previousIndex = i;
     }
 
     return dailySnowfall;
@@ -26,10 +168,14 @@ function calculateDailySnowfall(depths) {
 
 /**
  * Calculate cumulative snowfall from daily snowfall amounts
- * @param {number[]} dailyValues - Array of daily snowfall amounts
+ * Missing (null) days add nothing. Rounding is applied to each reported total, not to
+ * the running sum, so rounding errors do not build up over a season.
+ * @param {(number|null)[]} dailyValues - Array of daily snowfall amounts
+ * @param {Object} options - Options
+ * @param {number|null} options.precision - Decimal places for the totals, or null to leave them unrounded
  * @returns {number[]} Array of cumulative snowfall totals
  */
-function calculateCumulative(dailyValues) {
+function calculateCumulative(dailyValues, { precision = null } = {}) {
     if (!Array.isArray(dailyValues) || dailyValues.length === 0) {
         return [];
     }
@@ -38,17 +184,28 @@ function calculateCumulative(dailyValues) {
     let sum = 0;
 
     for (const daily of dailyValues) {
-        sum += daily;
-        cumulative.push(sum);
+        sum += daily || 0;
+        cumulative.push(roundTo(sum, precision));
     }
 
     return cumulative;
 }
 
-// Export for Node.js testing
+// Export for Node.js (scripts and tests) and the browser
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        DEFAULT_SNOWFALL_POLICIES,
+        resolveSnowfallPolicies,
+        describeSnowfallEstimator,
+        roundTo,
         calculateDailySnowfall,
         calculateCumulative
     };
-}
\ No newline at end of file
+} else if (typeof window !== 'undefined') {
+    window.DEFAULT_SNOWFALL_POLICIES = DEFAULT_SNOWFALL_POLICIES;
+    window.resolveSnowfallPolicies = resolveSnowfallPolicies;
+    window.describeSnowfallEstimator = describeSnowfallEstimator;
+    window.roundTo = roundTo;
+    window.calculateDailySnowfall = calculateDailySnowfall;
+    window.calculateCumulative = calculateCumulative;
+}
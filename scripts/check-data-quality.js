@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Data Quality Report
+ *
+ * Checks a processed season file (data/snowfall-data.json, its compact copy or any file in
+ * the same schema) and reports, per season: coverage, the longest gap, duplicate and
+ * out-of-order dates, non-monotonic cumulative values, outlier daily values and
+ * trace/missing counts.
+ * Exits with status 1 when a season breaches one of the thresholds.
+ *
+ *   node scripts/check-data-quality.js data/snowfall-data.json --min-coverage 95
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    DEFAULT_SEASON,
+    DEFAULT_MIN_COVERAGE,
+    getDataSeason,
+    addDays,
+    daysBetween,
+    getSeasonDateRange,
+    hasSnowfallValue,
+    PRESUMED_ZERO_STATUS,
+    readSeasonFile
+} = require('./lib/seasons');
+
+const DEFAULT_INPUT = path.join(__dirname, '..', 'data', 'snowfall-data.json');
+
+const DEFAULT_THRESHOLDS = {
+    minCoverage: DEFAULT_MIN_COVERAGE, // Percent of the season's days with a snowfall value
+    maxGap: 14,       // Longest run of days without a snowfall value
+    maxDaily: 36,     // Daily snowfall above this many inches is an outlier
+    maxOutliers: 0    // Outlier days allowed per season
+};
+
+/**
+ * Analyze one season's daily records
+ * Coverage and gaps are measured over the season's calendar days, up to `dataEnd` for
+ * the season still in progress; days presumed zero count as gaps.
+ * @param {Object} season - Season object from the data file
+ * @param {Object} options - Analysis options
+ * @param {Object} options.season - Season window from resolveSeason()
+ * @param {string} options.dataEnd - Latest date in the file (YYYY-MM-DD)
+ * @param {number} options.maxDaily - Daily snowfall above this is an outlier, inches
+ * @returns {Object} Season quality metrics
+ */
+function analyzeSeason(season, {
+    season: seasonDefinition = DEFAULT_SEASON,
+    dataEnd,
+    maxDaily = DEFAULT_THRESHOLDS.maxDaily
+} = {}) {
+    const { start, end: seasonEnd } = getSeasonDateRange(season.startYear, seasonDefinition);
+    const end = dataEnd && dataEnd < seasonEnd ? dataEnd : seasonEnd;
+    const days = season.dailyData || [];
+
+    const seen = new Set();
+    const withValue = new Set();
+    const statusCounts = {};
+    let duplicateDates = 0;
+    let outOfOrderDates = 0;
+    let nonMonotonicCumulative = 0;
+    const outliers = [];
+
+    days.forEach((day, i) => {
+        if (seen.has(day.date)) {
+            duplicateDates++;
+        }
+        seen.add(day.date);
+
+        if (i > 0 && day.date < days[i - 1].date) {
+            outOfOrderDates++;
+        }
+        if (i > 0 && day.cumulativeSnowfall < days[i - 1].cumulativeSnowfall) {
+            nonMonotonicCumulative++;
+        }
+
+        if (hasSnowfallValue(day)) {
+            withValue.add(day.date);
+        }
+        if (day.dailySnowfall !== null && day.dailySnowfall !== undefined) {
+            if (day.dailySnowfall < 0 || day.dailySnowfall > maxDaily) {
+                outliers.push({ date: day.date, dailySnowfall: day.dailySnowfall });
+            }
+        }
+
+        const status = day.snowStatus || (day.dailySnowfall === null ? 'missing' : 'observed');
+        statusCounts[status] = (statusCounts[status] || 0) + 1;
+    });
+
+    // Walk the calendar to find coverage and the longest run of days without a value
+    const totalDays = Math.max(0, daysBetween(start, end) + 1);
+    let coveredDays = 0;
+    let longestGap = { days: 0, start: null };
+    let gapStart = null;
+
+    for (let offset = 0; offset <= totalDays; offset++) {
+        const date = offset < totalDays ? addDays(start, offset) : null;
+
+        if (date && withValue.has(date)) {
+            coveredDays++;
+        }
+        if (date && !withValue.has(date)) {
+            gapStart = gapStart || date;
+        } else if (gapStart) {
+            const length = daysBetween(gapStart, date || addDays(end, 1));
+            if (length > longestGap.days) {
+                longestGap = { days: length, start: gapStart };
+            }
+            gapStart = null;
+        }
+    }
+
+    return {
+        season: season.season,
+        days: days.length,
+        coverage: totalDays > 0 ? Math.round(coveredDays / totalDays * 1000) / 10 : 0,
+        longestGap,
+        duplicateDates,
+        outOfOrderDates,
+        nonMonotonicCumulative,
+        outliers,
+        traceDays: statusCounts.trace || 0,
+        presumedZeroDays: statusCounts[PRESUMED_ZERO_STATUS] || 0,
+        missingDays: statusCounts.missing || 0,
+        qcFailedDays: statusCounts['qc-failed'] || 0
+    };
+}
+
+/**
+ * List the thresholds a season breaches
+ * Duplicate dates, out-of-order dates and decreasing cumulative values are always breaches.
+ * @param {Object} report - Metrics from analyzeSeason()
+ * @param {Object} thresholds - See DEFAULT_THRESHOLDS
+ * @returns {string[]} Breach descriptions (empty if the season passes)
+ */
+function findBreaches(report, thresholds = DEFAULT_THRESHOLDS) {
+    const breaches = [];
+
+    if (report.coverage < thresholds.minCoverage) {
+        breaches.push(`coverage ${report.coverage}% < ${thresholds.minCoverage}%`);
+    }
+    if (report.longestGap.days > thresholds.maxGap) {
+        breaches.push(`${report.longestGap.days}-day gap from ${report.longestGap.start} > ${thresholds.maxGap}`);
+    }
+    if (report.duplicateDates > 0) {
+        breaches.push(`${report.duplicateDates} duplicate dates`);
+    }
+    if (report.outOfOrderDates > 0) {
+        breaches.push(`${report.outOfOrderDates} out-of-order dates`);
+    }
+    if (report.nonMonotonicCumulative > 0) {
+        breaches.push(`${report.nonMonotonicCumulative} decreasing cumulative values`);
+    }
+    if (report.outliers.length > thresholds.maxOutliers) {
+        breaches.push(`${report.outliers.length} outlier days (${report.outliers.map(o => `${o.date}: ${o.dailySnowfall}"`).join(', ')})`);
+    }
+
+    return breaches;
+}
+
+/**
+ * Check every season of a data file
+ * @param {Object} data - Parsed season file
+ * @param {Object} thresholds - See DEFAULT_THRESHOLDS
+ * @returns {Object[]} One report per season, each with a `breaches` list
+ */
+function checkDataQuality(data, thresholds = DEFAULT_THRESHOLDS) {
+    if (!data || !Array.isArray(data.seasons)) {
+        throw new Error('Not a season file: missing "seasons" array');
+    }
+
+    const seasonDefinition = getDataSeason(data);
+    const dataEnd = data.seasons
+        .flatMap(season => (season.dailyData || []).map(day => day.date))
+        .reduce((latest, date) => (date > latest ? date : latest), '');
+
+    return data.seasons.map(season => {
+        const report = analyzeSeason(season, { season: seasonDefinition, dataEnd, maxDaily: thresholds.maxDaily });
+        return { ...report, breaches: findBreaches(report, thresholds) };
+    });
+}
+
+/**
+ * Format season reports as a text table
+ * @param {Object[]} reports - Reports from checkDataQuality()
+ * @returns {string} Table with one line per season and its breaches indented below
+ */
+function formatQualityReport(reports) {
+    const header = 'Season   Days  Coverage  Longest gap  Dup  Order  Cumul  Outliers  Trace  Presumed  Missing  QC';
+    const lines = [header];
+
+    for (const r of reports) {
+        lines.push([
+            r.season.padEnd(7),
+            String(r.days).padStart(5),
+            `${r.coverage.toFixed(1)}%`.padStart(9),
+            String(r.longestGap.days).padStart(12),
+            String(r.duplicateDates).padStart(4),
+            String(r.outOfOrderDates).padStart(6),
+            String(r.nonMonotonicCumulative).padStart(6),
+            String(r.outliers.length).padStart(9),
+            String(r.traceDays).padStart(6),
+            String(r.presumedZeroDays).padStart(9),
+            String(r.missingDays).padStart(8),
+            String(r.qcFailedDays).padStart(3)
+        ].join(' '));
+        for (const breach of r.breaches) {
+            lines.push(`  ⚠️  ${breach}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+const USAGE = `Usage: node scripts/check-data-quality.js [options] [season-file.json]
+
+Options:
+  -i, --input <file>         Season JSON file (default: data/snowfall-data.json)
+      --min-coverage <pct>   Minimum percent of days with a snowfall value (default: ${DEFAULT_THRESHOLDS.minCoverage})
+      --max-gap <days>       Longest allowed run of days without a value (default: ${DEFAULT_THRESHOLDS.maxGap})
+      --max-daily <inches>   Daily snowfall above this is an outlier (default: ${DEFAULT_THRESHOLDS.maxDaily})
+      --max-outliers <n>     Outlier days allowed per season (default: ${DEFAULT_THRESHOLDS.maxOutliers})
+      --json                 Print the reports as JSON
+  -h, --help                 Show this help
+
+Exits with status 1 if any season breaches a threshold. Duplicate dates, out-of-order
+dates and decreasing cumulative values always count as breaches.`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { input, thresholds, json } or { help: true }
+ * @throws {Error} On unknown options or invalid values
+ */
+function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            input: { type: 'string', short: 'i' },
+            'min-coverage': { type: 'string' },
+            'max-gap': { type: 'string' },
+            'max-daily': { type: 'string' },
+            'max-outliers': { type: 'string' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    if (positionals.length > 1 || (values.input && positionals.length > 0)) {
+        throw new Error('Expected a single season file');
+    }
+
+    const thresholds = { ...DEFAULT_THRESHOLDS };
+    const numericOptions = [
+        ['min-coverage', 'minCoverage', value => value >= 0 && value <= 100, 'a percentage'],
+        ['max-gap', 'maxGap', value => Number.isInteger(value) && value >= 0, 'a whole number of days'],
+        ['max-daily', 'maxDaily', value => value > 0, 'inches above 0'],
+        ['max-outliers', 'maxOutliers', value => Number.isInteger(value) && value >= 0, 'a whole number']
+    ];
+
+    for (const [flag, key, isValid, expected] of numericOptions) {
+        if (values[flag] !== undefined) {
+            thresholds[key] = Number(values[flag]);
+            if (!isValid(thresholds[key])) {
+                throw new Error(`Invalid --${flag} "${values[flag]}" (expected ${expected})`);
+            }
+        }
+    }
+
+    const input = values.input || positionals[0];
+    return {
+        input: input ? path.resolve(input) : DEFAULT_INPUT,
+        thresholds,
+        json: Boolean(values.json)
+    };
+}
+
+// Main execution
+function main() {
+    let options;
+    try {
+        options = parseCliArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let reports;
+    try {
+        const data = readSeasonFile(options.input);
+        reports = checkDataQuality(data, options.thresholds);
+    } catch (error) {
+        console.error(`❌ Error checking ${options.input}:`, error.message);
+        process.exit(2);
+    }
+
+    const failing = reports.filter(report => report.breaches.length > 0);
+
+    if (options.json) {
+        console.log(JSON.stringify({ input: options.input, thresholds: options.thresholds, seasons: reports }, null, 2));
+    } else {
+        console.log(`Data quality report for ${options.input}\n`);
+        console.log(formatQualityReport(reports));
+        console.log(failing.length > 0
+            ? `\n❌ ${failing.length} of ${reports.length} seasons breach the thresholds: ${failing.map(r => r.season).join(', ')}`
+            : `\n✅ All ${reports.length} seasons pass`);
+    }
+
+    if (failing.length > 0) {
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS,
+    analyzeSeason,
+    findBreaches,
+    checkDataQuality,
+    formatQualityReport,
+    parseCliArgs
+};
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+/**
+ * Season File Diff
+ *
+ * Compares two versions of a processed season file (data/snowfall-data.json, its compact
+ * copy or any file in the same schema) and reports added and removed seasons, changed season totals (largest
+ * change first) and the daily values that were added, removed or revised. Meant for
+ * reviewing a data refresh before it is deployed, since NOAA revises historical values.
+ *
+ *   git show HEAD:data/snowfall-data.json > /tmp/old.json
+ *   node scripts/diff-season-data.js /tmp/old.json data/snowfall-data.json --report diff.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { roundTo, readSeasonFile } = require('./lib/seasons');
+
+// Daily fields compared between the files; cumulative snowfall follows from dailySnowfall
+const DIFF_FIELDS = [
+    'dailySnowfall',
+    'snowDepth',
+    'snowStatus',
+    'snowDepthStatus',
+    'precipitation',
+    'maxTemperature',
+    'minTemperature'
+];
+
+// Changed days listed per season in the text report unless --max-days says otherwise
+const DEFAULT_MAX_DAYS = 20;
+
+/**
+ * Index a season file's seasons by name
+ * @param {Object} data - Parsed season file
+ * @param {string} label - Name of the file in error messages
+ * @returns {Map<string, Object>} Seasons keyed by season name
+ * @throws {Error} If the data is not a season file
+ */
+function indexSeasons(data, label) {
+    if (!data || !Array.isArray(data.seasons)) {
+        throw new Error(`${label} is not a season file: missing "seasons" array`);
+    }
+    return new Map(data.seasons.map(season => [season.season, season]));
+}
+
+/**
+ * Compare the daily records of one season in both files
+ * @param {Object} oldSeason - Season from the old file
+ * @param {Object} newSeason - Same season from the new file
+ * @param {string[]} fields - Daily fields to compare
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}} Days only in the new file,
+ *   days only in the old file ({ date, season }), and days whose compared fields differ
+ *   ({ date, season, changes: { field: { old, new } } })
+ */
+function diffDailyData(oldSeason, newSeason, fields = DIFF_FIELDS) {
+    const oldDays = new Map((oldSeason.dailyData || []).map(day => [day.date, day]));
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const day of newSeason.dailyData || []) {
+        const oldDay = oldDays.get(day.date);
+        oldDays.delete(day.date);
+
+        if (!oldDay) {
+            result.added.push({ date: day.date, season: newSeason.season });
+            continue;
+        }
+
+        const changes = {};
+        for (const field of fields) {
+            // Absent and null both mean "no value"
+            const before = oldDay[field] ?? null;
+            const after = day[field] ?? null;
+            if (before !== after) {
+                changes[field] = { old: before, new: after };
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            result.changed.push({ date: day.date, season: newSeason.season, changes });
+        }
+    }
+
+    for (const date of oldDays.keys()) {
+        result.removed.push({ date, season: oldSeason.season });
+    }
+    result.removed.sort((a, b) => a.date.localeCompare(b.date));
+
+    return result;
+}
+
+/**
+ * Compare two season files
+ * Days of added or removed seasons are only reported through the season lists.
+ * @param {Object} oldData - Parsed old season file
+ * @param {Object} newData - Parsed new season file
+ * @param {Object} options - Diff options
+ * @param {string[]} options.fields - Daily fields to compare (default: DIFF_FIELDS)
+ * @returns {Object} { seasons: { added, removed }, totals: [{ season, oldTotal, newTotal, delta }],
+ *   days: { added, removed, changed } } with totals sorted by the size of the change
+ * @throws {Error} If either file is not a season file
+ */
+function diffSeasonData(oldData, newData, { fields = DIFF_FIELDS } = {}) {
+    const oldSeasons = indexSeasons(oldData, 'Old file');
+    const newSeasons = indexSeasons(newData, 'New file');
+
+    const diff = {
+        seasons: {
+            added: [...newSeasons.keys()].filter(name => !oldSeasons.has(name)).sort(),
+            removed: [...oldSeasons.keys()].filter(name => !newSeasons.has(name)).sort()
+        },
+        totals: [],
+        days: { added: [], removed: [], changed: [] }
+    };
+
+    for (const [name, newSeason] of newSeasons) {
+        const oldSeason = oldSeasons.get(name);
+        if (!oldSeason) {
+            continue;
+        }
+
+        const delta = roundTo((newSeason.totalSnowfall || 0) - (oldSeason.totalSnowfall || 0), 2);
+        if (delta !== 0) {
+            diff.totals.push({ season: name, oldTotal: oldSeason.totalSnowfall, newTotal: newSeason.totalSnowfall, delta });
+        }
+
+        const days = diffDailyData(oldSeason, newSeason, fields);
+        diff.days.added.push(...days.added);
+        diff.days.removed.push(...days.removed);
+        diff.days.changed.push(...days.changed);
+    }
+
+    diff.totals.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.season.localeCompare(b.season));
+    for (const list of Object.values(diff.days)) {
+        list.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return diff;
+}
+
+/**
+ * Check whether a diff found any difference
+ * @param {Object} diff - From diffSeasonData()
+ * @returns {boolean} True if the files differ in seasons, totals or daily values
+ */
+function hasDifferences(diff) {
+    return diff.seasons.added.length > 0 || diff.seasons.removed.length > 0 || diff.totals.length > 0 ||
+        Object.values(diff.days).some(list => list.length > 0);
+}
+
+/**
+ * Format a daily value for the text report
+ * @param {*} value - Field value
+ * @returns {string} "null" for missing values, the value otherwise
+ */
+function formatValue(value) {
+    return value === null ? 'null' : String(value);
+}
+
+/**
+ * Format a diff as a text report
+ * @param {Object} diff - From diffSeasonData()
+ * @param {Object} options - Report options
+ * @param {number} options.maxDays - Changed days listed per season before the rest are counted
+ * @returns {string} Report with season, total and daily sections
+ */
+function formatDiffReport(diff, { maxDays = DEFAULT_MAX_DAYS } = {}) {
+    if (!hasDifferences(diff)) {
+        return 'No differences';
+    }
+
+    const lines = [
+        `Seasons added: ${diff.seasons.added.join(', ') || 'none'}`,
+        `Seasons removed: ${diff.seasons.removed.join(', ') || 'none'}`,
+        ''
+    ];
+
+    lines.push(diff.totals.length > 0 ? 'Season totals (largest change first):' : 'Season totals: unchanged');
+    for (const total of diff.totals) {
+        const sign = total.delta > 0 ? '+' : '';
+        lines.push(`  ${total.season.padEnd(7)} ${`${formatValue(total.oldTotal)}"`.padStart(8)} → ` +
+            `${`${formatValue(total.newTotal)}"`.padEnd(8)} ${sign}${total.delta}"`);
+    }
+
+    const { added, removed, changed } = diff.days;
+    lines.push('', `Daily values: ${changed.length} days changed, ${added.length} added, ${removed.length} removed`);
+
+    const bySeason = new Map();
+    for (const day of changed) {
+        if (!bySeason.has(day.season)) {
+            bySeason.set(day.season, []);
+        }
+        bySeason.get(day.season).push(day);
+    }
+
+    for (const [season, days] of [...bySeason].sort(([a], [b]) => a.localeCompare(b))) {
+        lines.push(`  ${season}:`);
+        for (const day of days.slice(0, maxDays)) {
+            const changes = Object.entries(day.changes)
+                .map(([field, change]) => `${field} ${formatValue(change.old)} → ${formatValue(change.new)}`);
+            lines.push(`    ${day.date}  ${changes.join(', ')}`);
+        }
+        if (days.length > maxDays) {
+            lines.push(`    ... ${days.length - maxDays} more`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+const USAGE = `Usage: node scripts/diff-season-data.js [options] <old.json> <new.json>
+
+Options:
+      --report <file>        Also write the differences as JSON to this file
+      --json                 Print the differences as JSON instead of text
+      --max-days <n>         Changed days listed per season in the text report (default: ${DEFAULT_MAX_DAYS})
+      --fields <list>        Comma-separated daily fields to compare
+                             default: ${DIFF_FIELDS.join(',')}
+  -h, --help                 Show this help
+
+Exits with status 0 when the files match, 1 when they differ and 2 on errors.`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { oldFile, newFile, report, json, maxDays, fields } or { help: true }
+ * @throws {Error} On unknown options, invalid values or a wrong number of files
+ */
+function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            report: { type: 'string' },
+            json: { type: 'boolean' },
+            'max-days': { type: 'string' },
+            fields: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    if (positionals.length !== 2) {
+        throw new Error('Expected an old and a new season file');
+    }
+
+    const maxDays = values['max-days'] === undefined ? DEFAULT_MAX_DAYS : Number(values['max-days']);
+    if (!Number.isInteger(maxDays) || maxDays < 0) {
+        throw new Error(`Invalid --max-days "${values['max-days']}" (expected a whole number)`);
+    }
+
+    const fields = values.fields === undefined
+        ? DIFF_FIELDS
+        : values.fields.split(',').map(field => field.trim()).filter(Boolean);
+    if (fields.length === 0) {
+        throw new Error('Invalid --fields "" (expected daily field names such as dailySnowfall)');
+    }
+
+    return {
+        oldFile: path.resolve(positionals[0]),
+        newFile: path.resolve(positionals[1]),
+        report: values.report ? path.resolve(values.report) : null,
+        json: Boolean(values.json),
+        maxDays,
+        fields
+    };
+}
+
+// Main execution
+function main() {
+    let options;
+    try {
+        options = parseCliArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let diff;
+    try {
+        diff = diffSeasonData(
+            readSeasonFile(options.oldFile),
+            readSeasonFile(options.newFile),
+            { fields: options.fields }
+        );
+    } catch (error) {
+        console.error(`❌ Error comparing ${options.oldFile} with ${options.newFile}:`, error.message);
+        process.exit(2);
+    }
+
+    const report = { old: options.oldFile, new: options.newFile, ...diff };
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify(report, null, 2) + '\n');
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Comparing ${options.oldFile} → ${options.newFile}\n`);
+        console.log(formatDiffReport(diff, { maxDays: options.maxDays }));
+        if (options.report) {
+            console.log(`\nWrote JSON report to: ${options.report}`);
+        }
+    }
+
+    if (hasDifferences(diff)) {
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DIFF_FIELDS,
+    diffDailyData,
+    diffSeasonData,
+    hasDifferences,
+    formatDiffReport,
+    parseCliArgs
+};
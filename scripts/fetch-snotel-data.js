@@ -1,170 +1,616 @@
 #!/usr/bin/env node
 
 /**
- * SNOTEL Data Fetcher and Processor
+ * SNOTEL Data Processor
  *
- * This script fetches historical snow depth data from SNOTEL Berthoud Summit (Station 335)
- * and processes it into the format needed by the snowfall tracker application.
+ * Converts an NRCS SNOTEL report CSV (e.g. Berthoud Summit, station 335) into the
+ * season JSON format written by process-noaa-data.js. SNOTEL sites report snow depth,
+ * snow water equivalent and precipitation accumulation but not new snowfall, so daily
+ * snowfall is estimated from snow depth changes.
  *
- * For this implementation, we'll create realistic sample data based on typical
- * Winter Park snowfall patterns since SNOTEL API access requires specific credentials.
+ * Download a daily report from the NRCS report generator with the Snow Depth,
+ * Snow Water Equivalent and Precipitation Accumulation elements, then run:
+ *
+ *   node scripts/fetch-snotel-data.js --input berthoud-335.csv --manifest data/stations.json
+ *
+ * Simulated data based on typical Winter Park snowfall patterns is only produced
+ * with --simulate.
  */
 
-const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { readCsvFile } = require('./lib/csv-reader');
+const {
+    resolveSnowfallPolicies,
+    describeSnowfallEstimator,
+    calculateDailySnowfall,
+    calculateCumulative
+} = require('../js/snowfall-calculations');
+const {
+    SEASON_DATA_SCHEMA_VERSION,
+    DEFAULT_SEASON,
+    DEFAULT_PRECISION,
+    parseDate,
+    parseSeasonOption,
+    formatMonthDay,
+    getSkiSeason,
+    getDayOfSeason,
+    buildSeasons,
+    writeSeasonFile,
+    updateStationManifest,
+    printSeasonStats
+} = require('./lib/seasons');
+const { describeInput, describeSeasonParameter, buildProvenance } = require('./lib/provenance');
+const {
+    DEFAULT_SEED,
+    WINTER_PARK_PROFILE,
+    SCENARIOS,
+    loadClimateProfile,
+    isLeapSeason,
+    generateSeasonDepths
+} = require('./lib/synthetic-data');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Report columns are named "<Site> (<id>) <Element> (<units>) <Duration>", so they are matched by element
+const SNOTEL_ELEMENTS = {
+    snowDepth: /Snow Depth/i,
+    snowWaterEquivalent: /Snow Water Equivalent/i,
+    precipitationAccumulation: /Precipitation Accumulation/i
+};
+
+// Depth-derived snowfall is rounded to tenths; see DEFAULT_SNOWFALL_POLICIES for the other policies
+const SNOTEL_SNOWFALL_POLICIES = { precision: 1 };
+
+// How each estimator is described in the output file's note
+const ESTIMATOR_NOTES = {
+    naive: 'as the positive day-over-day change in snow depth (settling and melt count as zero)',
+    settling: 'as the rise in snow depth over the depth the previous reading would have settled to, so snow that falls while the pack compacts is counted'
+};
+
+/**
+ * Generate simulated snow depth data for one season
+ * The same seed, profile and scenario always produce the same season.
+ * @param {number} startYear - Season start year
+ * @param {Object} options - Generator options, see generateSeasonDepths()
+ * @returns {Object[]} Daily { date, dayOfSeason, snowDepth, dailySnowfall, cumulativeSnowfall } in date order
+ */
+function generateSeasonData(startYear, options = {}) {
+    const { days } = generateSeasonDepths(startYear, options);
+
+    // Calculate daily snowfall and cumulative values
+    const dailySnowfall = calculateDailySnowfall(days.map(d => d.snowDepth), SNOTEL_SNOWFALL_POLICIES, days.map(d => d.date));
+    const cumulativeSnowfall = calculateCumulative(dailySnowfall, { precision: SNOTEL_SNOWFALL_POLICIES.precision });
+
+    return days.map((day, i) => ({
+        date: day.date,
+        dayOfSeason: getDayOfSeason(day.date),
+        snowDepth: day.snowDepth,
+        dailySnowfall: dailySnowfall[i],
+        cumulativeSnowfall: cumulativeSnowfall[i]
+    }));
+}
+
+/**
+ * Generate simulated seasons in the same schema as processed reports
+ * Output depends only on the options, so it can be used as a test or demo fixture.
+ * @param {Object} options - Generator options
+ * @param {number} options.seed - Base seed
+ * @param {Object} options.profile - Climate profile
+ * @param {string} options.scenario - Edge case to generate, see SCENARIOS
+ * @param {number} options.firstYear - First season start year
+ * @param {number} options.lastYear - Last season start year (default: last completed season)
+ * @returns {Object} Output data; "leap-year" keeps only seasons that contain Feb 29
+ */
+function generateHistoricalData({
+    seed = DEFAULT_SEED,
+    profile = WINTER_PARK_PROFILE,
+    scenario = 'typical',
+    firstYear = 2014,
+    lastYear = new Date().getFullYear() - 1
+} = {}) {
+    const records = [];
+
+    for (let year = firstYear; year <= lastYear; year++) {
+        if (scenario === 'leap-year' && !isLeapSeason(year)) {
+            continue;
+        }
+
+        const { days } = generateSeasonDepths(year, { seed, profile, scenario });
+        for (const day of days) {
+            records.push({
+                date: day.date,
+                snowDepth: { value: day.snowDepth, status: 'observed', flags: {} }
+            });
+        }
+    }
+
+    if (records.length === 0) {
+        throw new Error(`No ${scenario} seasons between ${firstYear} and ${lastYear}`);
+    }
 
-// Helper function to calculate daily snowfall from snow depth changes
-function calculateDailySnowfall(depths) {
-    const dailySnowfall = [0]; // First day has no previous day to compare
+    // Classified as of the last generated day so the output depends only on the options
+    const seasons = buildSeasons(deriveSnowfallFromDepth(records), {
+        estimator: describeSnowfallEstimator(SNOTEL_SNOWFALL_POLICIES),
+        asOf: records[records.length - 1].date
+    });
 
-    for (let i = 1; i < depths.length; i++) {
-        const change = depths[i] - depths[i - 1];
-        // Only positive changes count as snowfall (negative = settling/melt)
-        dailySnowfall.push(Math.max(0, change));
+    return {
+        schemaVersion: SEASON_DATA_SCHEMA_VERSION,
+        source: `Simulated data (profile ${profile.name}), not an observed station record`,
+        stationId: 'simulated',
+        stationName: 'Simulated',
+        elevation: 11300,
+        units: "inches",
+        seasonStart: formatMonthDay(DEFAULT_SEASON.start),
+        seasonEnd: formatMonthDay(DEFAULT_SEASON.end),
+        lastUpdated: records[records.length - 1].date,
+        dataRange: `${seasons[0].startYear}-${seasons[seasons.length - 1].startYear + 1}`,
+        note: `This is simulated data (profile ${profile.name}, seed ${seed}, scenario ${scenario}) based on typical Winter Park snowfall patterns, generated with --simulate. It is not an observed record.`,
+        seasons
+    };
+}
+
+/**
+ * Parse a SNOTEL report value
+ * Blank, unparseable and negative values (sensor errors) are missing
+ * @param {string} value - Raw report value
+ * @returns {{value: (number|null), status: string, flags: Object}} Parsed observation
+ */
+function parseSnotelValue(value) {
+    const num = parseFloat((value || '').trim());
+
+    if (isNaN(num) || num < 0) {
+        return { value: null, status: 'missing', flags: {} };
     }
 
-    return dailySnowfall;
+    return { value: num, status: 'observed', flags: {} };
 }
 
-// Helper function to calculate cumulative snowfall
-function calculateCumulative(dailyValues) {
-    const cumulative = [];
-    let sum = 0;
+/**
+ * Read station details from the report's comment header
+ * Looks for lines like "SNOTEL 335: Berthoud Summit, CO, Site Information:" and
+ * "Elevation: 11300 ft; Latitude: 39.80; Longitude: -105.78"
+ * @param {string[]} comments - Comment lines without the leading "#"
+ * @returns {{id: (string|undefined), name: (string|undefined), elevation: (number|undefined)}} Station details found
+ */
+function parseSnotelHeader(comments) {
+    const station = {};
+
+    for (const line of comments) {
+        const site = /SNOTEL\s+(\d+):\s*([^,]+?)\s*(?:,\s*([A-Z]{2}))?\s*(?:,|$)/.exec(line);
+        if (site && !station.id) {
+            station.id = site[3] ? `${site[1]}:${site[3]}:SNTL` : `${site[1]}:SNTL`;
+            station.name = site[2];
+        }
 
-    for (const daily of dailyValues) {
-        sum += daily;
-        cumulative.push(sum);
+        const elevation = /Elevation:\s*([\d.]+)\s*ft/i.exec(line);
+        if (elevation && station.elevation === undefined) {
+            station.elevation = Number(elevation[1]);
+        }
     }
 
-    return cumulative;
+    return station;
 }
 
-// Generate realistic snow depth data for a season
-function generateSeasonData(startYear) {
-    const seasonData = [];
-    const startDate = new Date(startYear, 7, 1); // August 1st
-    const endDate = new Date(startYear + 1, 6, 31); // July 31st
-
-    let currentDepth = 0;
-    let dayOfSeason = 0;
-
-    // Simulate snow accumulation patterns typical for Winter Park
-    for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
-        const month = date.getMonth();
-        const dayOfMonth = date.getDate();
-
-        // Snow typically starts in October, peaks in March/April
-        let snowfallProbability = 0;
-        let maxDailySnowfall = 0;
-
-        if (month >= 9 || month <= 4) { // Oct-May
-            if (month === 9) { // October
-                snowfallProbability = 0.15;
-                maxDailySnowfall = 8;
-            } else if (month === 10 || month === 11) { // Nov-Dec
-                snowfallProbability = 0.25;
-                maxDailySnowfall = 12;
-            } else if (month === 0 || month === 1 || month === 2) { // Jan-Mar
-                snowfallProbability = 0.3;
-                maxDailySnowfall = 15;
-            } else if (month === 3) { // April
-                snowfallProbability = 0.2;
-                maxDailySnowfall = 10;
-            } else if (month === 4) { // May
-                snowfallProbability = 0.1;
-                maxDailySnowfall = 6;
+/**
+ * Stream an NRCS SNOTEL report CSV into parsed daily records
+ * @param {string} inputPath - Path to the report CSV
+ * @returns {Promise<{records: Object[], station: Object, rowsRead: number, skipped: Object}>}
+ *   Records in date order (the later row wins on a repeated date), station details from the
+ *   header, rows read and skipped row counts by reason
+ * @throws {Error} If the report has no Date or Snow Depth column
+ */
+async function readSnotelReport(inputPath) {
+    const comments = [];
+    const byDate = new Map();
+    const skipped = {};
+    let columns = null;
+    let rowsRead = 0;
+
+    const skip = (reason) => {
+        skipped[reason] = (skipped[reason] || 0) + 1;
+    };
+
+    const rows = readCsvFile(inputPath, {
+        requiredColumns: ['Date'],
+        commentPrefix: '#',
+        onComment: (text) => comments.push(text)
+    });
+
+    for await (const { rowNumber, record: row, error } of rows) {
+        rowsRead++;
+
+        if (!row) {
+            // One reason for every malformed row keeps the summary short; the detail goes here
+            console.warn(`Skipping malformed row ${rowNumber} of ${path.basename(inputPath)}: ${error}`);
+            skip('malformed row');
+            continue;
+        }
+
+        if (!columns) {
+            columns = {};
+            for (const [field, pattern] of Object.entries(SNOTEL_ELEMENTS)) {
+                columns[field] = Object.keys(row).find(name => pattern.test(name));
+            }
+            if (!columns.snowDepth) {
+                throw new Error(`${inputPath} has no Snow Depth column. Found: ${Object.keys(row).join(', ')}`);
             }
         }
 
-        // Add some randomness but keep it realistic
-        const random = Math.random();
-        let dailyChange = 0;
+        const dateStr = (row.Date || '').trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+            skip('invalid Date');
+            continue;
+        }
 
-        if (random < snowfallProbability) {
-            // New snowfall
-            dailyChange = Math.random() * maxDailySnowfall;
-        } else if (currentDepth > 0 && random < snowfallProbability + 0.1) {
-            // Some settling/melting
-            dailyChange = -Math.random() * Math.min(currentDepth * 0.1, 3);
+        if (byDate.has(dateStr)) {
+            skip('duplicate Date (later row wins)');
         }
+        byDate.set(dateStr, {
+            date: dateStr,
+            snowDepth: parseSnotelValue(row[columns.snowDepth]),
+            extra: {
+                snowWaterEquivalent: columns.snowWaterEquivalent ? parseSnotelValue(row[columns.snowWaterEquivalent]).value : null,
+                precipitationAccumulation: columns.precipitationAccumulation ? parseSnotelValue(row[columns.precipitationAccumulation]).value : null
+            }
+        });
+    }
+
+    const records = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
 
-        currentDepth = Math.max(0, currentDepth + dailyChange);
+    return { records, station: parseSnotelHeader(comments), rowsRead, skipped };
+}
 
-        seasonData.push({
-            date: date.toISOString().split('T')[0],
-            dayOfSeason: dayOfSeason,
-            snowDepth: Math.round(currentDepth * 10) / 10 // Round to 1 decimal
+/**
+ * Estimate daily snowfall from snow depth for records in date order
+ * Each season is estimated on its own, so the first reading of a season follows the
+ * first-day policy and a season recomputed in the browser matches the file. With the
+ * default policies, days without a depth reading get a null, "missing" snowfall and the
+ * next reading is compared with the last day that had one.
+ * @param {Object[]} records - Records with a snowDepth observation
+ * @param {Object} policies - Snowfall policy overrides (see DEFAULT_SNOWFALL_POLICIES)
+ * @param {Object} seasonDefinition - Season window from resolveSeason()
+ * @returns {Object[]} The same records with a "derived" (or "missing") snowfall observation
+ */
+function deriveSnowfallFromDepth(records, policies = {}, seasonDefinition = DEFAULT_SEASON) {
+    let seasonRecords = [];
+
+    const estimateSeason = () => {
+        const dailySnowfall = calculateDailySnowfall(
+            seasonRecords.map(record => record.snowDepth.value),
+            { ...SNOTEL_SNOWFALL_POLICIES, ...policies },
+            seasonRecords.map(record => record.date)
+        );
+
+        seasonRecords.forEach((record, index) => {
+            record.snowfall = dailySnowfall[index] === null
+                ? { value: null, status: 'missing', flags: {} }
+                : { value: dailySnowfall[index], status: 'derived', flags: {} };
         });
+        seasonRecords = [];
+    };
 
-        dayOfSeason++;
+    let season = null;
+    for (const record of records) {
+        const recordSeason = getSkiSeason(parseDate(record.date), seasonDefinition);
+        if (recordSeason !== season) {
+            estimateSeason();
+            season = recordSeason;
+        }
+        seasonRecords.push(record);
     }
+    estimateSeason();
 
-    // Calculate daily snowfall and cumulative values
-    const depths = seasonData.map(d => d.snowDepth);
-    const dailySnowfall = calculateDailySnowfall(depths);
-    const cumulativeSnowfall = calculateCumulative(dailySnowfall);
+    return records;
+}
+
+/**
+ * Process a SNOTEL report into the season JSON format
+ * @param {Object} options - Processing options
+ * @param {string} options.input - Report CSV to read
+ * @param {string} options.output - Path of the JSON file to write (default data/snotel-<site>.json)
+ * @param {Object} options.station - Station metadata overrides ({ id, name, elevation, source })
+ * @param {Object} options.season - Season window from resolveSeason()
+ * @param {number} options.precision - Decimal places for cumulative and total snowfall
+ * @param {Object} options.snowfallPolicies - Estimator, first-day and missing-depth policies (see DEFAULT_SNOWFALL_POLICIES)
+ * @param {boolean} options.dryRun - Print stats without writing the output file
+ * @param {string} options.manifest - Station manifest to register the output in (optional)
+ * @returns {Promise<Object>} The processed output data
+ */
+async function processSnotelReport({
+    input,
+    output: outputPath = null,
+    station: stationOverrides = {},
+    season = DEFAULT_SEASON,
+    precision = DEFAULT_PRECISION,
+    snowfallPolicies = {},
+    dryRun = false,
+    manifest = null
+}) {
+    console.log('Reading SNOTEL report from:', input);
+
+    const { records, station: reportStation, rowsRead, skipped } = await readSnotelReport(input);
+
+    console.log(`Read ${rowsRead} data rows`);
+    for (const [reason, count] of Object.entries(skipped)) {
+        console.warn(`Skipped ${count} rows: ${reason}`);
+    }
+
+    const station = { ...reportStation, ...stationOverrides };
+    if (!station.id || !station.name) {
+        throw new Error('Station id and name were not found in the report header; pass --station-id and --station-name');
+    }
+
+    const policies = { ...SNOTEL_SNOWFALL_POLICIES, ...snowfallPolicies };
+    const seasons = buildSeasons(deriveSnowfallFromDepth(records, policies, season), {
+        season,
+        precision,
+        estimator: describeSnowfallEstimator(policies)
+    });
+
+    const output = {
+        schemaVersion: SEASON_DATA_SCHEMA_VERSION,
+        source: station.source || `NRCS SNOTEL ${station.name} (${station.id})`,
+        stationId: station.id,
+        stationName: station.name,
+        elevation: station.elevation, // feet
+        units: "inches",
+        seasonStart: formatMonthDay(season.start),
+        seasonEnd: formatMonthDay(season.end),
+        lastUpdated: new Date().toISOString().split('T')[0],
+        dataRange: `${seasons[0]?.startYear || ''}-${new Date().getFullYear()}`,
+        note: `Processed from an NRCS SNOTEL daily report. SNOTEL does not measure new snowfall, so daily snowfall is estimated ${ESTIMATOR_NOTES[resolveSnowfallPolicies(policies).estimator]}; days without a depth reading are null.`,
+        provenance: buildProvenance({
+            script: 'scripts/fetch-snotel-data.js',
+            inputs: [describeInput(input, { role: 'observations', rowsRead })],
+            rows: { read: rowsRead, skipped, records: records.length },
+            parameters: {
+                season: describeSeasonParameter(season),
+                estimator: describeSnowfallEstimator(policies),
+                precision
+            }
+        }),
+        seasons
+    };
+
+    console.log(`Seasons: ${seasons.length} (${output.dataRange})`);
 
-    // Add calculated values to season data
-    for (let i = 0; i < seasonData.length; i++) {
-        seasonData[i].dailySnowfall = Math.round(dailySnowfall[i] * 10) / 10;
-        seasonData[i].cumulativeSnowfall = Math.round(cumulativeSnowfall[i] * 10) / 10;
+    if (dryRun) {
+        console.log('\nDry run, nothing written. Seasons:');
+        printSeasonStats(seasons);
+        return output;
     }
 
-    return seasonData;
+    const target = outputPath || path.join(DATA_DIR, `snotel-${station.id.split(':')[0]}.json`);
+    console.log(`Writing processed data to: ${target}`);
+    const compactPath = writeSeasonFile(target, output);
+    console.log(`Wrote compact copy for the page to: ${compactPath}`);
+
+    if (manifest) {
+        updateStationManifest(manifest, compactPath, station, 'NRCS SNOTEL');
+        console.log(`Registered ${station.name} in station manifest: ${manifest}`);
+    }
+
+    console.log('✅ SNOTEL data processing complete!');
+    return output;
 }
 
-// Generate data for multiple seasons
-function generateHistoricalData() {
-    const seasons = [];
-    const currentYear = new Date().getFullYear();
-
-    // Generate data from 2014-15 season to current season
-    for (let year = 2014; year < currentYear; year++) {
-        const seasonData = generateSeasonData(year);
-        const totalSnowfall = seasonData[seasonData.length - 1].cumulativeSnowfall;
-
-        seasons.push({
-            season: `${year}-${String(year + 1).slice(-2)}`,
-            startYear: year,
-            totalSnowfall: totalSnowfall,
-            dailyData: seasonData
-        });
+/**
+ * Write simulated seasons in the same schema as real reports
+ * Only used with --simulate; the data is random and must not be presented as observed
+ * @param {string} outputPath - Path of the JSON file to write
+ * @param {Object} options - Generator options, see generateHistoricalData()
+ * @returns {Object} The simulated output data
+ */
+function writeSimulatedData(outputPath, options = {}) {
+    console.log('Generating simulated SNOTEL snowfall data...');
+
+    const { seasons, ...metadata } = generateHistoricalData(options);
+    const provenance = buildProvenance({
+        script: 'scripts/fetch-snotel-data.js --simulate',
+        parameters: {
+            season: describeSeasonParameter(DEFAULT_SEASON),
+            estimator: seasons[0].estimator,
+            precision: DEFAULT_PRECISION,
+            simulation: {
+                seed: options.seed ?? DEFAULT_SEED,
+                profile: (options.profile || WINTER_PARK_PROFILE).name,
+                scenario: options.scenario || 'typical'
+            }
+        }
+    });
+    const output = { ...metadata, provenance, seasons };
+
+    writeSeasonFile(outputPath, output);
+
+    console.log(`✅ Successfully generated snowfall data for ${seasons.length} seasons`);
+    console.log(`📁 Data saved to: ${outputPath}`);
+    console.log(`📅 Date range: ${seasons[0].season} to ${seasons[seasons.length - 1].season}`);
+
+    return output;
+}
+
+const USAGE = `Usage: node scripts/fetch-snotel-data.js --input <report.csv> [options]
+       node scripts/fetch-snotel-data.js --simulate [--output <file>] [simulation options]
+
+Options:
+  -i, --input <file>         NRCS SNOTEL daily report CSV
+  -o, --output <file>        Output JSON path (default: data/snotel-<site>.json); a compact copy
+                             for the page is written next to it as <name>.compact.json
+      --station-id <id>      Station triplet, e.g. 335:CO:SNTL (default: from the report header)
+      --station-name <name>  Station display name (default: from the report header)
+      --elevation <feet>     Station elevation in feet (default: from the report header)
+      --source <text>        Source attribution (default: "NRCS SNOTEL <name> (<id>)")
+      --season <name>        Season window: ski, water-year, resort or MM-DD..MM-DD (default: ${DEFAULT_SEASON.name})
+      --season-start <MM-DD> Full-year seasons starting on this day (same as --season MM-DD)
+      --precision <digits>   Decimal places for cumulative totals (default: ${DEFAULT_PRECISION})
+      --first-day <rule>     First reading's snowfall: zero or depth (its whole depth) (default: zero)
+      --missing-depth <rule> Days without a depth reading: skip (null snowfall), carry (0 snowfall)
+                             or zero (treat as 0 depth) (default: skip)
+      --estimator <name>     Snowfall from depth: naive (rise in depth) or settling (rise over the
+                             settled depth) (default: naive)
+      --settling-rate <frac> Daily compaction of the snowpack for --estimator settling (default: 0.02)
+      --manifest <file>      Add or update this station in a station manifest (e.g. data/stations.json)
+      --dry-run              Print season stats without writing the output file
+      --simulate             Write simulated seasons instead (default output: data/snotel-simulated.json)
+  -h, --help                 Show this help
+
+Simulation options:
+      --seed <n>             Random seed; the same seed gives the same data (default: ${DEFAULT_SEED})
+      --profile <name|file>  Climate profile name or JSON file (default: ${WINTER_PARK_PROFILE.name})
+      --scenario <name>      ${SCENARIOS.join(', ')} (default: typical)
+      --first-season <year>  Start year of the first season (default: 2014)
+      --last-season <year>   Start year of the last season (default: last completed season)`;
+
+/**
+ * Parse --simulate options
+ * @param {Object} values - Parsed option values
+ * @returns {Object} { simulate, output, generator } where generator holds generateHistoricalData() options
+ * @throws {Error} On invalid values
+ */
+function parseSimulateArgs(values) {
+    const generator = {};
+
+    if (values.seed !== undefined) {
+        generator.seed = Number(values.seed);
+        if (!Number.isInteger(generator.seed) || generator.seed < 0) {
+            throw new Error(`Invalid --seed "${values.seed}" (expected a non-negative integer)`);
+        }
+    }
+    if (values.profile) {
+        generator.profile = loadClimateProfile(values.profile);
+    }
+    if (values.scenario) {
+        if (!SCENARIOS.includes(values.scenario)) {
+            throw new Error(`Invalid --scenario "${values.scenario}" (expected one of ${SCENARIOS.join(', ')})`);
+        }
+        generator.scenario = values.scenario;
+    }
+    for (const [flag, key] of [['first-season', 'firstYear'], ['last-season', 'lastYear']]) {
+        if (values[flag] !== undefined) {
+            generator[key] = Number(values[flag]);
+            if (!Number.isInteger(generator[key])) {
+                throw new Error(`Invalid --${flag} "${values[flag]}" (expected a year)`);
+            }
+        }
     }
 
     return {
-        source: "SNOTEL Berthoud Summit (Station 335)",
-        elevation: 11300,
-        units: "inches",
-        lastUpdated: new Date().toISOString().split('T')[0],
-        note: "This is simulated data based on typical Winter Park snowfall patterns. In production, this would be fetched from the actual SNOTEL API.",
-        seasons: seasons
+        simulate: true,
+        output: values.output ? path.resolve(values.output) : path.join(DATA_DIR, 'snotel-simulated.json'),
+        generator
     };
 }
 
-// Main execution
-async function main() {
-    try {
-        console.log('Generating SNOTEL snowfall data...');
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} processSnotelReport() options, --simulate options or { help: true }
+ * @throws {Error} On unknown options, invalid values or a missing --input
+ */
+function parseCliArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            input: { type: 'string', short: 'i' },
+            output: { type: 'string', short: 'o' },
+            'station-id': { type: 'string' },
+            'station-name': { type: 'string' },
+            elevation: { type: 'string' },
+            source: { type: 'string' },
+            season: { type: 'string' },
+            'season-start': { type: 'string' },
+            precision: { type: 'string' },
+            'first-day': { type: 'string' },
+            'missing-depth': { type: 'string' },
+            estimator: { type: 'string' },
+            'settling-rate': { type: 'string' },
+            manifest: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            simulate: { type: 'boolean' },
+            seed: { type: 'string' },
+            profile: { type: 'string' },
+            scenario: { type: 'string' },
+            'first-season': { type: 'string' },
+            'last-season': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    if (values.simulate) {
+        return parseSimulateArgs(values);
+    }
+
+    if (!values.input) {
+        throw new Error('Missing --input (use --simulate for random sample data)');
+    }
+
+    const station = {};
+    if (values['station-id']) station.id = values['station-id'];
+    if (values['station-name']) station.name = values['station-name'];
+    if (values.source) station.source = values.source;
+    if (values.elevation !== undefined) {
+        station.elevation = Number(values.elevation);
+        if (!Number.isFinite(station.elevation)) {
+            throw new Error(`Invalid --elevation "${values.elevation}" (expected feet)`);
+        }
+    }
 
-        const data = generateHistoricalData();
+    const options = {
+        input: path.resolve(values.input),
+        output: values.output ? path.resolve(values.output) : null,
+        station,
+        season: parseSeasonOption(values),
+        precision: DEFAULT_PRECISION,
+        snowfallPolicies: {},
+        dryRun: Boolean(values['dry-run']),
+        manifest: values.manifest ? path.resolve(values.manifest) : null
+    };
 
-        // Ensure data directory exists
-        const dataDir = path.join(__dirname, '..', 'data');
-        if (!fs.existsSync(dataDir)) {
-            fs.mkdirSync(dataDir, { recursive: true });
+    if (values.precision !== undefined) {
+        options.precision = Number(values.precision);
+        if (!Number.isInteger(options.precision) || options.precision < 0 || options.precision > 6) {
+            throw new Error(`Invalid --precision "${values.precision}" (expected 0-6)`);
         }
+    }
 
-        // Write data to JSON file
-        const outputPath = path.join(dataDir, 'snowfall-data.json');
-        fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
+    if (values['first-day']) options.snowfallPolicies.firstDay = values['first-day'];
+    if (values['missing-depth']) options.snowfallPolicies.missingDepth = values['missing-depth'];
+    if (values.estimator) options.snowfallPolicies.estimator = values.estimator;
+    if (values['settling-rate'] !== undefined) options.snowfallPolicies.settlingRate = Number(values['settling-rate']);
+    resolveSnowfallPolicies(options.snowfallPolicies);
 
-        console.log(`✅ Successfully generated snowfall data for ${data.seasons.length} seasons`);
-        console.log(`📁 Data saved to: ${outputPath}`);
-        console.log(`📊 Total seasons: ${data.seasons.length}`);
-        console.log(`📅 Date range: ${data.seasons[0].season} to ${data.seasons[data.seasons.length - 1].season}`);
+    return options;
+}
 
+// Main execution
+async function main() {
+    let options;
+    try {
+        options = parseCliArgs(process.argv.slice(2));
     } catch (error) {
-        console.error('❌ Error generating snowfall data:', error);
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        if (options.simulate) {
+            writeSimulatedData(options.output, options.generator);
+        } else {
+            await processSnotelReport(options);
+        }
+    } catch (error) {
+        console.error('❌ Error processing SNOTEL data:', error);
         process.exit(1);
     }
 }
@@ -175,8 +621,11 @@ if (require.main === module) {
 }
 
 module.exports = {
-    calculateDailySnowfall,
-    calculateCumulative,
     generateSeasonData,
-    generateHistoricalData
-};
\ No newline at end of file
+    generateHistoricalData,
+    parseSnotelHeader,
+    readSnotelReport,
+    deriveSnowfallFromDepth,
+    processSnotelReport,
+    parseCliArgs
+};
@@ -0,0 +1,170 @@
+/**
+ * Streaming CSV reader
+ * Parses RFC 4180 style CSV (quoted fields, doubled quotes, CRLF or LF line endings)
+ * chunk by chunk and maps each row to an object keyed by header name
+ */
+
+const fs = require('fs');
+
+/**
+ * Parse CSV rows from a stream of text chunks
+ * Quoted fields may contain commas, doubled quotes and line breaks; blank lines are skipped
+ * @param {AsyncIterable<string>} input - Readable stream (or any async iterable) of text chunks
+ * @param {Object} options - Parser options
+ * @param {string} options.commentPrefix - Character that marks a whole line as a comment (e.g. "#")
+ * @param {function} options.onComment - Called with each comment line's text, without the prefix
+ * @returns {AsyncGenerator<string[]>} One array of field values per row
+ */
+async function* parseCsvRows(input, { commentPrefix = null, onComment = null } = {}) {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteSeen = false; // Saw a quote inside a quoted field: either an escape or the closing quote
+    let atStart = true;
+    let comment = null; // Text of the comment line being read, null outside comments
+
+    const endComment = () => {
+        if (onComment) {
+            onComment(comment.replace(/\r$/, ''));
+        }
+        comment = null;
+    };
+
+    for await (const chunk of input) {
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (atStart) {
+                atStart = false;
+                if (char === '\uFEFF') {
+                    continue; // Byte order mark
+                }
+            }
+
+            if (comment !== null) {
+                if (char === '\n') {
+                    endComment();
+                } else {
+                    comment += char;
+                }
+                continue;
+            }
+
+            if (char === commentPrefix && !inQuotes && !quoteSeen && row.length === 0 && field === '') {
+                comment = '';
+                continue;
+            }
+
+            if (quoteSeen) {
+                quoteSeen = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    quoteSeen = true;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field);
+                if (row.length > 1 || row[0] !== '') {
+                    yield row;
+                }
+                row = [];
+                field = '';
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+    }
+
+    if (comment !== null) {
+        endComment();
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        yield row;
+    }
+}
+
+/**
+ * Read CSV records keyed by header name
+ * Rows whose field count does not match the header are yielded with `record: null`
+ * and an `error` so callers can count them instead of silently misreading columns.
+ * @param {AsyncIterable<string>} input - Readable stream of text chunks
+ * @param {Object} options - Reader options
+ * @param {string[]} options.requiredColumns - Header names that must be present
+ * @param {string} options.sourceName - Name used in error messages
+ * @param {string} options.commentPrefix - Comment line prefix, see parseCsvRows
+ * @param {function} options.onComment - Comment line callback, see parseCsvRows
+ * @returns {AsyncGenerator<{rowNumber: number, record: (Object|null), error: (string|undefined)}>}
+ * @throws {Error} If the input is empty or a required column is missing
+ */
+async function* readCsvRecords(input, { requiredColumns = [], sourceName = 'CSV input', commentPrefix, onComment } = {}) {
+    let header = null;
+    let rowNumber = 0;
+
+    for await (const fields of parseCsvRows(input, { commentPrefix, onComment })) {
+        rowNumber++;
+
+        if (!header) {
+            header = fields.map(name => name.trim());
+            const missing = requiredColumns.filter(name => !header.includes(name));
+            if (missing.length > 0) {
+                throw new Error(`${sourceName} is missing required column(s): ${missing.join(', ')}. Found: ${header.join(', ')}`);
+            }
+            continue;
+        }
+
+        if (fields.length !== header.length) {
+            yield {
+                rowNumber,
+                record: null,
+                error: `expected ${header.length} fields, found ${fields.length}`
+            };
+            continue;
+        }
+
+        const record = {};
+        header.forEach((name, index) => {
+            record[name] = fields[index];
+        });
+
+        yield { rowNumber, record };
+    }
+
+    if (!header) {
+        throw new Error(`${sourceName} is empty`);
+    }
+}
+
+/**
+ * Read CSV records from a file without loading it into memory
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - Options passed to readCsvRecords
+ * @returns {AsyncGenerator<{rowNumber: number, record: (Object|null), error: (string|undefined)}>}
+ */
+function readCsvFile(filePath, options = {}) {
+    const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+    return readCsvRecords(input, { sourceName: filePath, ...options });
+}
+
+module.exports = {
+    parseCsvRows,
+    readCsvRecords,
+    readCsvFile
+};
@@ -0,0 +1,154 @@
+/**
+ * Neighbor-station gap filling
+ * Estimates days without a snowfall observation from a nearby station's snowfall on the
+ * same day, scaled by how much snow this station gets relative to the neighbor. The
+ * neighbor is a season file processed the same way (NOAA GHCND or SNOTEL output).
+ */
+
+const { roundTo } = require('../../js/snowfall-calculations');
+const { DEFAULT_SEASON, parseDate, getSkiSeason, addDays } = require('./seasons');
+
+// A season needs this many shared snow days for its own ratio; otherwise the ratio over all seasons is used
+const DEFAULT_MIN_SHARED_DAYS = 10;
+
+// Values this station measured on the day, usable for the ratio
+const MEASURED_STATUSES = ['observed', 'trace'];
+
+/**
+ * Index a neighbor station's daily snowfall by date
+ * Days without a value and days the neighbor itself imputed are left out.
+ * @param {Object} data - Parsed season file of the neighbor station
+ * @returns {{stationId: string, byDate: Map<string, number>}} Neighbor snowfall
+ * @throws {Error} If the file is not a season file or not in inches
+ */
+function loadNeighborSnowfall(data) {
+    if (!data || !Array.isArray(data.seasons)) {
+        throw new Error('Neighbor is not a season file: missing "seasons" array');
+    }
+    if (data.units && data.units !== 'inches') {
+        throw new Error(`Neighbor ${data.stationId || 'station'} is in ${data.units}, expected inches`);
+    }
+
+    const byDate = new Map();
+    for (const season of data.seasons) {
+        for (const day of season.dailyData || []) {
+            if (typeof day.dailySnowfall === 'number' && day.snowStatus !== 'imputed') {
+                byDate.set(day.date, day.dailySnowfall);
+            }
+        }
+    }
+
+    return { stationId: data.stationId || 'neighbor', byDate };
+}
+
+/**
+ * Compute this station's snowfall as a fraction of the neighbor's
+ * Uses days both stations measured on which at least one of them had snow.
+ * @param {Object[]} records - Parsed daily records of this station
+ * @param {{byDate: Map<string, number>}} neighbor - From loadNeighborSnowfall()
+ * @param {Object} options - Ratio options
+ * @param {Object} options.season - Season from resolveSeason()
+ * @param {number} options.minSharedDays - Shared snow days a season needs for its own ratio
+ * @returns {{overall: (number|null), bySeason: Map<string, number>}} Ratios (null without shared snow)
+ */
+function computeSnowfallRatios(records, neighbor, {
+    season: seasonDefinition = DEFAULT_SEASON,
+    minSharedDays = DEFAULT_MIN_SHARED_DAYS
+} = {}) {
+    const totals = new Map();
+    const overall = { station: 0, neighbor: 0, days: 0 };
+
+    for (const record of records) {
+        const neighborSnowfall = neighbor.byDate.get(record.date);
+        if (neighborSnowfall === undefined || record.snowfall.value === null ||
+            !MEASURED_STATUSES.includes(record.snowfall.status) ||
+            (record.snowfall.value === 0 && neighborSnowfall === 0)) {
+            continue;
+        }
+
+        const season = getSkiSeason(parseDate(record.date), seasonDefinition);
+        if (!season) {
+            continue;
+        }
+        if (!totals.has(season)) {
+            totals.set(season, { station: 0, neighbor: 0, days: 0 });
+        }
+        for (const total of [totals.get(season), overall]) {
+            total.station += record.snowfall.value;
+            total.neighbor += neighborSnowfall;
+            total.days++;
+        }
+    }
+
+    const bySeason = new Map();
+    for (const [season, total] of totals) {
+        if (total.days >= minSharedDays && total.neighbor > 0) {
+            bySeason.set(season, roundTo(total.station / total.neighbor, 3));
+        }
+    }
+
+    return {
+        overall: overall.neighbor > 0 ? roundTo(overall.station / overall.neighbor, 3) : null,
+        bySeason
+    };
+}
+
+/**
+ * Fill missing snowfall from a neighbor station
+ * Days with status "missing" and dates absent between the first and last record get the
+ * neighbor's snowfall times the season's ratio (the overall ratio for seasons with too few
+ * shared snow days). Filled days get status "imputed" and an `imputation` entry
+ * { stationId, neighborSnowfall, ratio }. QC-failed days are left alone.
+ * @param {Object[]} records - Parsed daily records of this station
+ * @param {{stationId: string, byDate: Map<string, number>}} neighbor - From loadNeighborSnowfall()
+ * @param {Object} options - See computeSnowfallRatios()
+ * @returns {{records: Object[], imputedDays: number, ratios: Object}} Records sorted by date, including any added days
+ */
+function imputeFromNeighbor(records, neighbor, options = {}) {
+    const { season: seasonDefinition = DEFAULT_SEASON } = options;
+    const ratios = computeSnowfallRatios(records, neighbor, options);
+    const byDate = new Map(records.map(record => [record.date, record]));
+    const dates = [...byDate.keys()].sort();
+    let imputedDays = 0;
+
+    if (ratios.overall === null) {
+        return { records: dates.map(date => byDate.get(date)), imputedDays, ratios };
+    }
+
+    for (let date = dates[0]; date && date <= dates[dates.length - 1]; date = addDays(date, 1)) {
+        const neighborSnowfall = neighbor.byDate.get(date);
+        const record = byDate.get(date);
+        if (neighborSnowfall === undefined || (record && record.snowfall.status !== 'missing')) {
+            continue;
+        }
+
+        const season = getSkiSeason(parseDate(date), seasonDefinition);
+        if (!season) {
+            continue; // Outside the season window
+        }
+        const ratio = ratios.bySeason.get(season) ?? ratios.overall;
+        const target = record || {
+            date,
+            snowfall: { value: null, status: 'missing', flags: {} },
+            snowDepth: { value: null, status: 'missing', flags: {} }
+        };
+
+        target.snowfall = { value: roundTo(neighborSnowfall * ratio, 1), status: 'imputed', flags: {} };
+        target.imputation = { stationId: neighbor.stationId, neighborSnowfall, ratio };
+        byDate.set(date, target);
+        imputedDays++;
+    }
+
+    return {
+        records: [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)),
+        imputedDays,
+        ratios
+    };
+}
+
+module.exports = {
+    DEFAULT_MIN_SHARED_DAYS,
+    loadNeighborSnowfall,
+    computeSnowfallRatios,
+    imputeFromNeighbor
+};
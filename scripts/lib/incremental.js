@@ -0,0 +1,276 @@
+/**
+ * Incremental updates of an existing season file
+ * Compares freshly parsed records with the season JSON already on disk so only the seasons
+ * with new or revised days are rebuilt and merged back into the file.
+ */
+
+const fs = require('fs');
+const { isDeepStrictEqual } = require('util');
+const { describeSeason } = require('../../js/season-calendar');
+const {
+    DEFAULT_SEASON,
+    formatMonthDay,
+    getDataSeason,
+    getSkiSeason,
+    formatDailyRecord,
+    readSeasonFile
+} = require('./seasons');
+
+// Parameters that change the values written for a day; an update has to use the ones the
+// existing file was built with, or its untouched seasons would disagree with the rebuilt ones
+const UPDATE_PARAMETERS = [
+    'estimator', 'precision', 'accumulationMode', 'imputation', 'discrepancyThreshold', 'traceValue', 'snowToLiquidMinPrecipitation'
+];
+
+/**
+ * Read the season file an update is merged into
+ * @param {string} filePath - Path of the existing output JSON
+ * @param {Object} options - What the update will be processed with
+ * @param {string} options.stationId - Station id of the update
+ * @param {Object} options.season - Season from resolveSeason()
+ * @param {Object} options.parameters - Provenance parameters of the update (optional); compared
+ *   with the ones recorded in the file
+ * @returns {Object|null} Parsed season file, or null if it does not exist yet
+ * @throws {Error} If the file is not a season file, was built for another station or season
+ *   window, or was built with other parameters
+ */
+function loadExistingSeasons(filePath, { stationId, season = DEFAULT_SEASON, parameters = null } = {}) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const data = readSeasonFile(filePath);
+    if (!data || !Array.isArray(data.seasons)) {
+        throw new Error(`${filePath} is not a season file: missing "seasons" array`);
+    }
+    if (stationId && data.stationId && data.stationId !== stationId) {
+        throw new Error(`${filePath} holds station ${data.stationId}, not ${stationId}`);
+    }
+
+    const existingSeason = getDataSeason(data);
+    if (formatMonthDay(existingSeason.start) !== formatMonthDay(season.start) ||
+        formatMonthDay(existingSeason.end) !== formatMonthDay(season.end)) {
+        throw new Error(`${filePath} uses ${describeSeason(existingSeason)} seasons, not ${describeSeason(season)}; ` +
+            'pass the same --season or rebuild it without --update');
+    }
+
+    if (parameters) {
+        const recorded = data.provenance && data.provenance.parameters;
+        if (!recorded) {
+            throw new Error(`${filePath} does not record the parameters it was built with; rebuild it without --update`);
+        }
+        const mismatched = UPDATE_PARAMETERS.filter(name => !isDeepStrictEqual(recorded[name], parameters[name]));
+        if (mismatched.length > 0) {
+            const describe = values => mismatched.map(name => `${name} ${JSON.stringify(values[name])}`).join(', ');
+            throw new Error(`${filePath} was built with ${describe(recorded)}, not ${describe(parameters)}; ` +
+                'pass the same options or rebuild it without --update');
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Turn a daily record of a season file back into a parsed record
+ * The inverse of formatDailyRecord(), used for the days an update does not re-read.
+ * @param {Object} day - Daily record in the output file schema
+ * @returns {Object} Parsed record ({ date, snowfall, snowDepth } plus accumulation,
+ *   imputation and extra fields)
+ */
+function parseDailyRecord(day) {
+    const {
+        date, dayOfSeason, snowDepth, dailySnowfall, cumulativeSnowfall,
+        snowStatus, snowDepthStatus, flags = {}, accumulation, imputation, ...extra
+    } = day;
+    const record = {
+        date,
+        snowfall: { value: dailySnowfall, status: snowStatus, flags: flags.snow || {} },
+        snowDepth: { value: snowDepth, status: snowDepthStatus, flags: flags.snowDepth || {} },
+        extra
+    };
+
+    if (accumulation) {
+        record.accumulation = accumulation;
+    }
+    if (imputation) {
+        record.imputation = imputation;
+    }
+
+    return record;
+}
+
+/**
+ * Find the first and last date of parsed records
+ * @param {Object[]} records - Parsed records
+ * @returns {{first: string, last: string}|null} Date span, null without records
+ */
+function getInputSpan(records) {
+    if (records.length === 0) {
+        return null;
+    }
+    const dates = records.map(record => record.date).sort();
+    return { first: dates[0], last: dates[dates.length - 1] };
+}
+
+/**
+ * Add the days of an existing file that lie outside the span of the input to its records
+ * An export of only the latest rows updates those days; the file keeps every day before
+ * (or after) them, and a season the export only partly covers is rebuilt from both.
+ * @param {Object[]} existingSeasons - Seasons of the existing file
+ * @param {Object[]} records - Parsed records of the input
+ * @returns {Object[]} Records sorted by date
+ */
+function addDaysOutsideInput(existingSeasons, records) {
+    const span = getInputSpan(records);
+    const kept = [];
+    for (const existingSeason of existingSeasons) {
+        for (const day of existingSeason.dailyData || []) {
+            if (!span || day.date < span.first || day.date > span.last) {
+                kept.push(parseDailyRecord(day));
+            }
+        }
+    }
+
+    return kept.concat(records).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Find the days that differ between parsed records and an existing season file
+ * A day is added when its date is not in the file yet and revised when any of its fields
+ * changed; cumulative snowfall is left out of the comparison since it follows from the
+ * other days and loadExistingSeasons() has checked they are built with the same parameters.
+ * Days in the file with no record any more are removed, but only within the date span the
+ * records cover; an export of the latest rows leaves the earlier days and seasons alone.
+ * @param {Object[]} existingSeasons - Seasons of the existing file
+ * @param {Object[]} records - Parsed records, ready for buildSeasons()
+ * @param {Object} options - Season options
+ * @param {Object} options.season - Season from resolveSeason()
+ * @returns {Map<string, {added: string[], revised: string[], removed: string[]}>} Changed dates
+ *   keyed by season name; seasons without changes are left out
+ */
+function findChangedDays(existingSeasons, records, { season = DEFAULT_SEASON } = {}) {
+    const existingDays = new Map();
+    for (const existingSeason of existingSeasons) {
+        for (const day of existingSeason.dailyData || []) {
+            existingDays.set(day.date, { seasonName: existingSeason.season, day });
+        }
+    }
+
+    const span = getInputSpan(records);
+    const changes = new Map();
+    const changesOf = (seasonName) => {
+        if (!changes.has(seasonName)) {
+            changes.set(seasonName, { added: [], revised: [], removed: [] });
+        }
+        return changes.get(seasonName);
+    };
+
+    for (const record of records) {
+        const seasonName = getSkiSeason(record.date, season);
+        if (!seasonName) {
+            continue;
+        }
+
+        const existing = existingDays.get(record.date);
+        if (!existing) {
+            changesOf(seasonName).added.push(record.date);
+            continue;
+        }
+
+        existingDays.delete(record.date);
+        // Round-trip through JSON so the comparison sees what would be written
+        const updated = JSON.parse(JSON.stringify(
+            formatDailyRecord(record, existing.day.dayOfSeason, existing.day.cumulativeSnowfall)
+        ));
+        if (!isDeepStrictEqual(updated, existing.day)) {
+            changesOf(seasonName).revised.push(record.date);
+        }
+    }
+
+    for (const [date, { seasonName }] of existingDays) {
+        if (span && date >= span.first && date <= span.last) {
+            changesOf(seasonName).removed.push(date);
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Replace the rebuilt seasons in an existing season list
+ * @param {Object[]} existingSeasons - Seasons of the existing file
+ * @param {Object[]} rebuiltSeasons - Newly built seasons
+ * @param {Set<string>} rebuiltNames - Names of every rebuilt season, including any left without days
+ * @returns {Object[]} Merged seasons sorted by start year
+ */
+function mergeSeasons(existingSeasons, rebuiltSeasons, rebuiltNames) {
+    return existingSeasons
+        .filter(existing => !rebuiltNames.has(existing.season))
+        .concat(rebuiltSeasons)
+        .sort((a, b) => a.startYear - b.startYear);
+}
+
+/**
+ * Summarize what an update changed, per rebuilt season
+ * @param {Map<string, Object>} changes - From findChangedDays()
+ * @param {Object[]} existingSeasons - Seasons of the existing file
+ * @param {Object[]} rebuiltSeasons - Newly built seasons
+ * @returns {{added: number, revised: number, removed: number, seasons: Object[]}} Day counts
+ *   over all seasons and one entry per season { season, added, revised, removed,
+ *   previousTotal, totalSnowfall, previousStatus, status } (previous values null for new seasons,
+ *   new values null for dropped ones)
+ */
+function summarizeUpdate(changes, existingSeasons, rebuiltSeasons) {
+    const existingByName = new Map(existingSeasons.map(existing => [existing.season, existing]));
+    const rebuiltByName = new Map(rebuiltSeasons.map(rebuilt => [rebuilt.season, rebuilt]));
+    const names = [...new Set([...rebuiltByName.keys(), ...changes.keys()])].sort();
+
+    const seasons = names.map(name => {
+        const { added = [], revised = [], removed = [] } = changes.get(name) || {};
+        const previous = existingByName.get(name);
+        const rebuilt = rebuiltByName.get(name);
+
+        return {
+            season: name,
+            added: added.length,
+            revised: revised.length,
+            removed: removed.length,
+            previousTotal: previous ? previous.totalSnowfall : null,
+            totalSnowfall: rebuilt ? rebuilt.totalSnowfall : null,
+            previousStatus: previous ? previous.status : null,
+            status: rebuilt ? rebuilt.status : null
+        };
+    });
+
+    const sum = key => seasons.reduce((total, season) => total + season[key], 0);
+    return { added: sum('added'), revised: sum('revised'), removed: sum('removed'), seasons };
+}
+
+/**
+ * Print one line per rebuilt season and the day totals of an update
+ * @param {Object} summary - From summarizeUpdate()
+ */
+function printUpdateSummary(summary) {
+    for (const season of summary.seasons) {
+        const removed = season.removed ? `, ${season.removed} removed` : '';
+        const total = season.previousTotal === null
+            ? `new season, ${season.totalSnowfall}" total`
+            : `${season.previousTotal}" → ${season.totalSnowfall === null ? 'dropped' : `${season.totalSnowfall}"`}`;
+        const status = season.previousStatus && season.status && season.previousStatus !== season.status
+            ? ` [${season.previousStatus} → ${season.status}]`
+            : '';
+        console.log(`  ${season.season}: ${season.added} added, ${season.revised} revised${removed} (${total})${status}`);
+    }
+    console.log(`Days added: ${summary.added}, revised: ${summary.revised}` +
+        `${summary.removed ? `, removed: ${summary.removed}` : ''}`);
+}
+
+module.exports = {
+    loadExistingSeasons,
+    parseDailyRecord,
+    addDaysOutsideInput,
+    findChangedDays,
+    mergeSeasons,
+    summarizeUpdate,
+    printUpdateSummary
+};
@@ -0,0 +1,94 @@
+/**
+ * Provenance of processed season files
+ * Records which input files, options and code version produced a file, so a published
+ * data file can be traced back to the export it was built from.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { version: PACKAGE_VERSION } = require('../../package.json');
+const { formatMonthDay } = require('./seasons');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Compute the SHA-256 of a file's contents
+ * @param {string} filePath - File to hash
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Describe an input file by name, size and content hash
+ * Only the file name is kept; local directories say nothing about the data.
+ * @param {string} filePath - Path of the input
+ * @param {Object} details - Extra fields, e.g. { role: 'observations', rowsRead: 12795 }
+ * @returns {Object} { file, bytes, sha256, ...details }
+ */
+function describeInput(filePath, details = {}) {
+    return {
+        file: path.basename(filePath),
+        bytes: fs.statSync(filePath).size,
+        sha256: hashFile(filePath),
+        ...details
+    };
+}
+
+/**
+ * Get the version of the code running the processor
+ * @returns {string} package.json version plus the git commit when run from a checkout,
+ *   e.g. "1.0.0+9a91a3b" or "1.0.0+9a91a3b-dirty" with uncommitted changes
+ */
+function getCodeVersion() {
+    try {
+        const commit = execFileSync('git', ['describe', '--always', '--dirty'], {
+            cwd: REPO_ROOT,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            timeout: 5000
+        }).trim();
+        return commit ? `${PACKAGE_VERSION}+${commit}` : PACKAGE_VERSION;
+    } catch (error) {
+        return PACKAGE_VERSION; // Not a git checkout, or git is not installed
+    }
+}
+
+/**
+ * Describe a season window as a processing parameter
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {{name: string, start: string, end: string}} Window with MM-DD dates
+ */
+function describeSeasonParameter(season) {
+    return { name: season.name, start: formatMonthDay(season.start), end: formatMonthDay(season.end) };
+}
+
+/**
+ * Build the provenance block of an output file
+ * @param {Object} options - What produced the file
+ * @param {string} options.script - Processor that wrote the file, e.g. "scripts/process-noaa-data.js"
+ * @param {Object[]} options.inputs - Input files from describeInput()
+ * @param {Object|null} options.rows - { read, skipped: { reason: count }, records } or null without inputs
+ * @param {Object} options.parameters - Processing options that shaped the output
+ * @returns {Object} { generator: { script, version }, generatedAt, inputs, rows, parameters }
+ */
+function buildProvenance({ script, inputs = [], rows = null, parameters = {} }) {
+    return {
+        generator: { script, version: getCodeVersion() },
+        generatedAt: new Date().toISOString(),
+        inputs,
+        rows,
+        parameters
+    };
+}
+
+module.exports = {
+    hashFile,
+    describeInput,
+    getCodeVersion,
+    describeSeasonParameter,
+    buildProvenance
+};
@@ -0,0 +1,143 @@
+/**
+ * Snowfall reconciliation
+ * Compares reported daily snowfall (GHCND SNOW) with snowfall derived from snow depth
+ * changes (SNWD). Large disagreements usually point at observer or transcription errors
+ * in the station record.
+ */
+
+const { calculateDailySnowfall, roundTo } = require('../../js/snowfall-calculations');
+const { DEFAULT_SEASON, parseDate, getSkiSeason, daysBetween } = require('./seasons');
+
+// Days whose reported and depth-derived snowfall differ by at least this much are flagged (inches)
+const DEFAULT_DISCREPANCY_THRESHOLD = 6;
+
+// Only measured values are compared; multi-day totals assigned to single days are estimates
+const COMPARABLE_STATUSES = ['observed', 'trace'];
+
+const REPORT_COLUMNS = ['date', 'season', 'snowDepth', 'reportedSnowfall', 'depthSnowfall', 'difference', 'reason'];
+
+/**
+ * Derive snowfall from depth for every day and compare it with the reported snowfall
+ * Adds depthSnowfall and snowfallDiscrepancy (reported minus depth-derived, null when
+ * either is unavailable) to each record's extra fields. Each season is derived on its own.
+ * A depth reading that follows a gap in SNWD covers every day since the previous reading,
+ * so it is compared with the snowfall reported over those days; the day is not compared
+ * when any of them is missing from the input or has no measured SNOW.
+ * @param {Object[]} records - Parsed daily records in date order
+ * @param {Object} options - Reconciliation options
+ * @param {Object} options.season - Season from resolveSeason()
+ * @param {number} options.threshold - Smallest absolute difference that is flagged, inches
+ * @param {Object} options.policies - Snowfall policy overrides for the depth-derived values
+ * @returns {Object[]} Flagged days, in date order, with the report columns
+ */
+function reconcileSnowfall(records, {
+    season: seasonDefinition = DEFAULT_SEASON,
+    threshold = DEFAULT_DISCREPANCY_THRESHOLD,
+    policies = {}
+} = {}) {
+    const flagged = [];
+    const bySeason = new Map();
+
+    for (const record of records) {
+        const season = getSkiSeason(parseDate(record.date), seasonDefinition);
+        if (!season) {
+            continue;
+        }
+        if (!bySeason.has(season)) {
+            bySeason.set(season, []);
+        }
+        bySeason.get(season).push(record);
+    }
+
+    for (const [season, seasonRecords] of bySeason) {
+        const depthSnowfall = calculateDailySnowfall(
+            seasonRecords.map(record => record.snowDepth.value),
+            { precision: 1, ...policies },
+            seasonRecords.map(record => record.date)
+        );
+        let previousReading = null;
+
+        seasonRecords.forEach((record, index) => {
+            const derived = depthSnowfall[index];
+            const period = seasonRecords.slice(previousReading === null ? index : previousReading + 1, index + 1);
+            const comparable = derived !== null &&
+                daysBetween(period[0].date, record.date) === period.length - 1 &&
+                (previousReading === null || daysBetween(seasonRecords[previousReading].date, period[0].date) === 1) &&
+                period.every(day => day.snowfall.value !== null && COMPARABLE_STATUSES.includes(day.snowfall.status));
+            const reported = comparable
+                ? roundTo(period.reduce((total, day) => total + day.snowfall.value, 0), 1)
+                : record.snowfall.value;
+            const difference = comparable ? roundTo(reported - derived, 1) : null;
+
+            if (derived !== null) {
+                previousReading = index;
+            }
+            record.extra = { ...record.extra, depthSnowfall: derived, snowfallDiscrepancy: difference };
+
+            if (comparable && Math.abs(difference) >= threshold) {
+                flagged.push({
+                    date: record.date,
+                    season,
+                    snowDepth: record.snowDepth.value,
+                    reportedSnowfall: reported,
+                    depthSnowfall: derived,
+                    difference,
+                    reason: difference > 0
+                        ? 'reported snowfall without a matching depth rise'
+                        : 'depth rise without matching reported snowfall'
+                });
+            }
+        });
+    }
+
+    return flagged;
+}
+
+/**
+ * Summarize a built season's per-day discrepancies
+ * @param {Object} season - Season with reconciled dailyData
+ * @param {number} threshold - Smallest absolute difference that is flagged, inches
+ * @returns {{comparedDays: number, depthSnowfallTotal: number, meanAbsoluteDifference: (number|null), flaggedDays: number}}
+ */
+function summarizeDiscrepancies(season, threshold = DEFAULT_DISCREPANCY_THRESHOLD) {
+    let comparedDays = 0;
+    let depthSnowfallTotal = 0;
+    let absoluteDifference = 0;
+    let flaggedDays = 0;
+
+    for (const day of season.dailyData) {
+        depthSnowfallTotal += day.depthSnowfall || 0;
+
+        if (day.snowfallDiscrepancy !== null && day.snowfallDiscrepancy !== undefined) {
+            comparedDays++;
+            absoluteDifference += Math.abs(day.snowfallDiscrepancy);
+            if (Math.abs(day.snowfallDiscrepancy) >= threshold) {
+                flaggedDays++;
+            }
+        }
+    }
+
+    return {
+        comparedDays,
+        depthSnowfallTotal: roundTo(depthSnowfallTotal, 1),
+        meanAbsoluteDifference: comparedDays > 0 ? roundTo(absoluteDifference / comparedDays, 2) : null,
+        flaggedDays
+    };
+}
+
+/**
+ * Format flagged days as CSV
+ * @param {Object[]} flagged - Flagged days from reconcileSnowfall()
+ * @returns {string} CSV text with a header row
+ */
+function formatDiscrepancyReport(flagged) {
+    const rows = flagged.map(day => REPORT_COLUMNS.map(column => day[column] ?? '').join(','));
+    return [REPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    DEFAULT_DISCREPANCY_THRESHOLD,
+    reconcileSnowfall,
+    summarizeDiscrepancies,
+    formatDiscrepancyReport
+};
@@ -0,0 +1,440 @@
+/**
+ * Season helpers shared by the data processing scripts
+ * Season assignment, day-of-season math, season building and output formatting,
+ * so every processor writes the same season JSON schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { roundTo, calculateCumulative } = require('../../js/snowfall-calculations');
+const {
+    DAYS_IN_SEASON_CALENDAR,
+    parseMonthDay,
+    formatMonthDay,
+    resolveSeason,
+    getCalendarDate,
+    getSeasonStartYear,
+    getDayOfSeason,
+    getSeasonName,
+    getSeasonDateRange,
+    getDataSeason
+} = require('../../js/season-calendar');
+const { SEASON_DATA_SCHEMA_VERSION, assertValidSeasonData } = require('../../js/season-schema');
+const { isCompactSeasonData, encodeCompactSeasonData, decodeCompactSeasonData } = require('../../js/compact-data');
+
+// Seasons run Aug 1 - Jul 31 unless a processor is told otherwise (see js/season-calendar.js)
+const DEFAULT_SEASON = resolveSeason();
+const DEFAULT_PRECISION = 1;
+
+// Estimator recorded on seasons whose snowfall was measured rather than derived from depth
+const REPORTED_ESTIMATOR = { name: 'reported' };
+
+// Finished seasons with fewer than this percent of days with a snowfall value are partial
+const DEFAULT_MIN_COVERAGE = 90;
+
+// Days whose value was not measured but presumed zero (GHCND flag "P"); they do not count as covered
+const PRESUMED_ZERO_STATUS = 'presumed-zero';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date string in YYYY-MM-DD format
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {Date} Midnight UTC on that date
+ */
+function parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Parse a season start given as MM-DD
+ * @param {string} value - Season start, e.g. "08-01" or "10-01"
+ * @returns {{month: number, day: number}} 1-based month and day
+ * @throws {Error} If the value is not a valid MM-DD date
+ */
+function parseSeasonStart(value) {
+    return parseMonthDay(value, 'season start');
+}
+
+/**
+ * Read the season window from the --season and --season-start command-line options
+ * @param {{season: (string|undefined), 'season-start': (string|undefined)}} values - Parsed option values
+ * @returns {Object} Season from resolveSeason() (the default Aug 1 - Jul 31 season when neither is given)
+ * @throws {Error} If both options are given or the value is invalid
+ */
+function parseSeasonOption(values) {
+    if (values.season !== undefined && values['season-start'] !== undefined) {
+        throw new Error('Use either --season or --season-start, not both');
+    }
+    if (values['season-start'] !== undefined) {
+        return resolveSeason({ start: parseSeasonStart(values['season-start']) });
+    }
+    return values.season !== undefined ? resolveSeason(values.season) : DEFAULT_SEASON;
+}
+
+/**
+ * Get the ski season for a given date
+ * Ski season runs Aug 1 - Jul 31 by default
+ * @param {Date|string} date - UTC date or YYYY-MM-DD string
+ * @param {Object} season - Season from resolveSeason()
+ * @returns {string|null} Season name, e.g. "2023-24", or null outside the season window
+ */
+function getSkiSeason(date, season = DEFAULT_SEASON) {
+    return getSeasonName(date, season);
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD date string
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+function addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Count the days from one YYYY-MM-DD date to another
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {number} Whole days from `from` to `to` (negative if `to` is earlier)
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / MS_PER_DAY);
+}
+
+/**
+ * Get today's date
+ * @returns {string} Today in YYYY-MM-DD (UTC)
+ */
+function getToday() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Find the latest date among daily records
+ * @param {Object[]} records - Records with a YYYY-MM-DD `date`
+ * @returns {string} Latest date, or '' without records
+ */
+function getLatestDate(records) {
+    return records.reduce((latest, record) => (record.date > latest ? record.date : latest), '');
+}
+
+/**
+ * Tell whether a processed day counts towards a season's coverage
+ * @param {Object} day - Daily record in the output file schema
+ * @returns {boolean} True if the day has a snowfall value that was not merely presumed zero
+ */
+function hasSnowfallValue(day) {
+    return day.dailySnowfall !== null && day.dailySnowfall !== undefined && day.snowStatus !== PRESUMED_ZERO_STATUS;
+}
+
+/**
+ * Tag a season as complete, partial-historical or in-progress
+ * A season is in progress while the data stops before its end and its window has not
+ * passed yet; a station that stopped reporting leaves its last season partial instead.
+ * Coverage is the percent of the season's days with a snowfall value (presumed zeros do
+ * not count); for the season still in progress it is measured up to the last date of the data.
+ * @param {Object[]} dailyData - Processed daily records of the season
+ * @param {number} startYear - Season start year
+ * @param {Object} options - Classification options
+ * @param {Object} options.season - Season from resolveSeason()
+ * @param {string} options.dataEnd - Latest date in the data (YYYY-MM-DD)
+ * @param {string} options.asOf - Date the data is processed on (YYYY-MM-DD, default today)
+ * @param {number} options.minCoverage - Percent below which a finished season is partial
+ * @returns {{status: string, coverage: number}} Season status and coverage percent
+ */
+function classifySeason(dailyData, startYear, {
+    season = DEFAULT_SEASON,
+    dataEnd,
+    asOf = getToday(),
+    minCoverage = DEFAULT_MIN_COVERAGE
+} = {}) {
+    const { start, end } = getSeasonDateRange(startYear, season);
+    const inProgress = Boolean(dataEnd) && dataEnd < end && asOf <= end;
+    const lastDay = inProgress ? dataEnd : end;
+
+    const covered = new Set(dailyData
+        .filter(day => hasSnowfallValue(day) && day.date >= start && day.date <= lastDay)
+        .map(day => day.date));
+    const totalDays = daysBetween(start, lastDay) + 1;
+    const coverage = totalDays > 0 ? Math.round(covered.size / totalDays * 1000) / 10 : 0;
+
+    let status = 'complete';
+    if (inProgress) {
+        status = 'in-progress';
+    } else if (coverage < minCoverage) {
+        status = 'partial-historical';
+    }
+
+    return { status, coverage };
+}
+
+/**
+ * Turn a parsed daily record into a daily record of the output file
+ * @param {Object} record - Parsed record ({ date, snowfall, snowDepth } plus optional
+ *   accumulation, imputation and extra fields)
+ * @param {number} dayOfSeason - Day of season of the record's date
+ * @param {number} cumulativeSnowfall - Season snowfall up to and including the day
+ * @returns {Object} Daily record in the output file schema
+ */
+function formatDailyRecord(record, dayOfSeason, cumulativeSnowfall) {
+    const processedRecord = {
+        date: record.date,
+        dayOfSeason,
+        snowDepth: record.snowDepth.value,
+        dailySnowfall: record.snowfall.value,
+        cumulativeSnowfall,
+        snowStatus: record.snowfall.status,
+        snowDepthStatus: record.snowDepth.status,
+        flags: {
+            snow: record.snowfall.flags,
+            snowDepth: record.snowDepth.flags
+        },
+        ...record.extra
+    };
+
+    if (record.accumulation) {
+        processedRecord.accumulation = record.accumulation;
+    }
+    if (record.imputation) {
+        processedRecord.imputation = record.imputation;
+    }
+
+    return processedRecord;
+}
+
+/**
+ * Group parsed daily records into seasons and compute cumulative snowfall
+ * Each record carries { date, snowfall, snowDepth } observations ({ value, status, flags });
+ * optional `accumulation` and `imputation` entries and an optional `extra` object of
+ * additional fields are copied onto the processed record.
+ * Missing and QC-failed days contribute nothing but keep their null value. Records
+ * outside the season window (e.g. summer with a Nov 1 - Apr 30 season) are left out.
+ * @param {Object[]} records - Parsed daily records (any order)
+ * @param {Object} options - Season options
+ * @param {Object} options.season - Season from resolveSeason()
+ * @param {number} options.precision - Decimal places for cumulative and total snowfall
+ * @param {Object} options.estimator - How daily snowfall was produced, recorded on each season:
+ *   { name: 'reported' } for measured snowfall, or describeSnowfallEstimator() for depth-derived
+ * @param {number} options.minCoverage - Coverage percent below which a finished season is partial
+ * @param {string} options.dataEnd - Latest date of the station's data (YYYY-MM-DD); defaults to
+ *   the latest record, pass it when building only some of the station's seasons
+ * @param {string} options.asOf - Date the data is processed on (YYYY-MM-DD, default today)
+ * @returns {Object[]} Seasons sorted by start year, in the output file schema
+ */
+function buildSeasons(records, {
+    season = DEFAULT_SEASON,
+    precision = DEFAULT_PRECISION,
+    estimator = REPORTED_ESTIMATOR,
+    minCoverage = DEFAULT_MIN_COVERAGE,
+    dataEnd = getLatestDate(records),
+    asOf = getToday()
+} = {}) {
+    // Group data by season
+    const seasonData = new Map();
+
+    for (const record of records) {
+        const date = parseDate(record.date);
+        const seasonName = getSkiSeason(date, season);
+        if (!seasonName) {
+            continue;
+        }
+
+        // Initialize season if not exists
+        if (!seasonData.has(seasonName)) {
+            seasonData.set(seasonName, []);
+        }
+
+        seasonData.get(seasonName).push({
+            ...record,
+            dayOfSeason: getDayOfSeason(date, season),
+            originalDate: date
+        });
+    }
+
+    // Process each season
+    const seasons = [];
+
+    for (const [seasonName, dailyRecords] of seasonData) {
+        // Sort by date
+        dailyRecords.sort((a, b) => a.originalDate - b.originalDate);
+
+        // Calculate cumulative snowfall
+        const cumulativeSnowfall = calculateCumulative(dailyRecords.map(record => record.snowfall.value), { precision });
+        const statusCounts = {};
+
+        const processedRecords = dailyRecords.map((record, index) => {
+            statusCounts[record.snowfall.status] = (statusCounts[record.snowfall.status] || 0) + 1;
+            return formatDailyRecord(record, record.dayOfSeason, cumulativeSnowfall[index]);
+        });
+
+        const startYear = getSeasonStartYear(dailyRecords[0].originalDate, season);
+        const totalSnowfall = cumulativeSnowfall[cumulativeSnowfall.length - 1];
+
+        seasons.push({
+            season: seasonName,
+            startYear,
+            ...classifySeason(processedRecords, startYear, { season, dataEnd, asOf, minCoverage }),
+            totalSnowfall,
+            traceDays: statusCounts.trace || 0,
+            presumedZeroDays: statusCounts[PRESUMED_ZERO_STATUS] || 0,
+            missingDays: statusCounts.missing || 0,
+            qcFailedDays: statusCounts['qc-failed'] || 0,
+            distributedDays: (statusCounts.distributed || 0) + (statusCounts.accumulated || 0),
+            imputedDays: statusCounts.imputed || 0,
+            estimator,
+            dailyData: processedRecords
+        });
+    }
+
+    // Sort seasons by start year
+    seasons.sort((a, b) => a.startYear - b.startYear);
+
+    return seasons;
+}
+
+/**
+ * Serialize the output file with one daily record per line
+ * Keeps the file diffable and much smaller than fully indented JSON
+ * @param {Object} output - Output data object
+ * @returns {string} JSON text
+ */
+function formatOutputJson(output) {
+    const json = JSON.stringify(output, (key, value) => (
+        key === 'dailyData' ? value.map(record => JSON.stringify(record)) : value
+    ), 2);
+
+    return json.replace(/^(\s*)("\{.*\}")(,?)$/gm, (match, indent, literal, comma) => `${indent}${JSON.parse(literal)}${comma}`);
+}
+
+/**
+ * Get the path of the compact file written next to a season file
+ * @param {string} outputPath - Path of the season JSON file
+ * @returns {string} e.g. data/snowfall-data.compact.json for data/snowfall-data.json
+ */
+function getCompactPath(outputPath) {
+    return outputPath.replace(/(\.json)?$/, '.compact.json');
+}
+
+/**
+ * Validate an output file against the season data schema and write it
+ * The readable JSON is written for tools and reviews, and a compact columnar copy
+ * (js/compact-data.js) next to it for the page to download.
+ * @param {string} outputPath - Path of the JSON file to write
+ * @param {Object} output - Output data object (with schemaVersion)
+ * @returns {string} Path of the compact file
+ * @throws {Error} If the output does not match the schema or the compact copy would not decode
+ *   to the same data; nothing is written then
+ */
+function writeSeasonFile(outputPath, output) {
+    assertValidSeasonData(output, `Output for ${outputPath}`);
+
+    // Compare what ends up in the files: JSON drops undefined fields
+    const compactJson = JSON.stringify(encodeCompactSeasonData(output));
+    if (!isDeepStrictEqual(decodeCompactSeasonData(JSON.parse(compactJson)), JSON.parse(JSON.stringify(output)))) {
+        throw new Error(`Compact copy of ${outputPath} does not decode to the same data`);
+    }
+
+    const compactPath = getCompactPath(outputPath);
+    fs.writeFileSync(outputPath, formatOutputJson(output));
+    fs.writeFileSync(compactPath, compactJson + '\n');
+    return compactPath;
+}
+
+/**
+ * Read a season file written by writeSeasonFile()
+ * @param {string} filePath - Path of the readable or the compact JSON file
+ * @returns {Object} Season data in the regular layout
+ */
+function readSeasonFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return isCompactSeasonData(data) ? decodeCompactSeasonData(data) : data;
+}
+
+/**
+ * Add or update a station's entry in the station manifest the UI reads
+ * Existing fields such as attribution and methodology are kept.
+ * @param {string} manifestPath - Path to the manifest JSON (created if missing)
+ * @param {string} outputPath - Path of the station's data file
+ * @param {Object} station - Station metadata ({ id, name, elevation })
+ * @param {string} network - Observing network, e.g. "NOAA GHCND" or "NRCS SNOTEL"
+ * @returns {Object} The updated manifest
+ */
+function updateStationManifest(manifestPath, outputPath, station, network) {
+    const manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        : { defaultStation: station.id, stations: [] };
+
+    const entry = {
+        id: station.id,
+        name: station.name,
+        network,
+        elevation: station.elevation,
+        // Data files are referenced relative to the manifest
+        file: path.relative(path.dirname(manifestPath), outputPath).split(path.sep).join('/')
+    };
+
+    const index = manifest.stations.findIndex(existing => existing.id === station.id);
+    if (index >= 0) {
+        manifest.stations[index] = { ...manifest.stations[index], ...entry };
+    } else {
+        manifest.stations.push(entry);
+    }
+
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+}
+
+/**
+ * Print one summary line per season
+ * @param {Object[]} seasons - Processed seasons
+ */
+function printSeasonStats(seasons) {
+    for (const season of seasons) {
+        const status = season.status && season.status !== 'complete' ? ` [${season.status}, ${season.coverage}% coverage]` : '';
+        console.log(`  ${season.season}: ${season.totalSnowfall}" total, ${season.dailyData.length} days ` +
+            `(${season.traceDays} trace, ${season.presumedZeroDays || 0} presumed zero, ${season.missingDays} missing, ` +
+            `${season.qcFailedDays} QC-failed` +
+            `${season.imputedDays ? `, ${season.imputedDays} imputed` : ''})${status}`);
+    }
+}
+
+module.exports = {
+    SEASON_DATA_SCHEMA_VERSION,
+    DEFAULT_SEASON,
+    DEFAULT_PRECISION,
+    REPORTED_ESTIMATOR,
+    DEFAULT_MIN_COVERAGE,
+    PRESUMED_ZERO_STATUS,
+    DAYS_IN_SEASON_CALENDAR,
+    parseDate,
+    getCalendarDate,
+    parseSeasonStart,
+    parseSeasonOption,
+    formatMonthDay,
+    resolveSeason,
+    getDataSeason,
+    getSeasonStartYear,
+    getSkiSeason,
+    getDayOfSeason,
+    roundTo,
+    addDays,
+    daysBetween,
+    getToday,
+    getLatestDate,
+    hasSnowfallValue,
+    getSeasonDateRange,
+    classifySeason,
+    formatDailyRecord,
+    buildSeasons,
+    formatOutputJson,
+    getCompactPath,
+    writeSeasonFile,
+    readSeasonFile,
+    updateStationManifest,
+    printSeasonStats
+};
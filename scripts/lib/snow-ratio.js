@@ -0,0 +1,101 @@
+/**
+ * Snow-to-liquid ratios
+ * Compares each day's snowfall with the liquid precipitation (PRCP) measured the same day.
+ * A ratio of 10 means ten inches of snow melted down to one inch of water; light, dry
+ * snow is 15 or more, dense wet snow well under 10.
+ */
+
+const { roundTo } = require('../../js/snowfall-calculations');
+
+// Days with less liquid than this (inches) get no ratio: 0.01-0.04" is mostly rounding
+const MIN_RATIO_PRECIPITATION = 0.05;
+
+/**
+ * Get a day's snow-to-liquid ratio
+ * Only days with measured snow and measured liquid qualify; trace, multi-day, imputed
+ * and depth-derived snowfall is left out.
+ * @param {{value: (number|null), status: string}} snowfall - Snowfall observation
+ * @param {{value: (number|null), status: string}} precipitation - PRCP observation
+ * @returns {number|null} Inches of snow per inch of liquid, or null if the day does not qualify
+ */
+function getSnowToLiquidRatio(snowfall, precipitation) {
+    if (!snowfall || !precipitation || snowfall.status !== 'observed' || precipitation.status !== 'observed' ||
+        !(snowfall.value > 0) || !(precipitation.value >= MIN_RATIO_PRECIPITATION)) {
+        return null;
+    }
+
+    return roundTo(snowfall.value / precipitation.value, 1);
+}
+
+/**
+ * Copy daily precipitation and the snow-to-liquid ratio into each record's extra fields
+ * Records without a PRCP observation (e.g. days added for multi-day totals) are left alone.
+ * @param {Object[]} records - Parsed daily records with `snowfall` and `precipitation` observations
+ * @returns {Object[]} The same records
+ */
+function addSnowToLiquid(records) {
+    for (const record of records) {
+        if (!record.precipitation) {
+            continue;
+        }
+
+        const ratio = getSnowToLiquidRatio(record.snowfall, record.precipitation);
+        record.extra = { ...record.extra, precipitation: record.precipitation.value };
+        if (ratio !== null) {
+            record.extra.snowToLiquidRatio = ratio;
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Summarize a built season's precipitation and snow-to-liquid ratios
+ * Averages are total snow over total liquid of the qualifying days, so a big storm counts
+ * more than a dusting.
+ * @param {Object} season - Season with dailyData carrying precipitation/snowToLiquidRatio
+ * @returns {{totalPrecipitation: (number|null), snowToLiquid: Object}} Season total liquid
+ *   (null without PRCP) and { ratio, snowDays, months: [{ month: "YYYY-MM", ratio, snowDays }] }
+ */
+function summarizeSnowToLiquid(season) {
+    let totalPrecipitation = null;
+    const overall = { snowfall: 0, precipitation: 0, snowDays: 0 };
+    const byMonth = new Map();
+
+    for (const day of season.dailyData) {
+        if (typeof day.precipitation === 'number') {
+            totalPrecipitation = (totalPrecipitation || 0) + day.precipitation;
+        }
+        if (typeof day.snowToLiquidRatio !== 'number') {
+            continue;
+        }
+
+        const month = day.date.slice(0, 7);
+        if (!byMonth.has(month)) {
+            byMonth.set(month, { snowfall: 0, precipitation: 0, snowDays: 0 });
+        }
+        for (const total of [byMonth.get(month), overall]) {
+            total.snowfall += day.dailySnowfall;
+            total.precipitation += day.precipitation;
+            total.snowDays++;
+        }
+    }
+
+    const average = total => (total.snowDays > 0 ? roundTo(total.snowfall / total.precipitation, 1) : null);
+
+    return {
+        totalPrecipitation: totalPrecipitation === null ? null : roundTo(totalPrecipitation, 2),
+        snowToLiquid: {
+            ratio: average(overall),
+            snowDays: overall.snowDays,
+            months: [...byMonth].map(([month, total]) => ({ month, ratio: average(total), snowDays: total.snowDays }))
+        }
+    };
+}
+
+module.exports = {
+    MIN_RATIO_PRECIPITATION,
+    getSnowToLiquidRatio,
+    addSnowToLiquid,
+    summarizeSnowToLiquid
+};
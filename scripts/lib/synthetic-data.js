@@ -0,0 +1,205 @@
+/**
+ * Deterministic synthetic snow depth generator
+ * Produces reproducible seasons from a seed and a climate profile for tests and demos.
+ * Dates are computed in UTC so output does not depend on the machine's timezone.
+ */
+
+const fs = require('fs');
+
+// Typical Winter Park pattern: snow starts in October and peaks Jan-Mar
+// Months are indexed Jan (0) to Dec (11); stormChance is the probability of new snow
+// on a given day and maxSnowfall the largest single-day amount in inches
+const WINTER_PARK_PROFILE = {
+    name: 'winter-park',
+    months: [
+        { stormChance: 0.3, maxSnowfall: 15 },  // Jan
+        { stormChance: 0.3, maxSnowfall: 15 },  // Feb
+        { stormChance: 0.3, maxSnowfall: 15 },  // Mar
+        { stormChance: 0.2, maxSnowfall: 10 },  // Apr
+        { stormChance: 0.1, maxSnowfall: 6 },   // May
+        { stormChance: 0, maxSnowfall: 0 },     // Jun
+        { stormChance: 0, maxSnowfall: 0 },     // Jul
+        { stormChance: 0, maxSnowfall: 0 },     // Aug
+        { stormChance: 0, maxSnowfall: 0 },     // Sep
+        { stormChance: 0.15, maxSnowfall: 8 },  // Oct
+        { stormChance: 0.25, maxSnowfall: 12 }, // Nov
+        { stormChance: 0.25, maxSnowfall: 12 }  // Dec
+    ],
+    settlingChance: 0.1, // Chance of settling/melt on a day without new snow
+    settlingRate: 0.1,   // Largest fraction of the snowpack lost in one day
+    maxSettling: 3       // Largest settling/melt in one day, inches
+};
+
+// Seed used when none is given, so `npm run generate-data` is reproducible
+const DEFAULT_SEED = 1;
+
+const CLIMATE_PROFILES = {
+    'winter-park': WINTER_PARK_PROFILE
+};
+
+/**
+ * Edge-case scenarios
+ *   typical   - the profile as is
+ *   no-snow   - no storms at all, depth stays 0
+ *   gaps      - typical weather with runs of days dropped from the record
+ *   leap-year - typical weather in the first season at or after the requested one that contains Feb 29
+ */
+const SCENARIOS = ['typical', 'no-snow', 'gaps', 'leap-year'];
+
+/**
+ * Resolve a climate profile by name or from a JSON file with the same shape
+ * @param {string} nameOrPath - Profile name (see CLIMATE_PROFILES) or path to a JSON file
+ * @returns {Object} Climate profile
+ * @throws {Error} If the file cannot be read or does not describe 12 months
+ */
+function loadClimateProfile(nameOrPath) {
+    if (CLIMATE_PROFILES[nameOrPath]) {
+        return CLIMATE_PROFILES[nameOrPath];
+    }
+
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(nameOrPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unknown climate profile "${nameOrPath}" (expected ${Object.keys(CLIMATE_PROFILES).join(', ')} or a JSON file): ${error.message}`);
+    }
+
+    const months = profile.months;
+    if (!Array.isArray(months) || months.length !== 12 ||
+        !months.every(month => month.stormChance >= 0 && month.stormChance <= 1 && month.maxSnowfall >= 0)) {
+        throw new Error(`${nameOrPath}: "months" must list 12 months of { stormChance (0-1), maxSnowfall }`);
+    }
+
+    // Settling defaults to the Winter Park behaviour when the file leaves it out
+    return {
+        ...WINTER_PARK_PROFILE,
+        name: profile.name || nameOrPath,
+        ...profile
+    };
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derive a per-season seed so each season is the same however many seasons are generated
+ * @param {number} seed - Base seed
+ * @param {number} startYear - Season start year
+ * @returns {number} Season seed
+ */
+function seasonSeed(seed, startYear) {
+    return (Math.imul(seed >>> 0, 31) + Math.imul(startYear, 2654435761)) >>> 0;
+}
+
+/**
+ * Check whether the season starting Aug 1 of a year contains Feb 29
+ * @param {number} startYear - Season start year
+ * @returns {boolean} True if the following year is a leap year
+ */
+function isLeapSeason(startYear) {
+    const year = startYear + 1;
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Generate one season of daily snow depth readings (Aug 1 - Jul 31)
+ * @param {number} startYear - Season start year
+ * @param {Object} options - Generator options
+ * @param {number} options.seed - Base seed; the same seed always gives the same season
+ * @param {Object} options.profile - Climate profile (see WINTER_PARK_PROFILE)
+ * @param {string} options.scenario - One of SCENARIOS
+ * @returns {{startYear: number, days: {date: string, snowDepth: number}[]}} Season start year
+ *   (which differs from the request for "leap-year") and its readings in date order
+ * @throws {Error} On an unknown scenario
+ */
+function generateSeasonDepths(startYear, { seed = DEFAULT_SEED, profile = WINTER_PARK_PROFILE, scenario = 'typical' } = {}) {
+    if (!SCENARIOS.includes(scenario)) {
+        throw new Error(`Unknown scenario "${scenario}" (expected one of ${SCENARIOS.join(', ')})`);
+    }
+
+    if (scenario === 'leap-year') {
+        while (!isLeapSeason(startYear)) {
+            startYear++;
+        }
+    }
+
+    const random = createRandom(seasonSeed(seed, startYear));
+    const days = [];
+    const start = Date.UTC(startYear, 7, 1);
+    const end = Date.UTC(startYear + 1, 6, 31);
+    let currentDepth = 0;
+
+    for (let time = start; time <= end; time += 24 * 60 * 60 * 1000) {
+        const date = new Date(time);
+        const { stormChance, maxSnowfall } = scenario === 'no-snow'
+            ? { stormChance: 0, maxSnowfall: 0 }
+            : profile.months[date.getUTCMonth()];
+
+        const roll = random();
+        let dailyChange = 0;
+
+        if (roll < stormChance) {
+            // New snowfall
+            dailyChange = random() * maxSnowfall;
+        } else if (currentDepth > 0 && roll < stormChance + profile.settlingChance) {
+            // Some settling/melting
+            dailyChange = -random() * Math.min(currentDepth * profile.settlingRate, profile.maxSettling);
+        }
+
+        currentDepth = Math.max(0, currentDepth + dailyChange);
+
+        days.push({
+            date: date.toISOString().split('T')[0],
+            snowDepth: Math.round(currentDepth * 10) / 10 // Round to 1 decimal
+        });
+    }
+
+    return { startYear, days: scenario === 'gaps' ? dropGaps(days, random) : days };
+}
+
+/**
+ * Drop a few runs of days from a season to imitate station outages
+ * @param {Object[]} days - Daily readings
+ * @param {function(): number} random - Seeded random function
+ * @returns {Object[]} Readings with 3-6 gaps of 1-21 days removed
+ */
+function dropGaps(days, random) {
+    const dropped = new Set();
+    const gapCount = 3 + Math.floor(random() * 4);
+
+    for (let gap = 0; gap < gapCount; gap++) {
+        // Keep the first and last day so the season's span is unchanged
+        const first = 1 + Math.floor(random() * (days.length - 2));
+        const length = 1 + Math.floor(random() * 21);
+        for (let i = first; i < Math.min(first + length, days.length - 1); i++) {
+            dropped.add(i);
+        }
+    }
+
+    return days.filter((day, index) => !dropped.has(index));
+}
+
+module.exports = {
+    DEFAULT_SEED,
+    WINTER_PARK_PROFILE,
+    CLIMATE_PROFILES,
+    SCENARIOS,
+    loadClimateProfile,
+    createRandom,
+    isLeapSeason,
+    generateSeasonDepths
+};
@@ -1,232 +1,677 @@
 #!/usr/bin/env node
 
 /**
- * Process NOAA GHCND data from Winter Park station (USC00059175)
- * Converts CSV data to JSON format for the snowfall tracker application
+ * Process NOAA GHCND daily data into the snowfall tracker's JSON format
+ * Defaults to the Winter Park station (USC00059175); run with --help for options
+ *
+ *   node scripts/process-noaa-data.js --input data/USC00051660data.csv \
+ *       --output data/fraser.json --station-id USC00051660 --station-name Fraser --elevation 8560
  */
 
 const fs = require('fs');
 const path = require('path');
-
-// Input and output paths
+const { parseArgs } = require('util');
+const { readCsvFile } = require('./lib/csv-reader');
+const {
+    SEASON_DATA_SCHEMA_VERSION,
+    DEFAULT_SEASON,
+    DEFAULT_PRECISION,
+    REPORTED_ESTIMATOR,
+    parseSeasonOption,
+    formatMonthDay,
+    addDays,
+    getToday,
+    getLatestDate,
+    getSeasonDateRange,
+    getSkiSeason,
+    buildSeasons,
+    writeSeasonFile,
+    readSeasonFile,
+    updateStationManifest,
+    printSeasonStats
+} = require('./lib/seasons');
+const {
+    DEFAULT_DISCREPANCY_THRESHOLD,
+    reconcileSnowfall,
+    summarizeDiscrepancies,
+    formatDiscrepancyReport
+} = require('./lib/reconcile');
+const { DEFAULT_MIN_SHARED_DAYS, loadNeighborSnowfall, imputeFromNeighbor } = require('./lib/impute');
+const { MIN_RATIO_PRECIPITATION, addSnowToLiquid, summarizeSnowToLiquid } = require('./lib/snow-ratio');
+const {
+    loadExistingSeasons,
+    addDaysOutsideInput,
+    findChangedDays,
+    mergeSeasons,
+    summarizeUpdate,
+    printUpdateSummary
+} = require('./lib/incremental');
+const { describeInput, describeSeasonParameter, buildProvenance } = require('./lib/provenance');
+
+// Default input and output paths
 const INPUT_CSV = path.join(__dirname, '../data/USC00059175data.csv');
 const OUTPUT_JSON = path.join(__dirname, '../data/snowfall-data.json');
 
+// Station metadata used when none is given on the command line
+const DEFAULT_STATION = {
+    id: 'USC00059175',
+    name: 'Winter Park',
+    elevation: 9100 // feet
+};
+
+// Multi-day snowfall totals (MDSF) are spread evenly over their period unless "lump" is requested
+const ACCUMULATION_MODES = ['spread', 'lump'];
+const DEFAULT_ACCUMULATION_MODE = 'spread';
+
+// Columns every GHCND export must have; everything else is optional
+const REQUIRED_COLUMNS = ['DATE', 'SNOW'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Value of a trace amount of snow (inches); recorded in the output's provenance
+const TRACE_VALUE = 0;
+
+// Measurement flag of a value that was not measured but presumed zero ("missing, presumed zero")
+const PRESUMED_ZERO_FLAG = 'P';
+
 /**
- * Parse a date string in YYYY-MM-DD format
+ * Parse a GHCND *_ATTRIBUTES value into its individual flags
+ * Attributes are "measurement,quality,source[,time]"; empty flags are omitted
+ * @param {string} attributes - Raw attributes string, e.g. "T,,7,0800"
+ * @returns {Object} Flags object with measurement/quality/source/time keys
  */
-function parseDate(dateStr) {
-    const [year, month, day] = dateStr.split('-').map(Number);
-    return new Date(year, month - 1, day);
+function parseAttributes(attributes) {
+    const [measurement, quality, source, time] = (attributes || '').split(',').map(flag => flag.trim());
+    const flags = {};
+
+    if (measurement) flags.measurement = measurement;
+    if (quality) flags.quality = quality;
+    if (source) flags.source = source;
+    if (time) flags.time = time;
+
+    return flags;
 }
 
 /**
- * Get the ski season for a given date
- * Ski season runs Aug 1 - Jul 31
+ * Parse an observed value together with its GHCND attributes
+ * Status is one of:
+ *   observed  - a real measurement (including true zeros)
+ *   trace     - trace amount (measurement flag "T"), counted as TRACE_VALUE
+ *   presumed-zero - not measured, presumed zero (measurement flag "P"), value is 0
+ *   missing   - blank or unparseable value, value is null
+ *   qc-failed - value failed a NOAA quality check (quality flag set), value is null
+ * @param {string} value - Raw value column
+ * @param {string} attributes - Raw *_ATTRIBUTES column
+ * @returns {{value: (number|null), status: string, flags: Object}} Parsed observation
  */
-function getSkiSeason(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth(); // 0-based
+function parseObservation(value, attributes) {
+    const flags = parseAttributes(attributes);
+    const raw = (value || '').trim();
 
-    if (month >= 7) { // Aug-Dec (months 7-11)
-        return `${year}-${String(year + 1).slice(-2)}`;
-    } else { // Jan-Jul (months 0-6)
-        return `${year - 1}-${String(year).slice(-2)}`;
+    if (raw === '') {
+        return { value: null, status: 'missing', flags };
     }
-}
 
-/**
- * Get day of season (0-365, where Aug 1 = 0)
- */
-function getDayOfSeason(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth();
+    if (flags.quality) {
+        return { value: null, status: 'qc-failed', flags };
+    }
 
-    let seasonStart;
-    if (month >= 7) { // Aug-Dec
-        seasonStart = new Date(year, 7, 1); // Aug 1 of current year
-    } else { // Jan-Jul
-        seasonStart = new Date(year - 1, 7, 1); // Aug 1 of previous year
+    if (raw === 'T' || flags.measurement === 'T') {
+        return { value: TRACE_VALUE, status: 'trace', flags };
     }
 
-    const diffTime = date - seasonStart;
-    return Math.floor(diffTime / (1000 * 60 * 60 * 24));
-}
+    if (flags.measurement === PRESUMED_ZERO_FLAG) {
+        return { value: 0, status: 'presumed-zero', flags };
+    }
 
-/**
- * Parse and clean snowfall value
- */
-function parseSnowfall(value) {
-    if (!value || value === '' || value === 'T') {
-        return 0; // Trace amounts or missing = 0
+    const num = parseFloat(raw);
+    if (isNaN(num)) {
+        return { value: null, status: 'missing', flags };
     }
-    const num = parseFloat(value);
-    return isNaN(num) ? 0 : Math.max(0, num);
+
+    return { value: Math.max(0, num), status: 'observed', flags };
 }
 
 /**
- * Parse and clean snow depth value
+ * Parse a GHCND temperature (TMAX/TMIN) together with its attributes
+ * Unlike snow values, temperatures may be negative; trace flags do not apply.
+ * @param {string} value - Raw value column, degrees Fahrenheit
+ * @param {string} attributes - Raw *_ATTRIBUTES column
+ * @returns {number|null} Temperature, or null when missing or QC-failed
  */
-function parseSnowDepth(value) {
-    if (!value || value === '' || value === 'T') {
-        return 0;
+function parseTemperature(value, attributes) {
+    const raw = (value || '').trim();
+    const num = parseFloat(raw);
+
+    if (raw === '' || isNaN(num) || parseAttributes(attributes).quality) {
+        return null;
     }
-    const num = parseFloat(value);
-    return isNaN(num) ? 0 : Math.max(0, num);
+
+    return num;
 }
 
 /**
- * Process the NOAA CSV data
+ * Stream a GHCND CSV export into parsed daily records
+ * Columns are looked up by header name, so exports with any set of datatypes work;
+ * optional columns (SNWD, MDSF, DAPR and all *_ATTRIBUTES) read as blank when absent, and
+ * records only get a `precipitation` observation when the export has PRCP.
+ * Days with a TMAX or TMIN reading get maxTemperature/minTemperature (°F) in their extra fields.
+ * @param {string} inputPath - Path to the CDO CSV export
+ * @returns {Promise<{records: Object[], rowsRead: number, skipped: Object, stationIds: string[]}>}
+ *   Records plus the number of data rows read, skipped row counts keyed by reason and
+ *   the STATION values seen
+ * @throws {Error} If a required column is missing
  */
-function processNoaaData() {
-    console.log('Reading NOAA data from:', INPUT_CSV);
-
-    const csvContent = fs.readFileSync(INPUT_CSV, 'utf8');
-    const lines = csvContent.trim().split('\n');
-
-    // Skip header
-    const dataLines = lines.slice(1);
-
-    console.log(`Processing ${dataLines.length} data records...`);
-
-    // Group data by season
-    const seasonData = new Map();
-    let processedCount = 0;
-
-    for (const line of dataLines) {
-        // More robust CSV parsing - split on commas but handle quoted fields
-        const columns = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                columns.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
+async function readNoaaCsv(inputPath) {
+    const records = [];
+    const skipped = {};
+    const stationIds = new Set();
+    let rowsRead = 0;
+
+    const skip = (reason) => {
+        skipped[reason] = (skipped[reason] || 0) + 1;
+    };
+
+    for await (const { rowNumber, record: row, error } of readCsvFile(inputPath, { requiredColumns: REQUIRED_COLUMNS })) {
+        rowsRead++;
+
+        if (!row) {
+            // One reason for every malformed row keeps the summary short; the detail goes here
+            console.warn(`Skipping malformed row ${rowNumber} of ${path.basename(inputPath)}: ${error}`);
+            skip('malformed row');
+            continue;
         }
-        columns.push(current); // Add the last column
 
-        if (columns.length < 15) {
+        const dateStr = (row.DATE || '').trim();
+        if (!DATE_PATTERN.test(dateStr)) {
+            skip('invalid DATE');
             continue;
         }
 
-        const dateStr = columns[2]; // DATE column
-        const snowfall = columns[11]; // SNOW column
-        const snowDepth = columns[13]; // SNWD column
+        if (row.STATION) {
+            stationIds.add(row.STATION.trim());
+        }
 
-        if (!dateStr || dateStr.length !== 10) {
-            continue;
+        const record = {
+            date: dateStr,
+            snowfall: parseObservation(row.SNOW, row.SNOW_ATTRIBUTES),
+            snowDepth: parseObservation(row.SNWD, row.SNWD_ATTRIBUTES),
+            multiDaySnowfall: parseObservation(row.MDSF, row.MDSF_ATTRIBUTES),
+            accumulationDays: parseObservation(row.DAPR, row.DAPR_ATTRIBUTES)
+        };
+
+        if (row.PRCP !== undefined) {
+            record.precipitation = parseObservation(row.PRCP, row.PRCP_ATTRIBUTES);
         }
 
-        try {
-            const date = parseDate(dateStr);
-            const season = getSkiSeason(date);
-            const dayOfSeason = getDayOfSeason(date);
+        const maxTemperature = parseTemperature(row.TMAX, row.TMAX_ATTRIBUTES);
+        const minTemperature = parseTemperature(row.TMIN, row.TMIN_ATTRIBUTES);
+        if (maxTemperature !== null || minTemperature !== null) {
+            record.extra = { maxTemperature, minTemperature };
+        }
+
+        records.push(record);
+    }
+
+    return { records, rowsRead, skipped, stationIds: [...stationIds] };
+}
 
-            const dailySnowfall = parseSnowfall(snowfall);
-            const currentSnowDepth = parseSnowDepth(snowDepth);
+/**
+ * Assign multi-day snowfall totals (MDSF over DAPR days) to the days they cover
+ *
+ * The accumulation period is the DAPR days ending on the report date (just the
+ * report date when DAPR is blank). Only days in the period without a usable SNOW
+ * value receive snow, so observed days are never counted twice; days absent from
+ * the CSV are added as records. Each receiving record gets an `accumulation`
+ * entry describing the report it came from.
+ *
+ *   spread - the total is divided evenly over the receiving days (status "distributed")
+ *   lump   - the whole total goes on the last receiving day (status "accumulated")
+ *
+ * @param {Object[]} records - Parsed daily records with snowfall/multiDaySnowfall/accumulationDays
+ * @param {string} mode - "spread" or "lump"
+ * @returns {Object[]} Records sorted by date, including any added days
+ */
+function distributeAccumulations(records, mode = DEFAULT_ACCUMULATION_MODE) {
+    if (!ACCUMULATION_MODES.includes(mode)) {
+        throw new Error(`Unknown accumulation mode "${mode}" (expected ${ACCUMULATION_MODES.join(' or ')})`);
+    }
 
-            // Initialize season if not exists
-            if (!seasonData.has(season)) {
-                seasonData.set(season, []);
+    const byDate = new Map(records.map(record => [record.date, record]));
+    const reports = records.filter(record => record.multiDaySnowfall && record.multiDaySnowfall.value !== null);
+
+    for (const report of reports) {
+        const total = report.multiDaySnowfall.value;
+        const periodDays = Math.max(1, Math.round(report.accumulationDays?.value || 1));
+
+        // Days in the period still waiting for a snowfall value, oldest first
+        const targets = [];
+        for (let offset = periodDays - 1; offset >= 0; offset--) {
+            const date = addDays(report.date, -offset);
+            if (!byDate.has(date)) {
+                byDate.set(date, {
+                    date,
+                    snowfall: { value: null, status: 'missing', flags: {} },
+                    snowDepth: { value: null, status: 'missing', flags: {} }
+                });
             }
 
-            seasonData.get(season).push({
-                date: dateStr,
-                dayOfSeason,
-                snowDepth: currentSnowDepth,
-                dailySnowfall,
-                originalDate: date
-            });
+            const target = byDate.get(date);
+            if (target.snowfall.status === 'missing') {
+                targets.push(target);
+            }
+        }
 
-            processedCount++;
+        if (targets.length === 0) {
+            console.warn(`Skipping ${total}" multi-day total reported ${report.date}: every day in the period already has SNOW`);
+            continue;
+        }
 
-        } catch (error) {
+        const accumulation = {
+            reportDate: report.date,
+            periodDays,
+            total,
+            method: mode
+        };
+
+        if (mode === 'lump') {
+            const target = targets[targets.length - 1];
+            target.snowfall = { value: total, status: 'accumulated', flags: report.multiDaySnowfall.flags };
+            target.accumulation = accumulation;
             continue;
         }
+
+        // Round shares down to hundredths and put the remainder on the last day so the shares sum to the total
+        const share = Math.floor(total / targets.length * 100 + 1e-9) / 100;
+        targets.forEach((target, index) => {
+            const isLast = index === targets.length - 1;
+            const value = isLast ? Math.round((total - share * (targets.length - 1)) * 100) / 100 : share;
+            target.snowfall = { value, status: 'distributed', flags: report.multiDaySnowfall.flags };
+            target.accumulation = accumulation;
+        });
     }
 
-    console.log(`Successfully processed ${processedCount} records`);
-    console.log(`Found data for ${seasonData.size} seasons`);
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Read and merge one or more CSV exports for the same station
+ * CDO splits long requests into several files; when a date appears in more than
+ * one file the row from the later file wins.
+ * @param {string[]} inputPaths - CSV files in priority order (last wins)
+ * @returns {Promise<{records: Object[], rowsRead: number, rowsByInput: number[], skipped: Object, stationIds: string[]}>}
+ *   Merged records, data rows read in total and per input, skipped row counts keyed by reason
+ *   and the STATION values seen
+ */
+async function readNoaaInputs(inputPaths) {
+    const byDate = new Map();
+    const skipped = {};
+    const stationIds = new Set();
+    const rowsByInput = [];
+    let rowsRead = 0;
+
+    for (const inputPath of inputPaths) {
+        console.log('Reading NOAA data from:', inputPath);
+        const result = await readNoaaCsv(inputPath);
+
+        rowsRead += result.rowsRead;
+        rowsByInput.push(result.rowsRead);
+        result.stationIds.forEach(id => stationIds.add(id));
+        for (const [reason, count] of Object.entries(result.skipped)) {
+            skipped[reason] = (skipped[reason] || 0) + count;
+        }
 
-    // Process each season
-    const seasons = [];
+        for (const record of result.records) {
+            if (byDate.has(record.date)) {
+                skipped['duplicate DATE (later input wins)'] = (skipped['duplicate DATE (later input wins)'] || 0) + 1;
+            }
+            byDate.set(record.date, record);
+        }
+    }
 
-    for (const [seasonName, dailyRecords] of seasonData) {
-        // Sort by date
-        dailyRecords.sort((a, b) => a.originalDate - b.originalDate);
+    return { records: [...byDate.values()], rowsRead, rowsByInput, skipped, stationIds: [...stationIds] };
+}
 
-        // Calculate cumulative snowfall
-        let cumulativeSnowfall = 0;
-        const processedRecords = [];
+/**
+ * Process the NOAA CSV data
+ * @param {Object} options - Processing options
+ * @param {string[]} options.inputs - CSV exports to read
+ * @param {string} options.output - Path of the JSON file to write
+ * @param {Object} options.station - Station metadata ({ id, name, elevation, source })
+ * @param {Object} options.season - Season window from resolveSeason()
+ * @param {number} options.precision - Decimal places for cumulative and total snowfall
+ * @param {string} options.accumulationMode - How multi-day totals are assigned ("spread" or "lump")
+ * @param {number} options.discrepancyThreshold - Flag days where SNOW and the depth-derived snowfall differ by this many inches
+ * @param {string} options.discrepancyReport - CSV file to write flagged days to (optional)
+ * @param {string} options.neighbor - Season file of a nearby station to fill missing days from (optional)
+ * @param {number} options.neighborMinDays - Shared snow days a season needs for its own neighbor ratio
+ * @param {boolean} options.update - Merge new and changed days into the existing output file,
+ *   rebuilding only the seasons they fall in (all seasons are built when the file does not exist)
+ * @param {boolean} options.dryRun - Print stats without writing the output file
+ * @param {string} options.manifest - Station manifest to register the output in (optional)
+ * @returns {Promise<Object>} The processed output data
+ */
+async function processNoaaData({
+    inputs = [INPUT_CSV],
+    output: outputPath = OUTPUT_JSON,
+    station = DEFAULT_STATION,
+    season = DEFAULT_SEASON,
+    precision = DEFAULT_PRECISION,
+    accumulationMode = DEFAULT_ACCUMULATION_MODE,
+    discrepancyThreshold = DEFAULT_DISCREPANCY_THRESHOLD,
+    discrepancyReport = null,
+    neighbor = null,
+    neighborMinDays = DEFAULT_MIN_SHARED_DAYS,
+    update = false,
+    dryRun = false,
+    manifest = null
+} = {}) {
+    const parameters = {
+        season: describeSeasonParameter(season),
+        estimator: REPORTED_ESTIMATOR,
+        precision,
+        accumulationMode,
+        imputation: neighbor ? { name: 'neighbor ratio', minSharedDays: neighborMinDays } : null,
+        discrepancyThreshold,
+        traceValue: TRACE_VALUE,
+        snowToLiquidMinPrecipitation: MIN_RATIO_PRECIPITATION,
+        update
+    };
+    const existing = update ? loadExistingSeasons(outputPath, { stationId: station.id, season, parameters }) : null;
+    if (update && !existing) {
+        console.log(`No existing data at ${outputPath}, building all seasons`);
+    }
 
-        for (const record of dailyRecords) {
-            cumulativeSnowfall += record.dailySnowfall;
+    const { records, rowsRead, rowsByInput, skipped, stationIds } = await readNoaaInputs(inputs);
 
-            processedRecords.push({
-                date: record.date,
-                dayOfSeason: record.dayOfSeason,
-                snowDepth: record.snowDepth,
-                dailySnowfall: record.dailySnowfall,
-                cumulativeSnowfall: Math.round(cumulativeSnowfall * 10) / 10 // Round to 1 decimal
-            });
+    console.log(`Read ${rowsRead} data rows`);
+    for (const [reason, count] of Object.entries(skipped)) {
+        console.warn(`Skipped ${count} rows: ${reason}`);
+    }
+    if (stationIds.some(id => id !== station.id)) {
+        console.warn(`⚠️  Input STATION ${stationIds.join(', ')} does not match --station-id ${station.id}`);
+    }
+    console.log(`Successfully processed ${records.length} records`);
+    // An export of only the latest rows updates those days; the file's other days are kept
+    const inputRecords = existing ? addDaysOutsideInput(existing.seasons, records) : records;
+    let accumulated = distributeAccumulations(inputRecords, accumulationMode);
+    const accumulatedCount = accumulated.filter(record => record.accumulation).length;
+    console.log(`Assigned multi-day snowfall totals to ${accumulatedCount} days (${accumulationMode})`);
+
+    // Estimate the remaining missing days from a nearby station
+    if (neighbor) {
+        const neighborSnowfall = loadNeighborSnowfall(readSeasonFile(neighbor));
+        const imputed = imputeFromNeighbor(accumulated, neighborSnowfall, { season, minSharedDays: neighborMinDays });
+        if (imputed.ratios.overall === null) {
+            console.warn(`⚠️  No shared snow days with ${neighborSnowfall.stationId}, nothing imputed`);
+        } else {
+            console.log(`Imputed ${imputed.imputedDays} days from ${neighborSnowfall.stationId} ` +
+                `(overall ratio ${imputed.ratios.overall}, ${imputed.ratios.bySeason.size} seasons with their own ratio)`);
         }
+        accumulated = imputed.records;
+    }
 
-        const startYear = parseInt(seasonName.split('-')[0]);
-        const totalSnowfall = Math.round(cumulativeSnowfall * 10) / 10;
+    // Keep daily liquid precipitation and the snow-to-liquid ratio of snow days
+    addSnowToLiquid(accumulated);
+
+    // Compare SNOW with the snowfall implied by SNWD changes
+    const flagged = reconcileSnowfall(accumulated, { season, threshold: discrepancyThreshold });
+    console.log(`Flagged ${flagged.length} days where SNOW and snow depth disagree by ${discrepancyThreshold}" or more`);
+
+    // Multi-day totals and neighbor ratios reach across seasons, so every row goes through the
+    // steps above; in update mode only seasons with new or changed days are built from here on
+    const dataEnd = getLatestDate(accumulated);
+    const processedOn = getToday();
+    const buildOutputSeasons = seasonRecords => buildSeasons(seasonRecords, { season, precision, dataEnd, asOf: processedOn })
+        .map(({ dailyData, ...seasonData }) => ({
+            ...seasonData,
+            discrepancy: summarizeDiscrepancies({ dailyData }, discrepancyThreshold),
+            ...summarizeSnowToLiquid({ dailyData }),
+            dailyData
+        }));
+
+    let seasons;
+    let updateSummary = null;
+    if (existing) {
+        const changes = findChangedDays(existing.seasons, accumulated, { season });
+        // A season in progress whose window has passed since is finished without new days
+        const ended = existing.seasons.filter(existingSeason => existingSeason.status === 'in-progress' &&
+            getSeasonDateRange(existingSeason.startYear, season).end < processedOn);
+        if (changes.size === 0 && ended.length === 0) {
+            console.log(`No new or changed days since ${existing.lastUpdated}, ${outputPath} is up to date`);
+            return existing;
+        }
 
-        seasons.push({
-            season: seasonName,
-            startYear,
-            totalSnowfall,
-            dailyData: processedRecords
-        });
+        // The season in progress is rebuilt too, its status depends on the latest date
+        const rebuiltNames = new Set([
+            ...changes.keys(),
+            ...existing.seasons.filter(existingSeason => existingSeason.status === 'in-progress').map(existingSeason => existingSeason.season)
+        ]);
+        const rebuilt = buildOutputSeasons(accumulated.filter(record => rebuiltNames.has(getSkiSeason(record.date, season))));
+        seasons = mergeSeasons(existing.seasons, rebuilt, rebuiltNames);
+        updateSummary = summarizeUpdate(changes, existing.seasons, rebuilt);
+        console.log(`Rebuilt ${rebuilt.length} of ${seasons.length} seasons`);
+    } else {
+        seasons = buildOutputSeasons(accumulated);
+        console.log(`Found data for ${seasons.length} seasons`);
     }
 
-    // Sort seasons by start year
-    seasons.sort((a, b) => a.startYear - b.startYear);
-
     // Create output JSON
     const output = {
-        source: "NOAA Winter Park Station (USC00059175)",
-        elevation: 9100, // Winter Park elevation in feet
+        schemaVersion: SEASON_DATA_SCHEMA_VERSION,
+        source: station.source || `NOAA ${station.name} Station (${station.id})`,
+        stationId: station.id,
+        stationName: station.name,
+        elevation: station.elevation, // feet
         units: "inches",
-        lastUpdated: new Date().toISOString().split('T')[0],
+        seasonStart: formatMonthDay(season.start),
+        seasonEnd: formatMonthDay(season.end),
+        lastUpdated: processedOn,
         dataRange: `${seasons[0]?.startYear || 1990}-${new Date().getFullYear()}`,
-        note: "Processed from NOAA Global Historical Climatology Network Daily (GHCND) data. Daily snowfall from SNOW column, snow depth from SNWD column.",
+        note: "Processed from NOAA Global Historical Climatology Network Daily (GHCND) data: dailySnowfall is SNOW, snowDepth SNWD, maxTemperature and minTemperature TMAX and TMIN (°F), precipitation PRCP (liquid inches). Missing and QC-failed values are null and excluded from totals; provenance.parameters records how the rest was derived.",
+        provenance: buildProvenance({
+            script: 'scripts/process-noaa-data.js',
+            inputs: [
+                ...inputs.map((inputPath, index) => describeInput(inputPath, { role: 'observations', rowsRead: rowsByInput[index] })),
+                ...(neighbor ? [describeInput(neighbor, { role: 'neighbor' })] : [])
+            ],
+            rows: { read: rowsRead, skipped, records: records.length },
+            parameters
+        }),
         seasons
     };
 
-    console.log(`Writing processed data to: ${OUTPUT_JSON}`);
     console.log(`Seasons: ${seasons.length} (${output.dataRange})`);
     console.log(`Total records: ${seasons.reduce((sum, s) => sum + s.dailyData.length, 0)}`);
 
-    fs.writeFileSync(OUTPUT_JSON, JSON.stringify(output, null, 2));
+    if (dryRun) {
+        if (updateSummary) {
+            console.log('\nDry run, nothing written. Changes:');
+            printUpdateSummary(updateSummary);
+        } else {
+            console.log('\nDry run, nothing written. Seasons:');
+            printSeasonStats(seasons);
+        }
+        return output;
+    }
+
+    console.log(`Writing processed data to: ${outputPath}`);
+    const compactPath = writeSeasonFile(outputPath, output);
+    console.log(`Wrote compact copy for the page to: ${compactPath}`);
+
+    if (discrepancyReport) {
+        fs.writeFileSync(discrepancyReport, formatDiscrepancyReport(flagged));
+        console.log(`Wrote ${flagged.length} flagged days to: ${discrepancyReport}`);
+    }
+
+    if (manifest) {
+        updateStationManifest(manifest, compactPath, station, 'NOAA GHCND');
+        console.log(`Registered ${station.name} in station manifest: ${manifest}`);
+    }
 
     console.log('✅ NOAA data processing complete!');
 
     // Print some stats
-    const recentSeasons = seasons.slice(-5);
-    console.log('\nRecent seasons:');
-    for (const season of recentSeasons) {
-        console.log(`  ${season.season}: ${season.totalSnowfall}" total, ${season.dailyData.length} days`);
+    if (updateSummary) {
+        console.log('\nUpdated seasons:');
+        printUpdateSummary(updateSummary);
+    } else {
+        console.log('\nRecent seasons:');
+        printSeasonStats(seasons.slice(-5));
     }
+
+    return output;
+}
+
+const USAGE = `Usage: node scripts/process-noaa-data.js [options] [input.csv ...]
+
+Options:
+  -i, --input <file>         GHCND CSV export (repeatable; later files win on duplicate dates)
+                             default: data/USC00059175data.csv
+  -o, --output <file>        Output JSON path (default: data/snowfall-data.json); a compact copy
+                             for the page is written next to it as <name>.compact.json
+      --station-id <id>      GHCND station id (default: ${DEFAULT_STATION.id})
+      --station-name <name>  Station display name (default: ${DEFAULT_STATION.name})
+      --elevation <feet>     Station elevation in feet (default: ${DEFAULT_STATION.elevation})
+      --source <text>        Source attribution (default: "NOAA <name> Station (<id>)")
+      --season <name>        Season window: ski, water-year, resort or MM-DD..MM-DD (default: ${DEFAULT_SEASON.name})
+      --season-start <MM-DD> Full-year seasons starting on this day (same as --season MM-DD)
+      --precision <digits>   Decimal places for cumulative totals (default: ${DEFAULT_PRECISION})
+      --accumulation <mode>  Multi-day totals: ${ACCUMULATION_MODES.join(' or ')} (default: ${DEFAULT_ACCUMULATION_MODE})
+      --discrepancy-report <file>
+                             Write days where SNOW and the snow depth rise disagree to a CSV file
+      --discrepancy-threshold <inches>
+                             Smallest disagreement that is flagged (default: ${DEFAULT_DISCREPANCY_THRESHOLD})
+      --neighbor <file>      Fill missing days from a nearby station's season file (processed JSON)
+      --neighbor-min-days <n>
+                             Shared snow days a season needs for its own ratio (default: ${DEFAULT_MIN_SHARED_DAYS})
+      --manifest <file>      Add or update this station in a station manifest (e.g. data/stations.json)
+      --update               Merge new and changed days into the existing output file and rebuild
+                             only the seasons they fall in; days outside the dates the input
+                             covers are kept, so an export of the latest rows is enough. The
+                             file must have been built with the same --precision, --accumulation,
+                             --discrepancy-threshold, --neighbor and --neighbor-min-days
+      --dry-run              Print season stats without writing the output file
+  -h, --help                 Show this help`;
+
+/**
+ * Parse command-line arguments into processNoaaData() options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Processing options, or { help: true }
+ * @throws {Error} On unknown options or invalid values
+ */
+function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            input: { type: 'string', short: 'i', multiple: true },
+            output: { type: 'string', short: 'o' },
+            'station-id': { type: 'string' },
+            'station-name': { type: 'string' },
+            elevation: { type: 'string' },
+            source: { type: 'string' },
+            season: { type: 'string' },
+            'season-start': { type: 'string' },
+            precision: { type: 'string' },
+            accumulation: { type: 'string' },
+            'discrepancy-report': { type: 'string' },
+            'discrepancy-threshold': { type: 'string' },
+            neighbor: { type: 'string' },
+            'neighbor-min-days': { type: 'string' },
+            manifest: { type: 'string' },
+            update: { type: 'boolean' },
+            'dry-run': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    const inputs = [...(values.input || []), ...positionals];
+    const options = {
+        inputs: inputs.length > 0 ? inputs.map(input => path.resolve(input)) : [INPUT_CSV],
+        output: values.output ? path.resolve(values.output) : OUTPUT_JSON,
+        station: {
+            id: values['station-id'] || DEFAULT_STATION.id,
+            name: values['station-name'] || DEFAULT_STATION.name,
+            elevation: DEFAULT_STATION.elevation,
+            source: values.source
+        },
+        season: parseSeasonOption(values),
+        precision: DEFAULT_PRECISION,
+        accumulationMode: values.accumulation || DEFAULT_ACCUMULATION_MODE,
+        discrepancyThreshold: DEFAULT_DISCREPANCY_THRESHOLD,
+        discrepancyReport: values['discrepancy-report'] ? path.resolve(values['discrepancy-report']) : null,
+        neighbor: values.neighbor ? path.resolve(values.neighbor) : null,
+        neighborMinDays: DEFAULT_MIN_SHARED_DAYS,
+        update: Boolean(values.update),
+        dryRun: Boolean(values['dry-run']),
+        manifest: values.manifest ? path.resolve(values.manifest) : null
+    };
+
+    if (values.elevation !== undefined) {
+        options.station.elevation = Number(values.elevation);
+        if (!Number.isFinite(options.station.elevation)) {
+            throw new Error(`Invalid --elevation "${values.elevation}" (expected feet)`);
+        }
+    }
+
+    if (values.precision !== undefined) {
+        options.precision = Number(values.precision);
+        if (!Number.isInteger(options.precision) || options.precision < 0 || options.precision > 6) {
+            throw new Error(`Invalid --precision "${values.precision}" (expected 0-6)`);
+        }
+    }
+
+    if (values['discrepancy-threshold'] !== undefined) {
+        options.discrepancyThreshold = Number(values['discrepancy-threshold']);
+        if (!(options.discrepancyThreshold > 0)) {
+            throw new Error(`Invalid --discrepancy-threshold "${values['discrepancy-threshold']}" (expected inches above 0)`);
+        }
+    }
+
+    if (values['neighbor-min-days'] !== undefined) {
+        options.neighborMinDays = Number(values['neighbor-min-days']);
+        if (!Number.isInteger(options.neighborMinDays) || options.neighborMinDays < 1) {
+            throw new Error(`Invalid --neighbor-min-days "${values['neighbor-min-days']}" (expected a whole number above 0)`);
+        }
+    }
+
+    if (!ACCUMULATION_MODES.includes(options.accumulationMode)) {
+        throw new Error(`Invalid --accumulation "${options.accumulationMode}" (expected ${ACCUMULATION_MODES.join(' or ')})`);
+    }
+
+    return options;
 }
 
 // Run the processing
 if (require.main === module) {
+    let options;
     try {
-        processNoaaData();
+        options = parseCliArgs(process.argv.slice(2));
     } catch (error) {
-        console.error('❌ Error processing NOAA data:', error);
-        process.exit(1);
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+    } else {
+        processNoaaData(options).catch(error => {
+            console.error('❌ Error processing NOAA data:', error);
+            process.exit(1);
+        });
     }
 }
 
-module.exports = { processNoaaData };
\ No newline at end of file
+module.exports = {
+    parseCliArgs,
+    parseAttributes,
+    parseObservation,
+    parseTemperature,
+    distributeAccumulations,
+    readNoaaCsv,
+    processNoaaData
+};
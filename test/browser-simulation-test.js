@@ -88,6 +88,10 @@ class BrowserSimulationTest {
         console.log('📦 Loading modules in browser context...');
 
         try {
+            // Load snowfall calculations
+            const calculationsCode = fs.readFileSync(path.join(process.cwd(), 'js', 'snowfall-calculations.js'), 'utf8');
+            eval(calculationsCode);
+
             // Load data processor
             const dataProcessorCode = fs.readFileSync(path.join(process.cwd(), 'js', 'data-processor.js'), 'utf8');
             eval(dataProcessorCode);
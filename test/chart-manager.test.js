@@ -10,7 +10,19 @@ const fc = require('fast-check');
 // Import functions from chart-manager.js
 const {
     getSeasonColor,
-    formatSeasonLabel
+    formatSeasonLabel,
+    buildSeasonDatasets,
+    buildSeasonPoints,
+    buildMonthTicks,
+    formatTooltipTitle,
+    buildTemperatureDatasets,
+    setTemperatureOverlay,
+    buildWaterEquivalentPoints,
+    describeSnowToLiquid,
+    describeGaps,
+    getValueAtDay,
+    highlightSeries,
+    clearHighlight
 } = require('../js/chart-manager.js');
 
 // Property 4: Color Gradient Ordering
@@ -310,4 +322,225 @@ test('Property: Color uniqueness across different season counts', async () => {
         ),
         { numRuns: 50 }
     );
-});
\ No newline at end of file
+});
+
+/**
+ * Build a season with one record per given cumulative value, starting on day 100
+ */
+function makeSeason(startYear, cumulativeValues) {
+    return {
+        startYear,
+        dailyData: cumulativeValues.map((cumulativeSnowfall, i) => ({
+            dayOfSeason: 100 + i,
+            dailySnowfall: 0,
+            cumulativeSnowfall
+        }))
+    };
+}
+
+test('buildSeasonDatasets overlays matching seasons from a comparison station', () => {
+    const seasons = [makeSeason(2020, [1, 2]), makeSeason(2021, [3, 4])];
+    const comparison = {
+        stationName: 'Berthoud Summit',
+        primaryStationName: 'Winter Park',
+        seasons: [makeSeason(2021, [5, 9])]
+    };
+
+    const single = buildSeasonDatasets(seasons);
+    assert.deepStrictEqual(single.map(dataset => dataset.label), ['2020-21', '2021-22']);
+    assert.ok(single.every(dataset => dataset.borderDash.length === 0 && dataset.stationRole === null));
+
+    const datasets = buildSeasonDatasets(seasons, comparison);
+    assert.deepStrictEqual(datasets.map(dataset => dataset.label), [
+        '2020-21 · Winter Park',
+        '2021-22 · Winter Park',
+        '2021-22 · Berthoud Summit'
+    ]);
+    assert.strictEqual(datasets[2].baseColor, datasets[1].baseColor, 'Same season shares a color across stations');
+    assert.ok(datasets[2].borderDash.length > 0, 'Comparison station uses a dashed line');
+
+    // Highlighting one station's season highlights the other station's line too
+    const chart = { data: { datasets }, update: () => { } };
+    highlightSeries(chart, 1);
+    assert.deepStrictEqual(datasets.map(dataset => dataset.borderWidth), [2, 4, 4]);
+});
+
+test('buildSeasonDatasets draws partial and in-progress seasons dotted and labels them', () => {
+    const seasons = [
+        { ...makeSeason(2019, [1, 2]), status: 'partial-historical', coverage: 8.5 },
+        { ...makeSeason(2020, [1, 2]), status: 'complete', coverage: 100 },
+        { ...makeSeason(2021, [3, 4]), status: 'in-progress', coverage: 100 }
+    ];
+    const comparison = {
+        stationName: 'Berthoud Summit',
+        primaryStationName: 'Winter Park',
+        seasons: [{ ...makeSeason(2021, [5, 9]), status: 'in-progress', coverage: 98 }]
+    };
+
+    const datasets = buildSeasonDatasets(seasons, comparison);
+    assert.deepStrictEqual(datasets.map(dataset => dataset.label), [
+        '2019-20 (partial) · Winter Park',
+        '2020-21 · Winter Park',
+        '2021-22 (in progress) · Winter Park',
+        '2021-22 (in progress) · Berthoud Summit'
+    ]);
+    assert.deepStrictEqual(datasets.map(dataset => dataset.seasonKey), ['2019-20', '2020-21', '2021-22', '2021-22']);
+    assert.deepStrictEqual(datasets[1].borderDash, []);
+    assert.ok(datasets[0].borderDash.length > 0 && datasets[2].borderDash.length > 0, 'Partial seasons are dotted');
+    assert.notDeepStrictEqual(datasets[3].borderDash, datasets[2].borderDash, 'Stations stay distinguishable');
+
+    // Highlighting keeps the partial style
+    const chart = { data: { datasets }, update: () => { } };
+    highlightSeries(chart, 0);
+    clearHighlight(chart);
+    assert.deepStrictEqual(datasets[0].borderDash, [2, 4]);
+
+    // Seasons from files without a status are complete
+    assert.strictEqual(buildSeasonDatasets([makeSeason(2020, [1])])[0].seasonStatus, 'complete');
+});
+
+test('buildSeasonPoints leaves gaps open and records them on the points either side', () => {
+    const day = (dayOfSeason, dailySnowfall, cumulativeSnowfall, snowStatus = 'observed', extra = {}) => (
+        { dayOfSeason, dailySnowfall, cumulativeSnowfall, snowStatus, ...extra }
+    );
+    const points = buildSeasonPoints([
+        day(100, 0, 0),
+        day(101, null, 0, 'missing'),
+        day(102, null, 0, 'qc-failed'),
+        day(103, 2, 2),                 // Measured after a 2-day gap
+        // Days 104-108 are absent from dailyData
+        day(109, 6, 8, 'accumulated', { accumulation: { reportDate: 'x', periodDays: 6, total: 6, method: 'lump' } })
+    ]);
+
+    assert.deepStrictEqual(points.map(point => point.x), [100, 103, 109]);
+    assert.deepStrictEqual(points[1].gapBefore, { missingDays: 2, fromDay: 101, toDay: 102, estimated: false });
+    assert.strictEqual(points[0].gapAfter, points[1].gapBefore);
+    assert.deepStrictEqual(points[2].gapBefore, { missingDays: 5, fromDay: 104, toDay: 108, estimated: true });
+
+    assert.deepStrictEqual(describeGaps(points[2]), ['Gap: 5 missing days (days 104-108)', 'Value after gap: estimated']);
+    assert.deepStrictEqual(describeGaps(points[0]), ['Gap: 2 missing days (days 101-102)', 'Value after gap: measured']);
+    assert.deepStrictEqual(describeGaps({ x: 1, y: 0 }), []);
+
+    // Only the segments bridging a gap are dashed
+    const [dataset] = buildSeasonDatasets([{ startYear: 2020, dailyData: [day(1, 1, 1), day(2, 1, 2), day(5, 1, 3)] }]);
+    const chart = { data: { datasets: [dataset] } };
+    const dash = p1DataIndex => dataset.segment.borderDash({ chart, datasetIndex: 0, p1DataIndex });
+    assert.strictEqual(dash(1), undefined);
+    assert.ok(dash(2).length > 0);
+});
+
+test('getValueAtDay carries the cumulative value forward between points', () => {
+    const dataset = { data: [{ x: 10, y: 1 }, { x: 12, y: 5 }] };
+
+    assert.strictEqual(getValueAtDay(dataset, 9), null);
+    assert.strictEqual(getValueAtDay(dataset, 10), 1);
+    assert.strictEqual(getValueAtDay(dataset, 11), 1);
+    assert.strictEqual(getValueAtDay(dataset, 40), 5);
+});
+
+test('season labels and the empty-season line follow the season window', () => {
+    const { resolveSeason } = require('../js/season-calendar.js');
+    const calendarYear = resolveSeason('01-01');
+    const resort = resolveSeason('resort');
+
+    assert.strictEqual(formatSeasonLabel(2024, calendarYear), '2024');
+    assert.strictEqual(formatSeasonLabel(2024, resort), '2024-25');
+    assert.strictEqual(formatSeasonLabel(null, calendarYear), 'Invalid');
+
+    const [dataset] = buildSeasonDatasets([{ startYear: 2024, dailyData: [] }], null, resort);
+    assert.strictEqual(dataset.label, '2024-25');
+    assert.deepStrictEqual(dataset.data, [{ x: 0, y: 0 }, { x: 181, y: 0 }]);
+    assert.strictEqual(buildSeasonDatasets([{ startYear: 2024, dailyData: [] }], null, calendarYear)[0].label, '2024');
+});
+
+test('x-axis ticks sit on month starts and tooltips show the hovered date', () => {
+    const { resolveSeason } = require('../js/season-calendar.js');
+
+    assert.deepStrictEqual(buildMonthTicks(null, 50, 160).map(tick => tick.value), [61, 92, 122, 153]);
+    assert.deepStrictEqual(buildMonthTicks(resolveSeason('resort'), 0, 181).map(tick => tick.value), [0, 30, 61, 92, 121, 152]);
+
+    const [leap, common] = buildSeasonDatasets([
+        { startYear: 2023, dailyData: [{ date: '2024-02-29', dayOfSeason: 212, dailySnowfall: 1, cumulativeSnowfall: 1 }] },
+        { startYear: 2022, dailyData: [] }
+    ]);
+    assert.strictEqual(formatTooltipTitle(leap.data[0], leap), 'Feb 29 (Day 212)');
+    // Points without a date take it from the season
+    assert.strictEqual(formatTooltipTitle({ x: 60, y: 0 }, common), 'Sep 30 (Day 60)');
+    assert.strictEqual(formatTooltipTitle({ x: 213, y: 0 }, common), 'Mar 1 (Day 213)');
+    assert.strictEqual(formatTooltipTitle({ x: 212, y: 0 }, common), 'Feb (Day 212)');
+    assert.strictEqual(formatTooltipTitle({ x: 61, y: 0 }, {}), 'Oct (Day 61)');
+});
+
+test('the temperature overlay follows the highlighted season', () => {
+    const day = (dayOfSeason, maxTemperature, minTemperature) => ({
+        date: `2024-01-${String(dayOfSeason - 152).padStart(2, '0')}`,
+        dayOfSeason, dailySnowfall: 0, cumulativeSnowfall: 10, maxTemperature, minTemperature
+    });
+    const datasets = buildSeasonDatasets([
+        { startYear: 2023, dailyData: [day(153, 30, 10), day(154, 45, null), day(155, 28, -3)] },
+        { startYear: 2022, dailyData: [{ dayOfSeason: 153, dailySnowfall: 1, cumulativeSnowfall: 1 }] }
+    ]);
+
+    const [highs, lows] = buildTemperatureDatasets(datasets[0]);
+    assert.deepStrictEqual(highs.data.map(point => point.y), [30, 45, 28]);
+    assert.deepStrictEqual(lows.data.map(point => [point.x, point.y]), [[153, 10], [155, -3]]);
+    assert.strictEqual(lows.yAxisID, 'temperature');
+    assert.strictEqual(lows.fill, '-1');
+    assert.deepStrictEqual(buildTemperatureDatasets(datasets[1]), []);
+
+    const chart = {
+        data: { datasets },
+        options: { scales: { temperature: { display: false } } },
+        update: () => {}
+    };
+    setTemperatureOverlay(chart, true);
+    highlightSeries(chart, 0);
+    assert.strictEqual(chart.data.datasets.length, 4);
+    assert.strictEqual(chart.options.scales.temperature.display, true);
+
+    // Hovering the overlay keeps it; a season without temperatures hides the axis
+    highlightSeries(chart, 3);
+    assert.strictEqual(chart.data.datasets.length, 4);
+    highlightSeries(chart, 1);
+    assert.strictEqual(chart.data.datasets.length, 2);
+    assert.strictEqual(chart.options.scales.temperature.display, false);
+
+    highlightSeries(chart, 0);
+    clearHighlight(chart);
+    assert.strictEqual(chart.data.datasets.length, 2);
+
+    setTemperatureOverlay(chart, false);
+    highlightSeries(chart, 0);
+    assert.strictEqual(chart.data.datasets.length, 2);
+});
+
+test('water equivalent mode draws a cumulative liquid line next to each season', () => {
+    const seasons = [{
+        startYear: 2023,
+        snowToLiquid: { ratio: 14.2, snowDays: 2, months: [{ month: '2024-01', ratio: 18.4, snowDays: 1 }] },
+        dailyData: [
+            { date: '2024-01-01', dayOfSeason: 153, dailySnowfall: 9, cumulativeSnowfall: 9, precipitation: 0.5 },
+            { date: '2024-01-02', dayOfSeason: 154, dailySnowfall: 0, cumulativeSnowfall: 9, precipitation: null },
+            { date: '2024-01-03', dayOfSeason: 155, dailySnowfall: 0, cumulativeSnowfall: 9, precipitation: 0.25 }
+        ]
+    }, makeSeason(2022, [1, 2])];
+
+    assert.deepStrictEqual(buildWaterEquivalentPoints(seasons[0].dailyData).map(point => [point.x, point.y]), [[153, 0.5], [155, 0.75]]);
+    assert.strictEqual(buildWaterEquivalentPoints(seasons[1].dailyData), null);
+
+    assert.strictEqual(buildSeasonDatasets(seasons).length, 2);
+    const datasets = buildSeasonDatasets(seasons, null, undefined, { waterEquivalent: true });
+    assert.strictEqual(datasets.length, 3, 'Only the season with precipitation gets a water line');
+    const water = datasets.find(dataset => dataset.waterEquivalent);
+    assert.strictEqual(water.yAxisID, 'water');
+    assert.strictEqual(water.baseColor, datasets[0].baseColor);
+
+    // The water line is highlighted with its season
+    const chart = { data: { datasets }, update: () => { } };
+    highlightSeries(chart, 0);
+    assert.strictEqual(water.borderWidth, 4);
+
+    assert.deepStrictEqual(describeSnowToLiquid({ date: '2024-01-01' }, datasets[0]), ['Snow-to-liquid: 14:1 season, 18:1 in Jan']);
+    assert.deepStrictEqual(describeSnowToLiquid({ date: '2023-12-01' }, datasets[0]), ['Snow-to-liquid: 14:1 season']);
+    assert.deepStrictEqual(describeSnowToLiquid({ date: '2024-01-01' }, datasets.find(dataset => dataset.startYear === 2022)), []);
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for the data-quality report
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    analyzeSeason,
+    findBreaches,
+    checkDataQuality,
+    formatQualityReport,
+    parseCliArgs,
+    DEFAULT_THRESHOLDS
+} = require('../scripts/check-data-quality.js');
+const { generateHistoricalData } = require('../scripts/fetch-snotel-data.js');
+const { addDays } = require('../scripts/lib/seasons.js');
+
+/**
+ * Build a full Aug 1 - Jul 31 season of daily records with 0.5" every day
+ */
+function fullSeason(startYear) {
+    const dailyData = [];
+    for (let date = `${startYear}-08-01`; date < `${startYear + 1}-08-01`; date = addDays(date, 1)) {
+        dailyData.push({ date, dailySnowfall: 0.5, cumulativeSnowfall: (dailyData.length + 1) * 0.5, snowStatus: 'observed' });
+    }
+    return { season: `${startYear}-${String(startYear + 1).slice(-2)}`, startYear, dailyData };
+}
+
+test('A complete season passes every check', () => {
+    const report = analyzeSeason(fullSeason(2022));
+
+    assert.strictEqual(report.coverage, 100);
+    assert.deepStrictEqual(report.longestGap, { days: 0, start: null });
+    assert.deepStrictEqual(findBreaches(report), []);
+});
+
+test('A season with only July records is flagged for coverage and a long gap', () => {
+    const season = fullSeason(1989);
+    season.dailyData = season.dailyData.filter(day => day.date >= '1990-07-01');
+    const report = analyzeSeason(season);
+
+    assert.strictEqual(report.coverage, 8.5);
+    assert.deepStrictEqual(report.longestGap, { days: 334, start: '1989-08-01' });
+    assert.deepStrictEqual(findBreaches(report), ['coverage 8.5% < 90%', '334-day gap from 1989-08-01 > 14']);
+});
+
+test('Presumed zeros are counted and left out of coverage', () => {
+    const season = fullSeason(2022);
+    for (const day of season.dailyData.slice(0, 20)) {
+        day.dailySnowfall = 0;
+        day.snowStatus = 'presumed-zero';
+    }
+    const report = analyzeSeason(season);
+
+    assert.strictEqual(report.presumedZeroDays, 20);
+    assert.strictEqual(report.coverage, 94.5);
+    assert.deepStrictEqual(report.longestGap, { days: 20, start: '2022-08-01' });
+});
+
+test('Duplicate, out-of-order, decreasing, outlier, trace and missing days are counted', () => {
+    const season = fullSeason(2022);
+    const days = season.dailyData;
+    days[10] = { ...days[10], dailySnowfall: 48 };                  // Outlier
+    days[20] = { ...days[20], dailySnowfall: null, snowStatus: 'missing' };
+    days[21] = { ...days[21], dailySnowfall: 0, snowStatus: 'trace' };
+    days[30] = { ...days[30], cumulativeSnowfall: 1 };              // Decreases
+    [days[40], days[41]] = [days[41], days[40]];                    // Out of order
+    days.push({ ...days[100] });                                    // Duplicate
+
+    const report = analyzeSeason(season);
+    assert.strictEqual(report.duplicateDates, 1);
+    assert.strictEqual(report.outOfOrderDates, 2); // The swap and the appended duplicate
+    assert.strictEqual(report.nonMonotonicCumulative, 3); // Day 30, the swap and the duplicate
+    assert.deepStrictEqual(report.outliers, [{ date: days[10].date, dailySnowfall: 48 }]);
+    assert.strictEqual(report.traceDays, 1);
+    assert.strictEqual(report.missingDays, 1);
+    assert.strictEqual(findBreaches(report).length, 4);
+    assert.match(formatQualityReport([{ ...report, breaches: findBreaches(report) }]), /2022-23 +366/);
+});
+
+test('The season in progress is measured up to the last date in the file', () => {
+    const current = fullSeason(2025);
+    current.dailyData = current.dailyData.slice(0, 100);
+    const reports = checkDataQuality({ seasonStart: '08-01', seasons: [fullSeason(2024), current] });
+
+    assert.strictEqual(reports[1].coverage, 100);
+    assert.deepStrictEqual(reports[1].breaches, []);
+});
+
+test('Gaps in generated data are found, and thresholds are configurable', () => {
+    const data = generateHistoricalData({ seed: 4, scenario: 'gaps', firstYear: 2020, lastYear: 2020 });
+    const [report] = checkDataQuality(data, { ...DEFAULT_THRESHOLDS, minCoverage: 0, maxGap: 365 });
+
+    assert.ok(report.longestGap.days > 0);
+    assert.ok(report.coverage < 100);
+    assert.deepStrictEqual(report.breaches, []);
+    assert.throws(() => checkDataQuality({}), /missing "seasons" array/);
+});
+
+test('parseCliArgs reads the input and thresholds', () => {
+    const options = parseCliArgs(['other.json', '--min-coverage', '95', '--max-gap', '7', '--json']);
+    assert.ok(options.input.endsWith('other.json'));
+    assert.deepStrictEqual(options.thresholds, { ...DEFAULT_THRESHOLDS, minCoverage: 95, maxGap: 7 });
+    assert.strictEqual(options.json, true);
+    assert.throws(() => parseCliArgs(['--min-coverage', '120']), /Invalid --min-coverage/);
+    assert.throws(() => parseCliArgs(['a.json', 'b.json']), /single season file/);
+});
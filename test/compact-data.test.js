@@ -0,0 +1,155 @@
+/**
+ * Tests for the compact columnar season file
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    COMPACT_FORMAT_VERSION,
+    isCompactSeasonData,
+    encodeCompactSeasonData,
+    decodeCompactSeasonData
+} = require('../js/compact-data.js');
+const { SEASON_DATA_SCHEMA_VERSION } = require('../js/season-schema.js');
+const { addDays, buildSeasons, writeSeasonFile, readSeasonFile } = require('../scripts/lib/seasons.js');
+
+/**
+ * Build a parsed record as readNoaaCsv() would
+ */
+function record(date, snow, extra) {
+    return {
+        date,
+        snowfall: { value: snow, status: snow === null ? 'missing' : 'observed', flags: { source: '7', time: '0800' } },
+        snowDepth: { value: 12, status: 'observed', flags: {} },
+        ...(extra ? { extra } : {})
+    };
+}
+
+/**
+ * Wrap seasons in a season file
+ */
+function seasonFile(seasons) {
+    return {
+        schemaVersion: SEASON_DATA_SCHEMA_VERSION,
+        stationId: 'USC00059175',
+        units: 'inches',
+        seasonStart: '08-01',
+        seasonEnd: '07-31',
+        seasons
+    };
+}
+
+/**
+ * Build a file with a gap, a leap day, a season boundary and optional fields
+ */
+function sampleFile() {
+    const records = [
+        record('2024-02-27', 2.5, { precipitation: 0.21 }),
+        record('2024-02-28', null),
+        record('2024-02-29', 0.3, { maxTemperature: 30, minTemperature: -4 }),
+        record('2024-03-04', 11.2, { precipitation: 0.8, snowToLiquidRatio: 14 }),
+        record('2024-07-31', 0),
+        record('2024-08-01', 1)
+    ];
+    records[3].accumulation = { reportDate: '2024-03-04', periodDays: 1, total: 11.2, method: 'lump' };
+    return seasonFile(buildSeasons(records));
+}
+
+test('decoding gives back the file that was encoded, field order included', () => {
+    const data = sampleFile();
+    const compact = JSON.parse(JSON.stringify(encodeCompactSeasonData(data)));
+
+    assert.strictEqual(isCompactSeasonData(compact), true);
+    assert.strictEqual(isCompactSeasonData(data), false);
+    assert.strictEqual(compact.formatVersion, COMPACT_FORMAT_VERSION);
+    assert.strictEqual(JSON.stringify(decodeCompactSeasonData(compact)), JSON.stringify(data));
+});
+
+test('dates and days of season are derived and cumulative snowfall is delta-encoded', () => {
+    const compact = encodeCompactSeasonData(sampleFile());
+    const [first] = compact.seasons;
+
+    assert.ok(!('dailyData' in first));
+    assert.strictEqual(first.days.start, '2024-02-27');
+    assert.strictEqual(first.days.count, 5);
+    assert.deepStrictEqual(first.days.gaps, [[3, 4], [4, 149]]);
+    assert.ok(!('date' in compact.columns) && !('dayOfSeason' in compact.columns));
+
+    assert.deepStrictEqual(compact.columns.cumulativeSnowfall, { type: 'number', scale: 10, delta: true });
+    assert.deepStrictEqual(first.days.values.cumulativeSnowfall, [25, 0, 3, 112, 0]);
+    assert.deepStrictEqual(first.days.values.precipitation, [21, 80]);
+    assert.strictEqual(compact.columns.snowStatus.type, 'dictionary');
+    assert.deepStrictEqual(first.days.values.snowStatus.map(index => compact.columns.snowStatus.dictionary[index]),
+        ['observed', 'missing', 'observed', 'observed', 'observed']);
+});
+
+test('a dayOfSeason that does not follow from the date is stored', () => {
+    const data = sampleFile();
+    data.seasons[0].dailyData[1].dayOfSeason = 5;
+    const compact = encodeCompactSeasonData(data);
+
+    assert.ok('dayOfSeason' in compact.columns);
+    assert.deepStrictEqual(decodeCompactSeasonData(compact), data);
+});
+
+test('decoding rejects newer versions and columns that do not add up', () => {
+    const compact = encodeCompactSeasonData(sampleFile());
+
+    assert.throws(() => decodeCompactSeasonData({ ...compact, formatVersion: COMPACT_FORMAT_VERSION + 1 }),
+        /compact format version 2; this version reads up to 1/);
+    assert.throws(() => decodeCompactSeasonData({ ...compact, shapes: undefined }), /missing its seasons, columns or shapes/);
+
+    const truncated = JSON.parse(JSON.stringify(compact));
+    truncated.seasons[0].days.values.snowDepth.pop();
+    assert.throws(() => decodeCompactSeasonData(truncated), /^Error: Season 2023-24: the snowDepth values end before record 5$/);
+
+    const badIndex = JSON.parse(JSON.stringify(compact));
+    badIndex.seasons[1].days.values.snowStatus[0] = 99;
+    assert.throws(() => decodeCompactSeasonData(badIndex), /Season 2024-25: dictionary index 99 is out of range/);
+});
+
+test('writeSeasonFile writes a compact copy that readSeasonFile reads back', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snowfall-compact-'));
+    const outputPath = path.join(dir, 'station.json');
+
+    try {
+        const compactPath = writeSeasonFile(outputPath, sampleFile());
+
+        assert.strictEqual(compactPath, path.join(dir, 'station.compact.json'));
+        assert.deepStrictEqual(readSeasonFile(compactPath), readSeasonFile(outputPath));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Feature: snowfall-tracker, any processed file survives the compact encoding unchanged
+test('Property: encoding then decoding returns the same season file', async () => {
+    const snowfall = fc.oneof(fc.constant(null), fc.integer({ min: 0, max: 300 }).map(tenths => tenths / 10));
+    const extra = fc.option(fc.record({
+        precipitation: fc.oneof(fc.constant(null), fc.integer({ min: 0, max: 300 }).map(hundredths => hundredths / 100)),
+        maxTemperature: fc.integer({ min: -30, max: 90 })
+    }, { requiredKeys: [] }), { nil: undefined });
+
+    await fc.assert(
+        fc.property(
+            fc.array(fc.record({ step: fc.integer({ min: 1, max: 40 }), snow: snowfall, extra }), { minLength: 1, maxLength: 400 }),
+            (days) => {
+                let date = '2019-07-20';
+                const records = days.map(({ step, snow, extra }) => {
+                    date = addDays(date, step);
+                    return record(date, snow, extra);
+                });
+                const data = seasonFile(buildSeasons(records));
+                const compact = JSON.parse(JSON.stringify(encodeCompactSeasonData(data)));
+
+                assert.strictEqual(JSON.stringify(decodeCompactSeasonData(compact)), JSON.stringify(data));
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for the streaming CSV reader and header-driven GHCND ingestion
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Readable } = require('stream');
+const fc = require('fast-check');
+const { parseCsvRows, readCsvRecords } = require('../scripts/lib/csv-reader.js');
+const { readNoaaCsv } = require('../scripts/process-noaa-data.js');
+
+/**
+ * Collect every value from an async iterable
+ */
+async function collect(iterable) {
+    const values = [];
+    for await (const value of iterable) {
+        values.push(value);
+    }
+    return values;
+}
+
+/**
+ * Quote a field the way CDO exports do
+ */
+function quoteField(value) {
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+test('parseCsvRows handles quoted commas, doubled quotes, CRLF and blank lines', async () => {
+    const csv = '\uFEFF"A","B"\r\n"1,5","say ""hi"""\r\n\r\n,x\n"multi\nline",';
+    const rows = await collect(parseCsvRows(Readable.from([csv])));
+
+    assert.deepStrictEqual(rows, [
+        ['A', 'B'],
+        ['1,5', 'say "hi"'],
+        ['', 'x'],
+        ['multi\nline', '']
+    ]);
+});
+
+test('parseCsvRows reports comment lines separately from data rows', async () => {
+    const comments = [];
+    const csv = '#Site: 335\r\n# Elevation: 11300 ft\nDate,Depth\n"#1",2\n#trailing';
+    const rows = await collect(parseCsvRows(Readable.from([csv]), {
+        commentPrefix: '#',
+        onComment: (text) => comments.push(text)
+    }));
+
+    assert.deepStrictEqual(rows, [['Date', 'Depth'], ['#1', '2']]);
+    assert.deepStrictEqual(comments, ['Site: 335', ' Elevation: 11300 ft', 'trailing']);
+});
+
+test('readCsvRecords fails loudly when a required column is missing', async () => {
+    const input = Readable.from(['"STATION","DATE","SNWD"\n"X","2021-01-01","3.0"\n']);
+
+    await assert.rejects(
+        collect(readCsvRecords(input, { requiredColumns: ['DATE', 'SNOW'], sourceName: 'export.csv' })),
+        /export\.csv is missing required column\(s\): SNOW/
+    );
+    await assert.rejects(collect(readCsvRecords(Readable.from(['']))), /is empty/);
+});
+
+test('readNoaaCsv maps columns by header name in any order', async () => {
+    const { records, rowsRead, skipped } = await readNoaaCsv(path.join(__dirname, 'fixtures', 'ghcnd-reordered.csv'));
+
+    assert.strictEqual(rowsRead, 5);
+    assert.deepStrictEqual(skipped, { 'invalid DATE': 1, 'malformed row': 1 });
+    assert.deepStrictEqual(records.map(record => record.date), ['2021-01-10', '2021-01-11', '2021-01-12']);
+    assert.deepStrictEqual(records.map(record => record.snowfall.status), ['observed', 'trace', 'missing']);
+    assert.deepStrictEqual(records.map(record => record.snowDepth.value), [12, 14, 13]);
+    assert.strictEqual(records[0].multiDaySnowfall.status, 'missing');
+});
+
+// Feature: snowfall-tracker, parsing does not depend on where the stream splits its chunks
+test('Property: rows parse the same however the input is chunked', async () => {
+    await fc.assert(
+        fc.asyncProperty(
+            fc.array(fc.array(fc.string({ maxLength: 8 }), { minLength: 2, maxLength: 2 }), { minLength: 1, maxLength: 10 }),
+            fc.array(fc.integer({ min: 1, max: 7 }), { minLength: 1, maxLength: 20 }),
+            async (rows, chunkSizes) => {
+                const csv = rows.map(row => row.map(quoteField).join(',')).join('\r\n') + '\r\n';
+
+                const chunks = [];
+                let offset = 0;
+                for (let i = 0; offset < csv.length; i++) {
+                    const size = chunkSizes[i % chunkSizes.length];
+                    chunks.push(csv.slice(offset, offset + size));
+                    offset += size;
+                }
+
+                const parsed = await collect(parseCsvRows(Readable.from(chunks)));
+                assert.deepStrictEqual(parsed, rows);
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
@@ -13,7 +13,13 @@ const {
     calculateDailySnowfall,
     calculateCumulative,
     filterSeasonsByRange,
-    getAxisBounds
+    isPartialSeason,
+    hasTemperatureData,
+    hasPrecipitationData,
+    getAxisBounds,
+    isDepthDerivedSeason,
+    applySnowfallEstimator,
+    describeDataProvenance
 } = require('../js/data-processor.js');
 
 // Property 3: Axis Bounds Encompass Data
@@ -242,4 +248,102 @@ test('Edge cases: Data processor functions', () => {
     assert.strictEqual(emptyDataBounds.minDayOfSeason, 0);
     assert.strictEqual(emptyDataBounds.maxDayOfSeason, 365);
     assert.strictEqual(emptyDataBounds.maxCumulative, 0);
-});
\ No newline at end of file
+});
+test('filterSeasonsByRange can hide partial historical seasons', () => {
+    const seasons = [
+        { startYear: 1989, status: 'partial-historical' },
+        { startYear: 1990, status: 'complete' },
+        { startYear: 1991 }, // Files from before season status count as complete
+        { startYear: 1992, status: 'in-progress' }
+    ];
+
+    assert.strictEqual(filterSeasonsByRange(seasons, 1989, 1992).length, 4);
+    assert.deepStrictEqual(
+        filterSeasonsByRange(seasons, 1989, 1992, { includePartial: false }).map(s => s.startYear),
+        [1990, 1991, 1992]
+    );
+    assert.strictEqual(isPartialSeason(seasons[3]), false, 'The season in progress is not partial');
+});
+
+test('applySnowfallEstimator only re-estimates depth-derived seasons', () => {
+    const reported = {
+        season: '2022-23',
+        startYear: 2022,
+        totalSnowfall: 3,
+        estimator: { name: 'reported' },
+        dailyData: [{ dayOfSeason: 0, snowDepth: 10, dailySnowfall: 3, cumulativeSnowfall: 3 }]
+    };
+    const derived = {
+        season: '2023-24',
+        startYear: 2023,
+        totalSnowfall: 4,
+        estimator: { name: 'naive', firstDay: 'zero', missingDepth: 'skip', precision: 1 },
+        dailyData: [
+            { dayOfSeason: 0, snowDepth: 50, dailySnowfall: 0, cumulativeSnowfall: 0 },
+            { dayOfSeason: 1, snowDepth: null, dailySnowfall: null, cumulativeSnowfall: 0 },
+            { dayOfSeason: 2, snowDepth: 54, dailySnowfall: 4, cumulativeSnowfall: 4 }
+        ]
+    };
+
+    assert.strictEqual(isDepthDerivedSeason(reported), false);
+    assert.strictEqual(isDepthDerivedSeason(derived), true);
+
+    const [sameReported, settled] = applySnowfallEstimator([reported, derived], 'settling', 0.1);
+    assert.strictEqual(sameReported, reported);
+    assert.deepStrictEqual(settled.dailyData.map(day => day.dailySnowfall), [0, null, 13.5]);
+    assert.strictEqual(settled.totalSnowfall, 13.5);
+    assert.deepStrictEqual(settled.estimator, { name: 'settling', firstDay: 'zero', missingDepth: 'skip', precision: 1, settlingRate: 0.1 });
+    // The input seasons are not modified
+    assert.strictEqual(derived.totalSnowfall, 4);
+});
+
+test('hasTemperatureData looks for a daily high or low', () => {
+    assert.strictEqual(hasTemperatureData({ dailyData: [{ dayOfSeason: 0 }, { dayOfSeason: 1, minTemperature: -4 }] }), true);
+    assert.strictEqual(hasTemperatureData({ dailyData: [{ dayOfSeason: 0, maxTemperature: null }] }), false);
+    assert.strictEqual(hasTemperatureData({}), false);
+    assert.strictEqual(hasTemperatureData(null), false);
+});
+
+test('hasPrecipitationData looks for daily liquid precipitation', () => {
+    assert.strictEqual(hasPrecipitationData({ dailyData: [{ dayOfSeason: 0, precipitation: 0 }] }), true);
+    assert.strictEqual(hasPrecipitationData({ dailyData: [{ dayOfSeason: 0, precipitation: null }] }), false);
+    assert.strictEqual(hasPrecipitationData(null), false);
+});
+
+test('describeDataProvenance lists inputs, rows and processing parameters', () => {
+    const data = {
+        schemaVersion: 1,
+        provenance: {
+            generator: { script: 'scripts/process-noaa-data.js', version: '1.0.0+d5d9660' },
+            generatedAt: '2026-10-19T06:30:14.183Z',
+            inputs: [
+                { file: 'a.csv', bytes: 1358046, sha256: 'e4c2ab5b48823952c60b8a93d40ec863', role: 'observations', rowsRead: 12795 },
+                { file: 'b.csv', bytes: 2048, sha256: '0123456789abcdef0123', role: 'neighbor' }
+            ],
+            rows: { read: 12797, skipped: { 'other station': 2 }, records: 12795 },
+            parameters: {
+                season: { name: 'ski', start: '08-01', end: '07-31' },
+                estimator: { name: 'reported' },
+                precision: 2,
+                imputation: { name: 'neighbor ratio', minSharedDays: 10 },
+                traceValue: 0,
+                update: false
+            }
+        }
+    };
+
+    assert.deepStrictEqual(describeDataProvenance(data), [
+        { label: 'Schema version', value: '1' },
+        { label: 'Generated', value: '2026-10-19 by scripts/process-noaa-data.js 1.0.0+d5d9660' },
+        { label: 'Input', value: 'a.csv (12,795 rows, 1.3 MB, SHA-256 e4c2ab5b4882…)' },
+        { label: 'Neighbor input', value: 'b.csv (0.0 MB, SHA-256 0123456789ab…)' },
+        { label: 'Rows', value: '12,797 read, 2 skipped (2 other station)' },
+        { label: 'Season', value: 'ski (08-01 to 07-31)' },
+        { label: 'Estimator', value: 'reported' },
+        { label: 'Rounding', value: '2 decimal places' },
+        { label: 'Options', value: 'imputation: neighbor ratio (minSharedDays: 10), traceValue: 0, update: no' }
+    ]);
+
+    assert.deepStrictEqual(describeDataProvenance({ schemaVersion: 1, seasons: [] }), []);
+    assert.deepStrictEqual(describeDataProvenance(null), []);
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for the season file diff
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+    diffDailyData,
+    diffSeasonData,
+    hasDifferences,
+    formatDiffReport,
+    parseCliArgs
+} = require('../scripts/diff-season-data.js');
+
+/**
+ * Build a season from { date: dailySnowfall } entries
+ */
+function season(name, days) {
+    const dailyData = Object.entries(days).map(([date, dailySnowfall]) => ({ date, dailySnowfall, snowStatus: 'observed' }));
+    return {
+        season: name,
+        startYear: Number(name.slice(0, 4)),
+        totalSnowfall: dailyData.reduce((sum, day) => sum + (day.dailySnowfall || 0), 0),
+        dailyData
+    };
+}
+
+test('diffDailyData finds added, removed and changed days', () => {
+    const oldSeason = season('2023-24', { '2024-01-01': 2, '2024-01-02': 0, '2024-01-03': 1 });
+    const newSeason = season('2023-24', { '2024-01-01': 2, '2024-01-02': 5, '2024-01-04': 3 });
+    // A field only the new file has counts as a change from null; an absent field equals null
+    newSeason.dailyData[0].precipitation = 0.2;
+    oldSeason.dailyData[1].snowDepth = null;
+
+    assert.deepStrictEqual(diffDailyData(oldSeason, newSeason), {
+        added: [{ date: '2024-01-04', season: '2023-24' }],
+        removed: [{ date: '2024-01-03', season: '2023-24' }],
+        changed: [
+            { date: '2024-01-01', season: '2023-24', changes: { precipitation: { old: null, new: 0.2 } } },
+            { date: '2024-01-02', season: '2023-24', changes: { dailySnowfall: { old: 0, new: 5 } } }
+        ]
+    });
+    assert.deepStrictEqual(diffDailyData(oldSeason, newSeason, ['snowDepth']).changed, []);
+});
+
+test('diffSeasonData lists season changes and sorts totals by the size of the change', () => {
+    const oldData = {
+        seasons: [
+            season('2021-22', { '2022-01-01': 4 }),
+            season('2022-23', { '2023-01-01': 10 }),
+            season('2023-24', { '2024-01-01': 1 })
+        ]
+    };
+    const newData = {
+        seasons: [
+            season('2022-23', { '2023-01-01': 7 }),
+            season('2023-24', { '2024-01-01': 1, '2024-01-02': 6.5 }),
+            season('2024-25', { '2025-01-01': 2 })
+        ]
+    };
+
+    const diff = diffSeasonData(oldData, newData);
+    assert.deepStrictEqual(diff.seasons, { added: ['2024-25'], removed: ['2021-22'] });
+    assert.deepStrictEqual(diff.totals, [
+        { season: '2023-24', oldTotal: 1, newTotal: 7.5, delta: 6.5 },
+        { season: '2022-23', oldTotal: 10, newTotal: 7, delta: -3 }
+    ]);
+    assert.deepStrictEqual(diff.days.added, [{ date: '2024-01-02', season: '2023-24' }]);
+    assert.strictEqual(diff.days.changed.length, 1);
+    assert.ok(hasDifferences(diff));
+
+    const report = formatDiffReport(diff, { maxDays: 0 });
+    assert.match(report, /Seasons added: 2024-25/);
+    assert.match(report, /Seasons removed: 2021-22/);
+    assert.match(report, /2023-24\s+1" → 7.5"\s+\+6.5"\n\s+2022-23\s+10" → 7"\s+-3"/);
+    assert.match(report, /1 days changed, 1 added, 0 removed/);
+    assert.match(report, /\.\.\. 1 more/);
+
+    assert.ok(!hasDifferences(diffSeasonData(newData, newData)));
+    assert.strictEqual(formatDiffReport(diffSeasonData(newData, newData)), 'No differences');
+    assert.throws(() => diffSeasonData({}, newData), /Old file is not a season file/);
+});
+
+test('parseCliArgs takes two files and report options', () => {
+    const options = parseCliArgs(['old.json', 'new.json', '--report', 'diff.json', '--max-days', '5', '--fields', 'dailySnowfall, snowDepth']);
+
+    assert.strictEqual(options.oldFile, path.resolve('old.json'));
+    assert.strictEqual(options.newFile, path.resolve('new.json'));
+    assert.strictEqual(options.report, path.resolve('diff.json'));
+    assert.strictEqual(options.maxDays, 5);
+    assert.deepStrictEqual(options.fields, ['dailySnowfall', 'snowDepth']);
+    assert.strictEqual(options.json, false);
+
+    assert.deepStrictEqual(parseCliArgs(['-h']), { help: true });
+    assert.throws(() => parseCliArgs(['old.json']), /Expected an old and a new season file/);
+    assert.throws(() => parseCliArgs(['a', 'b', '--max-days', '1.5']), /Invalid --max-days/);
+    assert.throws(() => parseCliArgs(['a', 'b', '--fields', ',']), /Invalid --fields/);
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for SNOTEL report ingestion
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    parseSnotelHeader,
+    readSnotelReport,
+    processSnotelReport,
+    parseCliArgs
+} = require('../scripts/fetch-snotel-data.js');
+const { applySnowfallEstimator, getDataPrecision } = require('../js/data-processor.js');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'snotel-335-report.csv');
+
+test('parseSnotelHeader reads the site, state and elevation from comment lines', () => {
+    assert.deepStrictEqual(
+        parseSnotelHeader(['\tSNOTEL 335: Berthoud Summit, CO, Site Information:', '\t    Elevation: 11300 ft; Latitude: 39.80']),
+        { id: '335:CO:SNTL', name: 'Berthoud Summit', elevation: 11300 }
+    );
+    assert.deepStrictEqual(parseSnotelHeader(['Reporting Frequency: Daily']), {});
+});
+
+test('readSnotelReport maps element columns and skips bad rows', async () => {
+    const { records, station, rowsRead, skipped } = await readSnotelReport(FIXTURE);
+
+    assert.deepStrictEqual(station, { id: '335:CO:SNTL', name: 'Berthoud Summit', elevation: 11300 });
+    assert.strictEqual(rowsRead, 12);
+    assert.deepStrictEqual(skipped, { 'invalid Date': 1 });
+    assert.strictEqual(records.length, 11);
+    assert.deepStrictEqual(records[5].snowDepth, { value: 27, status: 'observed', flags: {} });
+    assert.deepStrictEqual(records[5].extra, { snowWaterEquivalent: 4.5, precipitationAccumulation: 6.7 });
+    assert.strictEqual(records[7].snowDepth.status, 'missing');
+    assert.strictEqual(records[10].extra.snowWaterEquivalent, null);
+});
+
+test('readSnotelReport keeps the later row of a repeated date', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snotel-report-'));
+    const reportPath = path.join(dir, 'report.csv');
+
+    try {
+        fs.writeFileSync(reportPath, fs.readFileSync(FIXTURE, 'utf8') + '2024-12-02,4.7,28,6.9\n');
+        const { records, rowsRead, skipped } = await readSnotelReport(reportPath);
+
+        assert.strictEqual(rowsRead, 13);
+        assert.deepStrictEqual(skipped, { 'invalid Date': 1, 'duplicate Date (later row wins)': 1 });
+        assert.strictEqual(records.length, 11);
+        assert.deepStrictEqual(records.map(record => record.date), [...records.map(record => record.date)].sort());
+        assert.strictEqual(records[5].date, '2024-12-02');
+        assert.strictEqual(records[5].snowDepth.value, 28);
+        assert.strictEqual(records[5].extra.snowWaterEquivalent, 4.7);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processSnotelReport produces the NOAA season schema with depth-derived snowfall', async () => {
+    const output = await processSnotelReport({ input: FIXTURE, dryRun: true });
+
+    assert.strictEqual(output.stationId, '335:CO:SNTL');
+    assert.strictEqual(output.source, 'NRCS SNOTEL Berthoud Summit (335:CO:SNTL)');
+    assert.strictEqual(output.elevation, 11300);
+    assert.strictEqual(output.seasonStart, '08-01');
+    assert.deepStrictEqual(output.seasons.map(season => season.season), ['2023-24', '2024-25']);
+
+    const season = output.seasons[1];
+    assert.deepStrictEqual(season.dailyData.map(day => day.dailySnowfall), [0, 0, 22, 5, 0, null, 6, 0, 0]);
+    assert.deepStrictEqual(season.dailyData.map(day => day.snowStatus), [
+        'derived', 'derived', 'derived', 'derived', 'derived', 'missing', 'derived', 'derived', 'derived'
+    ]);
+    assert.strictEqual(season.totalSnowfall, 33);
+    assert.strictEqual(season.missingDays, 1);
+
+    const record = season.dailyData[3];
+    for (const key of ['date', 'dayOfSeason', 'snowDepth', 'dailySnowfall', 'cumulativeSnowfall', 'snowStatus', 'snowDepthStatus', 'flags']) {
+        assert.ok(key in record, `Record should have ${key}`);
+    }
+    assert.strictEqual(record.snowWaterEquivalent, 4.5);
+});
+
+test('parseCliArgs requires an input unless simulation is explicitly requested', () => {
+    assert.throws(() => parseCliArgs([]), /Missing --input/);
+    assert.strictEqual(parseCliArgs(['--simulate']).simulate, true);
+    assert.ok(parseCliArgs(['--simulate']).output.endsWith(path.join('data', 'snotel-simulated.json')));
+
+    const options = parseCliArgs(['-i', 'report.csv', '--station-name', 'Berthoud', '--elevation', '11300']);
+    assert.strictEqual(options.input, path.resolve('report.csv'));
+    assert.deepStrictEqual(options.station, { name: 'Berthoud', elevation: 11300 });
+    assert.strictEqual(options.output, null);
+    assert.deepStrictEqual(options.snowfallPolicies, {});
+
+    assert.deepStrictEqual(parseCliArgs(['-i', 'report.csv', '--first-day', 'depth', '--missing-depth', 'carry']).snowfallPolicies,
+        { firstDay: 'depth', missingDepth: 'carry' });
+    assert.throws(() => parseCliArgs(['-i', 'report.csv', '--missing-depth', 'guess']), /Invalid missingDepth policy "guess"/);
+    assert.deepStrictEqual(parseCliArgs(['-i', 'report.csv', '--estimator', 'settling', '--settling-rate', '0.05']).snowfallPolicies,
+        { estimator: 'settling', settlingRate: 0.05 });
+    assert.throws(() => parseCliArgs(['-i', 'report.csv', '--settling-rate', 'fast']), /Invalid settlingRate policy/);
+});
+
+test('Seasons record their estimator and re-estimate in the browser exactly as the pipeline does', async () => {
+    const naive = await processSnotelReport({ input: FIXTURE, dryRun: true });
+    const settling = await processSnotelReport({ input: FIXTURE, dryRun: true, snowfallPolicies: { estimator: 'settling' } });
+
+    assert.deepStrictEqual(naive.seasons[1].estimator, { name: 'naive', firstDay: 'zero', missingDepth: 'skip', precision: 1 });
+    assert.strictEqual(settling.seasons[1].estimator.name, 'settling');
+    assert.ok(settling.seasons[1].totalSnowfall > naive.seasons[1].totalSnowfall);
+
+    assert.deepStrictEqual(applySnowfallEstimator(naive.seasons, 'settling'), settling.seasons);
+    assert.deepStrictEqual(applySnowfallEstimator(settling.seasons, 'naive'), naive.seasons);
+
+    // Totals are rounded to the file's precision, not the daily one
+    const fine = await processSnotelReport({ input: FIXTURE, dryRun: true, precision: 1, snowfallPolicies: { estimator: 'settling', precision: 2 } });
+    assert.strictEqual(getDataPrecision(fine), 1);
+    assert.deepStrictEqual(applySnowfallEstimator(fine.seasons, 'settling', undefined, getDataPrecision(fine)), fine.seasons);
+    assert.notDeepStrictEqual(applySnowfallEstimator(fine.seasons, 'settling'), fine.seasons);
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for filling station gaps from a neighbor station
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const {
+    loadNeighborSnowfall,
+    computeSnowfallRatios,
+    imputeFromNeighbor
+} = require('../scripts/lib/impute.js');
+const { addDays, buildSeasons } = require('../scripts/lib/seasons.js');
+const { buildSeasonPoints, describeImputation } = require('../js/chart-manager.js');
+const { parseCliArgs } = require('../scripts/process-noaa-data.js');
+
+/**
+ * Build a parsed record as readNoaaCsv() would
+ */
+function record(date, snow, status = snow === null ? 'missing' : 'observed') {
+    return {
+        date,
+        snowfall: { value: snow, status, flags: {} },
+        snowDepth: { value: null, status: 'missing', flags: {} }
+    };
+}
+
+/**
+ * Build a neighbor season file from { date: snowfall } entries
+ */
+function neighborFile(snowfallByDate, stationId = 'USC00051660') {
+    return {
+        stationId,
+        units: 'inches',
+        seasons: [{
+            dailyData: Object.entries(snowfallByDate).map(([date, dailySnowfall]) => ({ date, dailySnowfall, snowStatus: 'observed' }))
+        }]
+    };
+}
+
+test('loadNeighborSnowfall skips missing and imputed neighbor days', () => {
+    const data = neighborFile({ '2024-01-01': 2, '2024-01-02': null, '2024-01-03': 4 });
+    data.seasons[0].dailyData[2].snowStatus = 'imputed';
+
+    const neighbor = loadNeighborSnowfall(data);
+    assert.strictEqual(neighbor.stationId, 'USC00051660');
+    assert.deepStrictEqual([...neighbor.byDate], [['2024-01-01', 2]]);
+
+    assert.throws(() => loadNeighborSnowfall({}), /missing "seasons"/);
+    assert.throws(() => loadNeighborSnowfall({ ...data, units: 'cm' }), /in cm, expected inches/);
+});
+
+test('imputeFromNeighbor fills missing and absent days with the scaled neighbor snowfall', () => {
+    const records = [
+        record('2024-01-01', 4),
+        record('2024-01-02', 0),
+        record('2024-01-03', null),
+        // 2024-01-04 is absent from the CSV
+        record('2024-01-05', 6),
+        record('2024-01-06', null, 'qc-failed')
+    ];
+    const neighbor = loadNeighborSnowfall(neighborFile({
+        '2024-01-01': 2, '2024-01-02': 0, '2024-01-03': 5, '2024-01-04': 1, '2024-01-05': 3, '2024-01-06': 8
+    }));
+
+    // 10" here against 5" at the neighbor on the shared snow days; too few for a season ratio
+    const { records: filled, imputedDays, ratios } = imputeFromNeighbor(records, neighbor);
+
+    assert.strictEqual(ratios.overall, 2);
+    assert.strictEqual(ratios.bySeason.size, 0);
+    assert.strictEqual(imputedDays, 2);
+    assert.deepStrictEqual(filled.map(r => [r.date, r.snowfall.value, r.snowfall.status]), [
+        ['2024-01-01', 4, 'observed'],
+        ['2024-01-02', 0, 'observed'],
+        ['2024-01-03', 10, 'imputed'],
+        ['2024-01-04', 2, 'imputed'],
+        ['2024-01-05', 6, 'observed'],
+        ['2024-01-06', null, 'qc-failed']
+    ]);
+    assert.deepStrictEqual(filled[2].imputation, { stationId: 'USC00051660', neighborSnowfall: 5, ratio: 2 });
+
+    // Imputed days are flagged in dailyData and in the chart tooltip
+    const [season] = buildSeasons(filled);
+    assert.strictEqual(season.imputedDays, 2);
+    assert.strictEqual(season.totalSnowfall, 22);
+    assert.strictEqual(season.dailyData[2].snowStatus, 'imputed');
+    const points = buildSeasonPoints(season.dailyData);
+    assert.deepStrictEqual(describeImputation(points[2]), ['Imputed: 10" from USC00051660 (5" × 2)']);
+    assert.deepStrictEqual(describeImputation(points[0]), []);
+});
+
+test('computeSnowfallRatios uses a season ratio once the season has enough shared snow days', () => {
+    const records = [];
+    const neighborSnowfall = {};
+    for (let i = 0; i < 12; i++) {
+        const date = addDays('2023-12-01', i);
+        records.push(record(date, 3));
+        neighborSnowfall[date] = 2;
+    }
+    records.push(record('2024-09-01', 1));
+    neighborSnowfall['2024-09-01'] = 4;
+
+    const ratios = computeSnowfallRatios(records, loadNeighborSnowfall(neighborFile(neighborSnowfall)));
+
+    assert.deepStrictEqual([...ratios.bySeason], [['2023-24', 1.5]]);
+    assert.strictEqual(ratios.overall, 1.321);
+    assert.strictEqual(computeSnowfallRatios(records, loadNeighborSnowfall(neighborFile({}))).overall, null);
+});
+
+// Feature: snowfall-tracker, imputation never changes a day that has a value
+test('Property: only missing days are imputed', async () => {
+    await fc.assert(
+        fc.property(
+            fc.array(fc.option(fc.integer({ min: 0, max: 20 }), { nil: null }), { minLength: 1, maxLength: 40 }),
+            fc.array(fc.integer({ min: 0, max: 20 }), { minLength: 40, maxLength: 40 }),
+            (snow, neighborSnow) => {
+                const records = snow.map((value, i) => record(addDays('2024-01-01', i), value));
+                const neighbor = loadNeighborSnowfall(neighborFile(
+                    Object.fromEntries(neighborSnow.map((value, i) => [addDays('2024-01-01', i), value]))
+                ));
+                const before = records.map(r => ({ ...r.snowfall }));
+
+                const { records: filled, imputedDays, ratios } = imputeFromNeighbor(records, neighbor);
+
+                filled.forEach((r, i) => {
+                    if (before[i].status === 'missing') {
+                        assert.strictEqual(r.snowfall.status, ratios.overall === null ? 'missing' : 'imputed');
+                    } else {
+                        assert.deepStrictEqual(r.snowfall, before[i]);
+                    }
+                });
+                assert.strictEqual(imputedDays, ratios.overall === null ? 0 : snow.filter(value => value === null).length);
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
+
+test('parseCliArgs reads neighbor options', () => {
+    const options = parseCliArgs(['--neighbor', 'data/fraser.json', '--neighbor-min-days', '5']);
+    assert.ok(options.neighbor.endsWith('fraser.json'));
+    assert.strictEqual(options.neighborMinDays, 5);
+    assert.strictEqual(parseCliArgs([]).neighbor, null);
+    assert.throws(() => parseCliArgs(['--neighbor-min-days', '0']), /Invalid --neighbor-min-days/);
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for incremental updates of season files
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadExistingSeasons,
+    addDaysOutsideInput,
+    findChangedDays,
+    mergeSeasons,
+    summarizeUpdate
+} = require('../scripts/lib/incremental.js');
+const { addDays, getLatestDate, getSkiSeason, resolveSeason, buildSeasons } = require('../scripts/lib/seasons.js');
+const { processNoaaData } = require('../scripts/process-noaa-data.js');
+
+/**
+ * Build a parsed record as readNoaaCsv() would
+ */
+function record(date, snow) {
+    return {
+        date,
+        snowfall: { value: snow, status: snow === null ? 'missing' : 'observed', flags: {} },
+        snowDepth: { value: null, status: 'missing', flags: {} }
+    };
+}
+
+/**
+ * Build records for consecutive days from a list of snowfall values
+ */
+function days(start, snowfall) {
+    return snowfall.map((snow, index) => record(addDays(start, index), snow));
+}
+
+/**
+ * Update existing seasons the way processNoaaData() does in update mode
+ */
+function update(existingSeasons, input, { asOf } = {}) {
+    const records = addDaysOutsideInput(existingSeasons, input);
+    const changes = findChangedDays(existingSeasons, records);
+    const rebuiltNames = new Set([
+        ...changes.keys(),
+        ...existingSeasons.filter(season => season.status === 'in-progress').map(season => season.season)
+    ]);
+    const rebuilt = buildSeasons(records.filter(entry => rebuiltNames.has(getSkiSeason(entry.date))), { dataEnd: getLatestDate(records), asOf });
+    return { changes, seasons: mergeSeasons(existingSeasons, rebuilt, rebuiltNames), summary: summarizeUpdate(changes, existingSeasons, rebuilt) };
+}
+
+test('findChangedDays tells added, revised and removed days apart by season', () => {
+    const existing = buildSeasons([...days('2022-12-30', [1, 2, 3]), ...days('2023-12-30', [4, 5])]);
+    const records = [
+        ...days('2022-12-30', [1, 2, 3]),
+        ...days('2023-12-30', [4, 9]),
+        ...days('2024-01-01', [6, 0])
+    ];
+    // Dec 30 2023 no longer exported
+    records.splice(3, 1);
+
+    const changes = findChangedDays(existing, records);
+    assert.deepStrictEqual([...changes.keys()], ['2023-24']);
+    assert.deepStrictEqual(changes.get('2023-24'), {
+        added: ['2024-01-01', '2024-01-02'],
+        revised: ['2023-12-31'],
+        removed: ['2023-12-30']
+    });
+
+    // Unchanged records change nothing, cumulative values aside
+    assert.strictEqual(findChangedDays(existing, [...days('2022-12-30', [1, 2, 3]), ...days('2023-12-30', [4, 5])]).size, 0);
+});
+
+test('an update rebuilds only changed seasons and the one in progress', () => {
+    const original = days('2022-08-01', [0, 3]).concat(days('2023-07-30', [1, 1]), days('2023-08-01', [2]));
+    const existing = buildSeasons(original, { asOf: '2023-08-01' });
+    assert.strictEqual(existing[1].status, 'in-progress');
+
+    const { seasons, summary } = update(existing, [...original, ...days('2023-08-02', [5, 0])], { asOf: '2023-08-03' });
+
+    assert.strictEqual(seasons[0], existing[0], 'Unchanged finished seasons are kept as they were');
+    assert.strictEqual(seasons[1].totalSnowfall, 7);
+    assert.deepStrictEqual(seasons[1].dailyData.map(day => day.cumulativeSnowfall), [2, 7, 7]);
+    assert.deepStrictEqual(summary, {
+        added: 2,
+        revised: 0,
+        removed: 0,
+        seasons: [{
+            season: '2023-24', added: 2, revised: 0, removed: 0,
+            previousTotal: 2, totalSnowfall: 7, previousStatus: 'in-progress', status: 'in-progress'
+        }]
+    });
+});
+
+test('an update from an export of the latest rows keeps the earlier seasons', () => {
+    const full = days('2021-10-01', Array.from({ length: 800 }, (_, index) => index % 7));
+    const existing = buildSeasons(full);
+    const recent = full.slice(-30).map(entry => ({ ...entry }));
+    recent[29] = record(recent[29].date, 12);
+    recent.splice(10, 1);
+
+    const changes = findChangedDays(existing, recent);
+    assert.deepStrictEqual([...changes.keys()], ['2023-24']);
+    assert.deepStrictEqual(changes.get('2023-24').removed, [full[full.length - 20].date]);
+
+    const { seasons, summary } = update(existing, recent);
+    assert.strictEqual(seasons.length, existing.length);
+    assert.strictEqual(seasons[0], existing[0], 'Seasons before the export are kept as they were');
+    assert.strictEqual(seasons[1], existing[1]);
+    assert.strictEqual(seasons[2].dailyData.length, existing[2].dailyData.length - 1);
+    assert.deepStrictEqual(summary.seasons.map(season => [season.season, season.added, season.revised, season.removed]),
+        [['2023-24', 0, 1, 1]]);
+
+    const expected = full.filter(entry => entry.date !== full[full.length - 20].date);
+    expected[expected.length - 1] = recent[recent.length - 1];
+    assert.deepStrictEqual(seasons, buildSeasons(expected));
+});
+
+test('an empty export changes nothing', () => {
+    const existing = buildSeasons(days('2022-12-30', [1, 2, 3]));
+    assert.strictEqual(findChangedDays(existing, []).size, 0);
+});
+
+test('loadExistingSeasons refuses files of another station or season window', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snowfall-update-'));
+    const filePath = path.join(dir, 'snowfall-data.json');
+
+    try {
+        assert.strictEqual(loadExistingSeasons(filePath, { stationId: 'USC00059175' }), null);
+
+        fs.writeFileSync(filePath, JSON.stringify({ stationId: 'USC00059175', seasonStart: '08-01', seasonEnd: '07-31', seasons: [] }));
+        assert.strictEqual(loadExistingSeasons(filePath, { stationId: 'USC00059175' }).stationId, 'USC00059175');
+        assert.throws(() => loadExistingSeasons(filePath, { stationId: 'USC00051660' }), /holds station USC00059175, not USC00051660/);
+        assert.throws(() => loadExistingSeasons(filePath, { stationId: 'USC00059175', season: resolveSeason('resort') }),
+            /uses Aug-Jul seasons, not Nov-Apr/);
+
+        fs.writeFileSync(filePath, JSON.stringify({ stationId: 'USC00059175' }));
+        assert.throws(() => loadExistingSeasons(filePath), /not a season file/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('loadExistingSeasons refuses an update built with other parameters', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snowfall-update-'));
+    const filePath = path.join(dir, 'snowfall-data.json');
+    const parameters = {
+        estimator: 'reported', precision: 1, accumulationMode: 'spread', imputation: null,
+        discrepancyThreshold: 6, traceValue: 0, snowToLiquidMinPrecipitation: 0.05
+    };
+
+    try {
+        fs.writeFileSync(filePath, JSON.stringify({ stationId: 'USC00059175', seasonStart: '08-01', seasonEnd: '07-31', seasons: [] }));
+        assert.throws(() => loadExistingSeasons(filePath, { parameters }), /does not record the parameters it was built with/);
+
+        fs.writeFileSync(filePath, JSON.stringify({
+            stationId: 'USC00059175', seasonStart: '08-01', seasonEnd: '07-31', seasons: [],
+            provenance: { parameters: { ...parameters, update: false } }
+        }));
+        assert.ok(loadExistingSeasons(filePath, { parameters: { ...parameters, update: true } }));
+        assert.throws(() => loadExistingSeasons(filePath, { parameters: { ...parameters, precision: 2, accumulationMode: 'lump' } }),
+            /was built with precision 1, accumulationMode "spread", not precision 2, accumulationMode "lump"; pass the same options or rebuild it without --update/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an update run with changed options is refused instead of reported as up to date', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snowfall-update-'));
+    const output = path.join(dir, 'snowfall-data.json');
+    const inputs = [path.join(__dirname, 'fixtures', 'ghcnd-precipitation.csv')];
+
+    try {
+        const built = await processNoaaData({ inputs, output, precision: 1 });
+        assert.deepStrictEqual(await processNoaaData({ inputs, output, precision: 1, update: true }), built);
+
+        await assert.rejects(processNoaaData({ inputs, output, precision: 2, update: true }),
+            /was built with precision 1, not precision 2/);
+        await assert.rejects(processNoaaData({ inputs, output, discrepancyThreshold: 3, update: true }),
+            /was built with discrepancyThreshold 6, not discrepancyThreshold 3/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Feature: snowfall-tracker, an incremental update gives the same seasons as a full rebuild
+test('Property: updating with new and revised days matches building from scratch', async () => {
+    const snowfall = fc.oneof(fc.constant(null), fc.integer({ min: 0, max: 200 }).map(tenths => tenths / 10));
+
+    await fc.assert(
+        fc.property(
+            fc.array(snowfall, { minLength: 1, maxLength: 500 }),
+            fc.array(snowfall, { maxLength: 100 }),
+            fc.array(fc.record({ index: fc.nat(), snow: snowfall }), { maxLength: 5 }),
+            (initial, appended, revisions) => {
+                const original = days('2021-06-01', initial);
+                const records = days('2021-06-01', [...initial, ...appended]);
+                for (const { index, snow } of revisions) {
+                    records[index % records.length] = record(records[index % records.length].date, snow);
+                }
+
+                const { seasons } = update(buildSeasons(original), records);
+                assert.deepStrictEqual(seasons, buildSeasons(records));
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
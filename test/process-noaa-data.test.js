@@ -0,0 +1,189 @@
+/**
+ * Tests for NOAA GHCND processing helpers
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const path = require('path');
+const {
+    parseCliArgs,
+    parseAttributes,
+    parseObservation,
+    parseTemperature,
+    distributeAccumulations,
+    readNoaaCsv
+} = require('../scripts/process-noaa-data.js');
+const { buildSeasons } = require('../scripts/lib/seasons.js');
+const { addSnowToLiquid } = require('../scripts/lib/snow-ratio.js');
+
+test('parseAttributes splits measurement, quality, source and time flags', () => {
+    assert.deepStrictEqual(parseAttributes('T,,7,0800'), { measurement: 'T', source: '7', time: '0800' });
+    assert.deepStrictEqual(parseAttributes(',I,0,'), { quality: 'I', source: '0' });
+    assert.deepStrictEqual(parseAttributes(''), {});
+    assert.deepStrictEqual(parseAttributes(undefined), {});
+});
+
+test('parseObservation tells missing, trace and QC-failed values apart from true zeros', () => {
+    assert.deepStrictEqual(parseObservation('0.0', ',,0,'), { value: 0, status: 'observed', flags: { source: '0' } });
+    assert.deepStrictEqual(parseObservation('0.0', 'T,,7,0800').status, 'trace');
+    assert.deepStrictEqual(parseObservation('T', '').value, 0);
+    assert.deepStrictEqual(parseObservation('', ''), { value: null, status: 'missing', flags: {} });
+    assert.deepStrictEqual(parseObservation('12.0', ',D,0,'), { value: null, status: 'qc-failed', flags: { quality: 'D', source: '0' } });
+    assert.deepStrictEqual(parseObservation('0.0', 'P,,0,'), { value: 0, status: 'presumed-zero', flags: { measurement: 'P', source: '0' } });
+});
+
+test('parseTemperature keeps negative readings and drops missing and QC-failed ones', () => {
+    assert.strictEqual(parseTemperature('-12', ',,0,0800'), -12);
+    assert.strictEqual(parseTemperature('34', ''), 34);
+    assert.strictEqual(parseTemperature('', ''), null);
+    assert.strictEqual(parseTemperature('90', ',I,0,'), null);
+});
+
+test('readNoaaCsv carries TMAX and TMIN into the daily records', async () => {
+    const { records } = await readNoaaCsv(path.join(__dirname, 'fixtures', 'ghcnd-temperatures.csv'));
+
+    assert.deepStrictEqual(records.map(record => record.extra), [
+        { maxTemperature: 28, minTemperature: -6 },
+        { maxTemperature: 41, minTemperature: null },
+        undefined
+    ]);
+
+    const [season] = buildSeasons(records);
+    assert.strictEqual(season.dailyData[0].minTemperature, -6);
+    assert.strictEqual(season.dailyData[1].maxTemperature, 41);
+    assert.ok(!('maxTemperature' in season.dailyData[2]));
+});
+
+test('readNoaaCsv keeps PRCP and the snow-to-liquid ratio of snow days', async () => {
+    const { records } = await readNoaaCsv(path.join(__dirname, 'fixtures', 'ghcnd-precipitation.csv'));
+    addSnowToLiquid(records);
+
+    assert.deepStrictEqual(records.map(record => record.extra), [
+        { precipitation: 0.8, snowToLiquidRatio: 15 },
+        // Too little liquid for a ratio
+        { precipitation: 0.02 },
+        { precipitation: null }
+    ]);
+
+    const [season] = buildSeasons(records);
+    assert.strictEqual(season.dailyData[0].snowToLiquidRatio, 15);
+    assert.strictEqual(season.dailyData[2].precipitation, null);
+});
+
+test('presumed zeros are counted per season and left out of coverage', () => {
+    const records = ['2024-07-29', '2024-07-30', '2024-07-31'].map((date, index) => ({
+        date,
+        snowfall: index === 0
+            ? parseObservation('0.0', ',,0,')
+            : parseObservation('0.0', 'P,,0,'),
+        snowDepth: parseObservation('0.0', 'P,,0,')
+    }));
+
+    const [season] = buildSeasons(records);
+    assert.strictEqual(season.presumedZeroDays, 2);
+    assert.strictEqual(season.dailyData[1].snowStatus, 'presumed-zero');
+    assert.strictEqual(season.dailyData[1].snowDepthStatus, 'presumed-zero');
+    assert.strictEqual(season.totalSnowfall, 0);
+    assert.strictEqual(season.coverage, 0.3); // Only Jul 29 of 366 days was measured
+});
+
+// Feature: snowfall-tracker, QC-failed observations never contribute a value
+test('Property: any quality flag yields a null value', async () => {
+    await fc.assert(
+        fc.property(
+            fc.float({ min: 0, max: 100, noNaN: true }),
+            fc.constantFrom('D', 'G', 'I', 'K', 'L', 'M', 'N', 'O', 'R', 'S', 'T', 'W', 'X', 'Z'),
+            (value, quality) => {
+                const observation = parseObservation(String(value), `,${quality},0,`);
+                assert.strictEqual(observation.value, null);
+                assert.strictEqual(observation.status, 'qc-failed');
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
+
+/**
+ * Build a parsed record the way processNoaaData() does
+ */
+function makeRecord(date, snow, multiDay = '', days = '') {
+    return {
+        date,
+        snowfall: parseObservation(snow, ''),
+        snowDepth: parseObservation('10', ''),
+        multiDaySnowfall: parseObservation(multiDay, ''),
+        accumulationDays: parseObservation(days, '')
+    };
+}
+
+test('distributeAccumulations spreads a weekend total over the missed days', () => {
+    const records = [
+        makeRecord('2021-01-08', '1.0'),
+        makeRecord('2021-01-11', '', '6.0', '3')
+    ];
+    const result = distributeAccumulations(records, 'spread');
+
+    assert.deepStrictEqual(result.map(record => record.date), ['2021-01-08', '2021-01-09', '2021-01-10', '2021-01-11']);
+    assert.deepStrictEqual(result.map(record => record.snowfall.value), [1, 2, 2, 2]);
+    assert.deepStrictEqual(result.slice(1).map(record => record.snowfall.status), ['distributed', 'distributed', 'distributed']);
+    assert.strictEqual(result[1].accumulation.reportDate, '2021-01-11');
+    assert.strictEqual(result[0].accumulation, undefined);
+});
+
+test('distributeAccumulations lumps the total on the report day and never overwrites observed days', () => {
+    const records = [
+        makeRecord('2021-07-30', '0.0'),
+        makeRecord('2021-08-01', '', '3.0', '3')
+    ];
+    const result = distributeAccumulations(records, 'lump');
+
+    assert.deepStrictEqual(result.map(record => record.snowfall.value), [0, null, 3]);
+    assert.strictEqual(result[2].snowfall.status, 'accumulated');
+    assert.strictEqual(result[1].snowfall.status, 'missing');
+    assert.throws(() => distributeAccumulations(records, 'smear'), /Unknown accumulation mode/);
+});
+
+// Feature: snowfall-tracker, spread shares always add back up to the reported total
+test('Property: spread shares sum to the multi-day total', async () => {
+    await fc.assert(
+        fc.property(
+            fc.integer({ min: 1, max: 500 }),
+            fc.integer({ min: 1, max: 10 }),
+            (tenths, days) => {
+                const total = tenths / 10;
+                const result = distributeAccumulations([makeRecord('2020-02-10', '', String(total), String(days))], 'spread');
+                const sum = result.reduce((acc, record) => acc + record.snowfall.value, 0);
+
+                assert.strictEqual(result.length, days);
+                assert.ok(Math.abs(sum - total) < 0.001, `Shares sum to ${sum}, expected ${total}`);
+                result.forEach(record => assert.ok(record.snowfall.value >= 0));
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
+
+test('parseCliArgs maps flags to processing options', () => {
+    const options = parseCliArgs([
+        '-i', 'a.csv', 'b.csv', '-o', 'out.json',
+        '--station-id', 'USC00051660', '--station-name', 'Fraser', '--elevation', '8560',
+        '--season-start', '11-01', '--precision', '2', '--accumulation', 'lump', '--dry-run'
+    ]);
+
+    assert.deepStrictEqual(options.inputs, [path.resolve('a.csv'), path.resolve('b.csv')]);
+    assert.strictEqual(options.output, path.resolve('out.json'));
+    assert.deepStrictEqual(options.station, { id: 'USC00051660', name: 'Fraser', elevation: 8560, source: undefined });
+    assert.deepStrictEqual(options.season, { name: 'custom', start: { month: 11, day: 1 }, end: { month: 10, day: 31 } });
+    assert.strictEqual(options.precision, 2);
+    assert.strictEqual(options.accumulationMode, 'lump');
+    assert.strictEqual(options.dryRun, true);
+    assert.strictEqual(options.update, false);
+    assert.strictEqual(parseCliArgs(['--update']).update, true);
+
+    assert.deepStrictEqual(parseCliArgs(['--help']), { help: true });
+    assert.throws(() => parseCliArgs(['--precision', '1.5']), /Invalid --precision/);
+    assert.throws(() => parseCliArgs(['--accumulation', 'smear']), /Invalid --accumulation/);
+    assert.throws(() => parseCliArgs(['--bogus']), /Unknown option/);
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for the provenance recorded in processed season files
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashFile, describeInput, describeSeasonParameter, buildProvenance } = require('../scripts/lib/provenance.js');
+const { resolveSeason } = require('../js/season-calendar.js');
+const { version } = require('../package.json');
+
+test('describeInput records the file name, size and SHA-256 of an input', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snowfall-provenance-'));
+    const inputPath = path.join(dir, 'input.csv');
+
+    try {
+        fs.writeFileSync(inputPath, 'abc');
+        assert.strictEqual(hashFile(inputPath), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        assert.deepStrictEqual(describeInput(inputPath, { role: 'observations', rowsRead: 0 }), {
+            file: 'input.csv',
+            bytes: 3,
+            sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+            role: 'observations',
+            rowsRead: 0
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('buildProvenance names the generator, its version and the parameters', () => {
+    const provenance = buildProvenance({
+        script: 'scripts/process-noaa-data.js',
+        parameters: { season: describeSeasonParameter(resolveSeason('11-01')) }
+    });
+
+    assert.strictEqual(provenance.generator.script, 'scripts/process-noaa-data.js');
+    assert.ok(provenance.generator.version.startsWith(version), provenance.generator.version);
+    assert.ok(!Number.isNaN(Date.parse(provenance.generatedAt)));
+    assert.deepStrictEqual(provenance.inputs, []);
+    assert.strictEqual(provenance.rows, null);
+    assert.deepStrictEqual(provenance.parameters.season, { name: 'custom', start: '11-01', end: '10-31' });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for reconciling reported snowfall with depth-derived snowfall
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const {
+    reconcileSnowfall,
+    summarizeDiscrepancies,
+    formatDiscrepancyReport
+} = require('../scripts/lib/reconcile.js');
+const { addDays } = require('../scripts/lib/seasons.js');
+const { parseCliArgs } = require('../scripts/process-noaa-data.js');
+
+/**
+ * Build a parsed record as readNoaaCsv() would
+ */
+function record(date, snow, depth, snowStatus = snow === null ? 'missing' : 'observed') {
+    return {
+        date,
+        snowfall: { value: snow, status: snowStatus, flags: {} },
+        snowDepth: { value: depth, status: depth === null ? 'missing' : 'observed', flags: {} }
+    };
+}
+
+test('reconcileSnowfall records depth-derived snowfall and flags large disagreements', () => {
+    const records = [
+        record('2024-01-01', 0, 30),
+        record('2024-01-02', 5, 34),      // Agrees within the threshold
+        record('2024-01-03', 0, 44),      // Depth jumped 10" with no reported snow
+        record('2024-01-04', 12, 44),     // 12" reported, depth did not rise
+        record('2024-01-05', null, 46),   // Missing SNOW is not compared
+        record('2024-01-06', 7, 53, 'distributed') // Multi-day totals are not compared
+    ];
+
+    const flagged = reconcileSnowfall(records, { threshold: 6 });
+
+    assert.deepStrictEqual(records.map(r => r.extra.depthSnowfall), [0, 4, 10, 0, 2, 7]);
+    assert.deepStrictEqual(records.map(r => r.extra.snowfallDiscrepancy), [0, 1, -10, 12, null, null]);
+    assert.deepStrictEqual(flagged.map(day => [day.date, day.difference, day.reason]), [
+        ['2024-01-03', -10, 'depth rise without matching reported snowfall'],
+        ['2024-01-04', 12, 'reported snowfall without a matching depth rise']
+    ]);
+    assert.strictEqual(flagged[0].season, '2023-24');
+});
+
+test('reconcileSnowfall derives each season on its own', () => {
+    const records = [record('2024-07-31', 0, 20), record('2024-08-01', 0, 30)];
+    reconcileSnowfall(records);
+
+    // Aug 1 starts a new season, so it has no previous reading to compare with
+    assert.strictEqual(records[1].extra.depthSnowfall, 0);
+});
+
+test('reconcileSnowfall compares a depth rise across an SNWD gap with the snowfall reported over the gap', () => {
+    const records = [
+        record('2024-01-01', 0, 30),
+        record('2024-01-02', 4, null),
+        record('2024-01-03', 5, null),
+        record('2024-01-04', 3, 42),      // 12" rise over three days, 12" reported over them
+        record('2024-01-05', 2, null),
+        record('2024-01-07', 6, 50),      // Jan 6 is missing from the input, so the rise is not compared
+        record('2024-01-08', null, null),
+        record('2024-01-09', 1, 58)       // The gap has no SNOW for Jan 8
+    ];
+
+    const flagged = reconcileSnowfall(records, { threshold: 6 });
+
+    assert.deepStrictEqual(records.map(r => r.extra.depthSnowfall), [0, null, null, 12, null, 8, null, 8]);
+    assert.deepStrictEqual(records.map(r => r.extra.snowfallDiscrepancy), [0, null, null, 0, null, null, null, null]);
+    assert.deepStrictEqual(flagged, []);
+});
+
+test('summarizeDiscrepancies and the CSV report', () => {
+    const records = [record('2024-01-01', 0, 30), record('2024-01-02', 2, 40), record('2024-01-03', 0, 40), record('2024-01-04', null, 41)];
+    const flagged = reconcileSnowfall(records, { threshold: 6 });
+    const dailyData = records.map(r => ({ ...r.extra }));
+
+    assert.deepStrictEqual(summarizeDiscrepancies({ dailyData }, 6), {
+        comparedDays: 3,
+        depthSnowfallTotal: 11,
+        meanAbsoluteDifference: 2.67,
+        flaggedDays: 1
+    });
+    assert.strictEqual(summarizeDiscrepancies({ dailyData: [] }).meanAbsoluteDifference, null);
+
+    assert.strictEqual(formatDiscrepancyReport(flagged),
+        'date,season,snowDepth,reportedSnowfall,depthSnowfall,difference,reason\n' +
+        '2024-01-02,2023-24,40,2,10,-8,depth rise without matching reported snowfall\n');
+});
+
+// Feature: snowfall-tracker, the discrepancy is always reported minus depth-derived snowfall
+test('Property: discrepancies are reported minus depth-derived snowfall, flagged at the threshold', async () => {
+    await fc.assert(
+        fc.property(
+            fc.array(fc.tuple(fc.integer({ min: 0, max: 30 }), fc.integer({ min: 0, max: 100 })), { minLength: 1, maxLength: 40 }),
+            fc.integer({ min: 1, max: 20 }),
+            (days, threshold) => {
+                const records = days.map(([snow, depth], i) => record(addDays('2024-01-01', i), snow, depth));
+                const flagged = reconcileSnowfall(records, { threshold });
+
+                for (const r of records) {
+                    assert.strictEqual(r.extra.snowfallDiscrepancy, Math.round((r.snowfall.value - r.extra.depthSnowfall) * 10) / 10);
+                }
+                assert.strictEqual(flagged.length, records.filter(r => Math.abs(r.extra.snowfallDiscrepancy) >= threshold).length);
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
+
+test('parseCliArgs reads discrepancy options', () => {
+    const options = parseCliArgs(['--discrepancy-report', 'flagged.csv', '--discrepancy-threshold', '4']);
+    assert.ok(options.discrepancyReport.endsWith('flagged.csv'));
+    assert.strictEqual(options.discrepancyThreshold, 4);
+    assert.strictEqual(parseCliArgs([]).discrepancyReport, null);
+    assert.throws(() => parseCliArgs(['--discrepancy-threshold', '0']), /Invalid --discrepancy-threshold/);
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the shared season calendar
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const {
+    resolveSeason,
+    getDayOfSeason,
+    getLastDayOfSeason,
+    isInSeason,
+    formatSeasonName,
+    getSeasonName,
+    getSeasonDateRange,
+    getDateOfDayOfSeason,
+    getMonthOfDayOfSeason,
+    getMonthStartDays,
+    formatShortDate,
+    describeSeason,
+    isSameSeason,
+    getDataSeason
+} = require('../js/season-calendar.js');
+
+test('resolveSeason accepts presets, MM-DD..MM-DD windows and start dates', () => {
+    assert.deepStrictEqual(resolveSeason(), { name: 'ski', start: { month: 8, day: 1 }, end: { month: 7, day: 31 } });
+    assert.deepStrictEqual(resolveSeason('water-year'), { name: 'water-year', start: { month: 10, day: 1 }, end: { month: 9, day: 30 } });
+    assert.deepStrictEqual(resolveSeason('resort'), { name: 'resort', start: { month: 11, day: 1 }, end: { month: 4, day: 30 } });
+    // A window matching a preset gets the preset's name
+    assert.strictEqual(resolveSeason('11-01..04-30').name, 'resort');
+    assert.strictEqual(resolveSeason({ start: '08-01' }).name, 'ski');
+    assert.deepStrictEqual(resolveSeason('03-01').end, { month: 2, day: 28 });
+    assert.deepStrictEqual(resolveSeason({ start: { month: 12, day: 1 }, end: '03-31' }).end, { month: 3, day: 31 });
+
+    assert.throws(() => resolveSeason('winter'), /Unknown season "winter" \(expected ski, water-year, resort/);
+    assert.throws(() => resolveSeason('13-01'), /Invalid season start "13-01"/);
+    assert.throws(() => resolveSeason('11-01..04-31'), /Invalid season end "04-31"/);
+});
+
+test('a resort season leaves summer days outside every season', () => {
+    const resort = resolveSeason('resort');
+
+    assert.strictEqual(getSeasonName('2024-07-15', resort), null);
+    assert.strictEqual(getSeasonName('2024-11-01', resort), '2024-25');
+    assert.strictEqual(getSeasonName('2025-04-30', resort), '2024-25');
+    assert.strictEqual(getSeasonName('2025-05-01', resort), null);
+    assert.strictEqual(getLastDayOfSeason(resort), 181);
+    assert.deepStrictEqual(getSeasonDateRange(2023, resort), { start: '2023-11-01', end: '2024-04-30' });
+});
+
+test('seasons within one calendar year are named by that year', () => {
+    const calendarYear = resolveSeason('01-01');
+    const summer = resolveSeason('05-01..09-30');
+
+    assert.strictEqual(formatSeasonName(2024, calendarYear), '2024');
+    assert.strictEqual(getSeasonName('2024-12-31', calendarYear), '2024');
+    assert.strictEqual(getSeasonName('2024-06-01', summer), '2024');
+    assert.strictEqual(formatSeasonName(2024), '2024-25');
+    assert.strictEqual(formatSeasonName(1999), '1999-00');
+});
+
+test('seasons ending Feb 28 include Feb 29 in leap years', () => {
+    const marchStart = resolveSeason('03-01');
+
+    assert.strictEqual(getLastDayOfSeason(marchStart), 365);
+    assert.ok(isInSeason('2024-02-29', marchStart));
+    assert.deepStrictEqual(getSeasonDateRange(2023, marchStart), { start: '2023-03-01', end: '2024-02-29' });
+    assert.deepStrictEqual(getSeasonDateRange(2024, marchStart), { start: '2024-03-01', end: '2025-02-28' });
+});
+
+test('month starts and descriptions follow the season window', () => {
+    const labels = season => getMonthStartDays(season).map(month => month.label);
+    assert.deepStrictEqual(labels(), ['Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul']);
+    assert.deepStrictEqual(labels(resolveSeason('resort')), ['Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr']);
+    // A season starting mid-month has its first month start a few weeks in, and wraps around to it
+    assert.deepStrictEqual(getMonthStartDays(resolveSeason('11-15..04-15'))[0], { dayOfSeason: 16, label: 'Dec' });
+    assert.deepStrictEqual(labels(resolveSeason('08-15')).slice(-2), ['Jul', 'Aug']);
+
+    assert.strictEqual(describeSeason(), 'Aug-Jul');
+    assert.strictEqual(describeSeason(resolveSeason('water-year')), 'Oct-Sep');
+    assert.strictEqual(describeSeason(resolveSeason('11-15..04-15')), 'Nov 15-Apr 15');
+});
+
+test('month starts fall on the first of each month in leap and non-leap seasons', () => {
+    const starts = getMonthStartDays();
+    assert.deepStrictEqual(starts.map(month => month.dayOfSeason), [0, 31, 61, 92, 122, 153, 184, 213, 244, 274, 305, 335]);
+
+    for (const startYear of [2022, 2023]) {
+        for (const { dayOfSeason, label } of starts) {
+            const date = getDateOfDayOfSeason(startYear, dayOfSeason);
+            assert.strictEqual(formatShortDate(date), `${label} 1`);
+            assert.strictEqual(getDayOfSeason(date), dayOfSeason);
+        }
+    }
+});
+
+test('getDateOfDayOfSeason names the calendar date of a day of season', () => {
+    assert.strictEqual(getDateOfDayOfSeason(2023, 166), '2024-01-14');
+    assert.strictEqual(formatShortDate(getDateOfDayOfSeason(2023, 166)), 'Jan 14');
+    // Day 212 is Feb 29 in leap seasons and has no date otherwise
+    assert.strictEqual(getDateOfDayOfSeason(2023, 212), '2024-02-29');
+    assert.strictEqual(getDateOfDayOfSeason(2022, 212), null);
+    assert.strictEqual(getDateOfDayOfSeason(2022, 213), '2023-03-01');
+    assert.strictEqual(getDateOfDayOfSeason(2022, 365), '2023-07-31');
+    assert.strictEqual(getDateOfDayOfSeason(2024, 59, resolveSeason('01-01')), '2024-02-29');
+
+    // Sep 30 and Nov 1 are not October
+    assert.strictEqual(getMonthOfDayOfSeason(60), 'Sep');
+    assert.strictEqual(getMonthOfDayOfSeason(61), 'Oct');
+    assert.strictEqual(getMonthOfDayOfSeason(92), 'Nov');
+    assert.strictEqual(getMonthOfDayOfSeason(212), 'Feb');
+});
+
+test('getDataSeason reads the window a data file was built with', () => {
+    assert.deepStrictEqual(getDataSeason({}), resolveSeason());
+    assert.deepStrictEqual(getDataSeason({ seasonStart: '10-01' }), resolveSeason('water-year'));
+    assert.deepStrictEqual(getDataSeason({ seasonStart: '11-01', seasonEnd: '04-30' }), resolveSeason('resort'));
+});
+
+test('isSameSeason compares windows, not how they were named', () => {
+    assert.strictEqual(isSameSeason(getDataSeason({ seasonStart: '08-01', seasonEnd: '07-31' }), resolveSeason('ski')), true);
+    assert.strictEqual(isSameSeason(resolveSeason('11-01..04-30'), resolveSeason('resort')), true);
+    assert.strictEqual(isSameSeason(resolveSeason('water-year'), resolveSeason('ski')), false);
+    assert.strictEqual(isSameSeason(resolveSeason('11-01..04-30'), resolveSeason('11-01..05-31')), false);
+});
+
+// Feature: snowfall-tracker, every day in a season window is inside the season's day range
+test('Property: days in a season window run from 0 to the last day of season', async () => {
+    await fc.assert(
+        fc.property(
+            fc.integer({ min: 1, max: 12 }), fc.integer({ min: 1, max: 28 }),
+            fc.integer({ min: 1, max: 12 }), fc.integer({ min: 1, max: 28 }),
+            fc.integer({ min: 1950, max: 2100 }),
+            (startMonth, startDay, endMonth, endDay, year) => {
+                const season = resolveSeason({ start: { month: startMonth, day: startDay }, end: { month: endMonth, day: endDay } });
+                const { start, end } = getSeasonDateRange(year, season);
+                const lastDay = getLastDayOfSeason(season);
+
+                assert.strictEqual(getDayOfSeason(start, season), 0);
+                assert.ok(getDayOfSeason(end, season) <= lastDay);
+                assert.ok(isInSeason(end, season));
+                assert.strictEqual(getSeasonName(start, season), formatSeasonName(year, season));
+                assert.strictEqual(getSeasonName(end, season), formatSeasonName(year, season));
+                assert.strictEqual(getDateOfDayOfSeason(year, getDayOfSeason(end, season), season), end);
+            }
+        ),
+        { numRuns: 300 }
+    );
+});
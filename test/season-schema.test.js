@@ -0,0 +1,123 @@
+/**
+ * Tests for the season data file schema
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    SEASON_DATA_SCHEMA_VERSION,
+    validateSeasonData,
+    assertValidSeasonData
+} = require('../js/season-schema.js');
+const { buildSeasons, writeSeasonFile } = require('../scripts/lib/seasons.js');
+const { generateHistoricalData } = require('../scripts/fetch-snotel-data.js');
+
+/**
+ * Build a valid season file with one short season
+ */
+function seasonFile() {
+    const record = (date, snow) => ({
+        date,
+        snowfall: { value: snow, status: snow === null ? 'missing' : 'observed', flags: { source: '0' } },
+        snowDepth: { value: 10, status: 'observed', flags: {} }
+    });
+
+    return {
+        schemaVersion: SEASON_DATA_SCHEMA_VERSION,
+        stationId: 'USC00059175',
+        units: 'inches',
+        seasonStart: '08-01',
+        seasonEnd: '07-31',
+        seasons: buildSeasons([record('2024-01-13', 2), record('2024-01-14', null), record('2024-01-15', 1.5)])
+    };
+}
+
+test('files written by the processors match the schema', () => {
+    assert.deepStrictEqual(validateSeasonData(seasonFile()), []);
+    assert.deepStrictEqual(validateSeasonData(generateHistoricalData({ firstYear: 2020, lastYear: 2021 })), []);
+});
+
+test('problems name the season and record at fault', () => {
+    const data = seasonFile();
+    delete data.seasons[0].dailyData[1].cumulativeSnowfall;
+    data.seasons[0].dailyData[2].dayOfSeason = '168';
+    data.seasons[0].dailyData[0].snowStatus = 'guessed';
+
+    assert.deepStrictEqual(validateSeasonData(data), [
+        'Season 2023-24, record 2024-01-13: snowStatus must be one of observed, trace, presumed-zero, missing, qc-failed, ' +
+            'distributed, accumulated, imputed, derived (got "guessed")',
+        'Season 2023-24, record 2024-01-14: cumulativeSnowfall is missing',
+        'Season 2023-24, record 2024-01-15: dayOfSeason must be a whole number (got "168")'
+    ]);
+
+    const unnamed = seasonFile();
+    delete unnamed.seasons[0].season;
+    unnamed.seasons[0].dailyData[0] = null;
+    assert.deepStrictEqual(validateSeasonData(unnamed), [
+        'Season #1: season is missing',
+        'Season #1, record #1 must be an object (got null)'
+    ]);
+});
+
+test('top-level problems, versions and long problem lists', () => {
+    assert.deepStrictEqual(validateSeasonData([]), ['The file must be an object (got an array)']);
+    assert.deepStrictEqual(validateSeasonData({ schemaVersion: 1, units: 'cm', seasons: [], seasonStart: '8-1' }), [
+        'units must be one of inches (got "cm")',
+        'seasonStart must look like "08-01" (got "8-1")'
+    ]);
+    assert.deepStrictEqual(validateSeasonData({ units: 'inches', seasons: [] }), ['schemaVersion is missing']);
+    assert.deepStrictEqual(validateSeasonData({ schemaVersion: SEASON_DATA_SCHEMA_VERSION + 1, seasons: null }), [
+        `The file uses schema version ${SEASON_DATA_SCHEMA_VERSION + 1}; this version reads up to ${SEASON_DATA_SCHEMA_VERSION}`
+    ]);
+
+    const data = seasonFile();
+    data.seasons[0].dailyData.forEach(day => { day.cumulativeSnowfall = -1; });
+    data.seasons[0].totalSnowfall = -1;
+    const problems = validateSeasonData(data, { maxProblems: 2 });
+    assert.strictEqual(problems.length, 3);
+    assert.strictEqual(problems[0], 'Season 2023-24: totalSnowfall must be at least 0 (got -1)');
+    assert.strictEqual(problems[2], '... and 2 more');
+});
+
+test('writeSeasonFile refuses output that does not match the schema', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snowfall-schema-'));
+    const outputPath = path.join(dir, 'out.json');
+
+    try {
+        writeSeasonFile(outputPath, seasonFile());
+        assert.deepStrictEqual(validateSeasonData(JSON.parse(fs.readFileSync(outputPath, 'utf8'))), []);
+
+        const invalid = seasonFile();
+        invalid.seasons[0].dailyData[0].date = '01/13/2024';
+        fs.rmSync(outputPath);
+        assert.throws(() => writeSeasonFile(outputPath, invalid),
+            /does not match the season data schema \(version 1\): Season 2023-24, record 01\/13\/2024: date must look like "2024-01-14"/);
+        assert.ok(!fs.existsSync(outputPath), 'Nothing is written');
+        assert.throws(() => assertValidSeasonData({}, 'Test file'), /^Error: Test file does not match/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the optional provenance block is checked when present', () => {
+    const data = seasonFile();
+    data.provenance = {
+        generator: { script: 'scripts/process-noaa-data.js', version: '1.0.0' },
+        generatedAt: '2026-10-19T06:30:14.183Z',
+        inputs: [{ file: 'a.csv', bytes: 10, sha256: 'e4c2ab5b48823952c60b8a93d40ec8639245430d7d5d72e39091c3b60c175f14' }],
+        rows: { read: 2, skipped: { 'other station': 1 }, records: 1 },
+        parameters: { precision: 1 }
+    };
+    assert.deepStrictEqual(validateSeasonData(data), []);
+
+    data.provenance.rows = null;
+    assert.deepStrictEqual(validateSeasonData(data), []);
+
+    data.provenance.inputs[0].sha256 = 'abc';
+    assert.strictEqual(validateSeasonData(data).length, 1);
+    assert.match(validateSeasonData(data)[0], /sha256/);
+});
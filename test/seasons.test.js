@@ -0,0 +1,242 @@
+/**
+ * Tests for the season helpers shared by the processing scripts
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DAYS_IN_SEASON_CALENDAR,
+    parseDate,
+    parseSeasonStart,
+    parseSeasonOption,
+    resolveSeason,
+    getSkiSeason,
+    getDayOfSeason,
+    buildSeasons,
+    classifySeason,
+    addDays,
+    formatOutputJson,
+    updateStationManifest
+} = require('../scripts/lib/seasons.js');
+
+test('parseSeasonStart accepts MM-DD and rejects impossible dates', () => {
+    assert.deepStrictEqual(parseSeasonStart('10-01'), { month: 10, day: 1 });
+    assert.deepStrictEqual(parseSeasonStart('8-1'), { month: 8, day: 1 });
+    assert.throws(() => parseSeasonStart('02-29'), /Invalid season start/);
+    assert.throws(() => parseSeasonStart('13-01'), /Invalid season start/);
+    assert.throws(() => parseSeasonStart('Aug 1'), /Invalid season start/);
+});
+
+test('parseSeasonOption reads --season presets, windows and --season-start', () => {
+    assert.deepStrictEqual(parseSeasonOption({}), resolveSeason('ski'));
+    assert.deepStrictEqual(parseSeasonOption({ season: 'resort' }).end, { month: 4, day: 30 });
+    assert.deepStrictEqual(parseSeasonOption({ season: '11-15..04-15' }), {
+        name: 'custom', start: { month: 11, day: 15 }, end: { month: 4, day: 15 }
+    });
+    assert.deepStrictEqual(parseSeasonOption({ 'season-start': '10-01' }), resolveSeason('water-year'));
+    assert.throws(() => parseSeasonOption({ season: 'winter' }), /Unknown season "winter"/);
+    assert.throws(() => parseSeasonOption({ season: '11-01..02-30' }), /Invalid season end/);
+    assert.throws(() => parseSeasonOption({ season: 'ski', 'season-start': '08-01' }), /either --season or --season-start/);
+});
+
+test('getSkiSeason and getDayOfSeason follow a configured season start', () => {
+    const waterYear = resolveSeason('water-year');
+
+    assert.strictEqual(getSkiSeason(parseDate('2020-09-30'), waterYear), '2019-20');
+    assert.strictEqual(getSkiSeason(parseDate('2020-10-01'), waterYear), '2020-21');
+    assert.strictEqual(getDayOfSeason(parseDate('2020-10-01'), waterYear), 0);
+    assert.strictEqual(getSkiSeason(parseDate('2020-08-01')), '2020-21');
+    assert.strictEqual(getDayOfSeason(parseDate('2020-08-11')), 10);
+});
+
+test('getDayOfSeason gives Feb 29 its own day so later dates line up across seasons', () => {
+    assert.strictEqual(getDayOfSeason('2024-02-28'), 211);
+    assert.strictEqual(getDayOfSeason('2024-02-29'), 212);
+    assert.strictEqual(getDayOfSeason('2024-03-01'), 213);
+    assert.strictEqual(getDayOfSeason('2023-03-01'), 213);
+    assert.strictEqual(getDayOfSeason('2023-02-28'), 211);
+    assert.strictEqual(getDayOfSeason('2023-07-31'), 365);
+
+    // Seasons starting in January or February contain the Feb 29 of their start year
+    const calendarYear = resolveSeason('01-01');
+    assert.strictEqual(getDayOfSeason('2024-03-01', calendarYear), 60);
+    assert.strictEqual(getDayOfSeason('2023-03-01', calendarYear), 60);
+    assert.strictEqual(getDayOfSeason('2023-12-31', calendarYear), 365);
+});
+
+// Feature: snowfall-tracker, every calendar date has one day of season, whatever the year or time zone
+test('Property: day of season depends only on month and day, over many years and season starts', async () => {
+    const startDates = ['08-01', '10-01', '11-01', '01-01', '02-15', '03-01', '07-31'].map(start => resolveSeason(start));
+
+    await fc.assert(
+        fc.property(
+            fc.integer({ min: 1900, max: 2200 }),
+            fc.integer({ min: 0, max: 365 }),
+            fc.constantFrom(...startDates),
+            (startYear, offset, season) => {
+                const seasonFirstDay = new Date(Date.UTC(startYear, season.start.month - 1, season.start.day));
+                const date = new Date(seasonFirstDay.getTime() + offset * 24 * 60 * 60 * 1000);
+                const dateStr = date.toISOString().slice(0, 10);
+                if (getSkiSeason(date, season) !== getSkiSeason(seasonFirstDay, season)) {
+                    return; // 366 days on from the start of a non-leap season
+                }
+
+                const day = getDayOfSeason(date, season);
+                assert.ok(day >= 0 && day < DAYS_IN_SEASON_CALENDAR);
+                assert.strictEqual(getDayOfSeason(dateStr, season), day);
+
+                // Only a season without Feb 29 shifts the count, and only after Feb 28
+                const februaryYear = season.start.month <= 2 ? startYear : startYear + 1;
+                const hasLeapDay = new Date(Date.UTC(februaryYear, 1, 29)).getUTCDate() === 29;
+                const feb28 = getDayOfSeason(`${februaryYear}-02-28`, season);
+                assert.strictEqual(day, offset + (!hasLeapDay && offset > feb28 ? 1 : 0));
+
+                // The same month and day falls on the same day of season in a season 1-8 years away
+                if (dateStr.slice(5) !== '02-29') {
+                    for (const years of [1, 4, 7]) {
+                        const other = `${date.getUTCFullYear() + years}-${dateStr.slice(5)}`;
+                        assert.strictEqual(getDayOfSeason(other, season), day);
+                    }
+                }
+            }
+        ),
+        { numRuns: 500 }
+    );
+});
+
+test('getDayOfSeason does not depend on the local time zone', () => {
+    const { execFileSync } = require('child_process');
+    const script = "const s = require('./scripts/lib/seasons.js');" +
+        "console.log(['2024-03-10', '2024-11-03', '2024-02-29', '2025-03-30'].map(d => s.getDayOfSeason(s.parseDate(d))).join(','))";
+
+    const results = ['UTC', 'America/Denver', 'Pacific/Kiritimati', 'Pacific/Pago_Pago'].map(tz => execFileSync(
+        process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), env: { ...process.env, TZ: tz } }
+    ).toString().trim());
+
+    assert.deepStrictEqual(new Set(results).size, 1, results.join(' | '));
+    assert.strictEqual(results[0], '222,94,212,242');
+});
+
+test('formatOutputJson writes one daily record per line and round-trips', () => {
+    const output = {
+        source: 'Test',
+        seasons: [{ season: '2020-21', dailyData: [{ date: '2020-08-01', note: '{"x"}' }, { date: '2020-08-02' }] }]
+    };
+    const json = formatOutputJson(output);
+
+    assert.deepStrictEqual(JSON.parse(json), output);
+    assert.ok(json.includes('\n        {"date":"2020-08-02"}\n'));
+});
+
+test('buildSeasons splits records at the season start and accumulates observed snow', () => {
+    const observation = (value, status = 'observed') => ({ value, status, flags: {} });
+    const records = [
+        { date: '2021-08-02', snowfall: observation(0), snowDepth: observation(0) },
+        { date: '2021-07-31', snowfall: observation(1.5), snowDepth: observation(2), extra: { snowWaterEquivalent: 0.3 } },
+        { date: '2021-07-30', snowfall: observation(null, 'missing'), snowDepth: observation(0) },
+        { date: '2021-07-29', snowfall: observation(2.25), snowDepth: observation(0) }
+    ];
+
+    const seasons = buildSeasons(records, { precision: 1 });
+
+    assert.deepStrictEqual(seasons.map(season => season.season), ['2020-21', '2021-22']);
+    assert.deepStrictEqual(seasons[0].dailyData.map(record => record.cumulativeSnowfall), [2.3, 2.3, 3.8]);
+    assert.strictEqual(seasons[0].totalSnowfall, 3.8);
+    assert.strictEqual(seasons[0].missingDays, 1);
+    assert.strictEqual(seasons[0].dailyData[2].snowWaterEquivalent, 0.3);
+    assert.strictEqual(seasons[1].dailyData[0].dayOfSeason, 1);
+});
+
+test('buildSeasons tags seasons as complete, partial-historical or in-progress', () => {
+    const observation = (value, status = 'observed') => ({ value, status, flags: {} });
+    const days = (start, count, snow = 0) => Array.from({ length: count }, (_, i) => ({
+        date: addDays(start, i),
+        snowfall: observation(snow === null ? null : snow, snow === null ? 'missing' : 'observed'),
+        snowDepth: observation(0)
+    }));
+    const records = [
+        ...days('2020-07-01', 31),      // Only the last month of 2019-20
+        ...days('2020-08-01', 300),     // 2020-21 with the rest missing
+        ...days('2021-05-28', 65, null),
+        ...days('2021-08-01', 365),     // 2021-22 complete
+        ...days('2022-08-01', 40)       // 2022-23 still running
+    ];
+
+    const seasons = buildSeasons(records, { asOf: '2022-09-10' });
+
+    assert.deepStrictEqual(seasons.map(season => [season.season, season.status, season.coverage]), [
+        ['2019-20', 'partial-historical', 8.5],
+        ['2020-21', 'partial-historical', 82.2],
+        ['2021-22', 'complete', 100],
+        ['2022-23', 'in-progress', 100]
+    ]);
+
+    // The coverage threshold is configurable
+    assert.strictEqual(buildSeasons(records, { minCoverage: 80 })[1].status, 'complete');
+});
+
+test('buildSeasons leaves out records outside a resort season window', () => {
+    const records = Array.from({ length: 365 }, (_, i) => ({
+        date: addDays('2023-08-01', i),
+        snowfall: { value: 1, status: 'observed', flags: {} },
+        snowDepth: { value: 0, status: 'observed', flags: {} }
+    }));
+
+    const [season] = buildSeasons(records, { season: resolveSeason('resort') });
+
+    assert.strictEqual(season.season, '2023-24');
+    assert.strictEqual(season.dailyData[0].date, '2023-11-01');
+    assert.strictEqual(season.dailyData[0].dayOfSeason, 0);
+    assert.strictEqual(season.dailyData[season.dailyData.length - 1].date, '2024-04-30');
+    // Nov 1 - Apr 30 of a leap season
+    assert.strictEqual(season.totalSnowfall, 182);
+    assert.strictEqual(season.status, 'complete');
+    assert.strictEqual(season.coverage, 100);
+});
+
+test('classifySeason measures the season in progress up to the end of the data', () => {
+    const dailyData = [{ date: '2024-08-01', dailySnowfall: 0 }, { date: '2024-08-03', dailySnowfall: 1 }];
+
+    assert.deepStrictEqual(classifySeason(dailyData, 2024, { dataEnd: '2024-08-04', asOf: '2024-08-05' }), { status: 'in-progress', coverage: 50 });
+    assert.deepStrictEqual(classifySeason(dailyData, 2024, { dataEnd: '2025-08-01', asOf: '2025-08-01' }), { status: 'partial-historical', coverage: 0.5 });
+});
+
+test('classifySeason treats the last season of a station that stopped reporting as partial once its window has passed', () => {
+    const dailyData = [{ date: '2024-08-01', dailySnowfall: 0 }, { date: '2024-08-03', dailySnowfall: 1 }];
+
+    assert.deepStrictEqual(classifySeason(dailyData, 2024, { dataEnd: '2024-08-04', asOf: '2025-07-31' }), { status: 'in-progress', coverage: 50 });
+    assert.deepStrictEqual(classifySeason(dailyData, 2024, { dataEnd: '2024-08-04', asOf: '2025-08-01' }), { status: 'partial-historical', coverage: 0.5 });
+    assert.strictEqual(buildSeasons([
+        { date: '2024-08-01', snowfall: { value: 0, status: 'observed', flags: {} }, snowDepth: { value: 0, status: 'observed', flags: {} } }
+    ], { asOf: '2026-01-15' })[0].status, 'partial-historical');
+});
+
+test('updateStationManifest adds new stations and keeps hand-written fields of existing ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snowfall-manifest-'));
+    const manifestPath = path.join(dir, 'stations.json');
+
+    try {
+        fs.writeFileSync(manifestPath, JSON.stringify({
+            defaultStation: 'USC00059175',
+            stations: [{ id: 'USC00059175', name: 'Winter Park', file: 'snowfall-data.json', attribution: 'Custom' }]
+        }));
+
+        updateStationManifest(manifestPath, path.join(dir, 'snowfall-data.json'), { id: 'USC00059175', name: 'Winter Park', elevation: 9100 }, 'NOAA GHCND');
+        const manifest = updateStationManifest(manifestPath, path.join(dir, 'fraser', 'fraser.json'), { id: 'USC00051660', name: 'Fraser', elevation: 8560 }, 'NOAA GHCND');
+
+        assert.strictEqual(manifest.defaultStation, 'USC00059175');
+        assert.deepStrictEqual(manifest.stations.map(station => station.id), ['USC00059175', 'USC00051660']);
+        assert.strictEqual(manifest.stations[0].attribution, 'Custom');
+        assert.strictEqual(manifest.stations[0].elevation, 9100);
+        assert.strictEqual(manifest.stations[1].file, 'fraser/fraser.json');
+        assert.strictEqual(manifest.stations[1].network, 'NOAA GHCND');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')), manifest);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
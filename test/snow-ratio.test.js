@@ -0,0 +1,119 @@
+/**
+ * Tests for snow-to-liquid ratios
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const {
+    MIN_RATIO_PRECIPITATION,
+    getSnowToLiquidRatio,
+    addSnowToLiquid,
+    summarizeSnowToLiquid
+} = require('../scripts/lib/snow-ratio.js');
+const { buildSeasons } = require('../scripts/lib/seasons.js');
+
+/**
+ * Build an observation as parseObservation() would
+ */
+function observation(value, status = value === null ? 'missing' : 'observed') {
+    return { value, status, flags: {} };
+}
+
+/**
+ * Build a parsed record with snowfall and PRCP
+ */
+function record(date, snow, precipitation, snowStatus) {
+    return {
+        date,
+        snowfall: observation(snow, snowStatus),
+        snowDepth: observation(null),
+        precipitation: observation(precipitation)
+    };
+}
+
+test('getSnowToLiquidRatio only rates days with measured snow and enough liquid', () => {
+    assert.strictEqual(getSnowToLiquidRatio(observation(10), observation(0.8)), 12.5);
+    assert.strictEqual(getSnowToLiquidRatio(observation(1), observation(0.07)), 14.3);
+    assert.strictEqual(getSnowToLiquidRatio(observation(2), observation(MIN_RATIO_PRECIPITATION)), 40);
+
+    assert.strictEqual(getSnowToLiquidRatio(observation(0), observation(0.5)), null);
+    assert.strictEqual(getSnowToLiquidRatio(observation(1), observation(0.04)), null);
+    assert.strictEqual(getSnowToLiquidRatio(observation(1), observation(null)), null);
+    assert.strictEqual(getSnowToLiquidRatio(observation(4, 'distributed'), observation(0.4)), null);
+    assert.strictEqual(getSnowToLiquidRatio(observation(4, 'imputed'), observation(0.4)), null);
+    assert.strictEqual(getSnowToLiquidRatio(observation(4), undefined), null);
+});
+
+test('addSnowToLiquid copies PRCP into the daily records and skips records without it', () => {
+    const records = [
+        record('2023-12-01', 6, 0.5),
+        record('2023-12-02', 0, 0.3),
+        { date: '2023-12-03', snowfall: observation(0), snowDepth: observation(null), extra: { maxTemperature: 30 } }
+    ];
+
+    addSnowToLiquid(records);
+
+    assert.deepStrictEqual(records.map(entry => entry.extra), [
+        { precipitation: 0.5, snowToLiquidRatio: 12 },
+        { precipitation: 0.3 },
+        { maxTemperature: 30 }
+    ]);
+});
+
+test('summarizeSnowToLiquid averages by total snow over total liquid, per season and month', () => {
+    const [season] = buildSeasons(addSnowToLiquid([
+        record('2023-12-01', 10, 1),
+        record('2023-12-02', 1, 0.05),
+        record('2023-12-03', 0, 0.25),
+        record('2024-01-05', 6, 0.3),
+        record('2024-01-06', null, null)
+    ]));
+
+    assert.deepStrictEqual(summarizeSnowToLiquid(season), {
+        totalPrecipitation: 1.6,
+        snowToLiquid: {
+            ratio: 12.6,
+            snowDays: 3,
+            months: [
+                { month: '2023-12', ratio: 10.5, snowDays: 2 },
+                { month: '2024-01', ratio: 20, snowDays: 1 }
+            ]
+        }
+    });
+});
+
+test('summarizeSnowToLiquid reports no precipitation for stations without PRCP', () => {
+    const [season] = buildSeasons([
+        { date: '2023-12-01', snowfall: observation(5), snowDepth: observation(null) }
+    ]);
+
+    assert.deepStrictEqual(summarizeSnowToLiquid(season), {
+        totalPrecipitation: null,
+        snowToLiquid: { ratio: null, snowDays: 0, months: [] }
+    });
+});
+
+// Feature: snowfall-tracker, the season ratio lies between the lowest and highest daily ratio
+test('Property: the season snow-to-liquid ratio is bounded by the daily ratios', async () => {
+    await fc.assert(
+        fc.property(
+            fc.array(fc.record({
+                snow: fc.integer({ min: 1, max: 300 }).map(tenths => tenths / 10),
+                liquid: fc.integer({ min: 5, max: 300 }).map(hundredths => hundredths / 100)
+            }), { minLength: 1, maxLength: 60 }),
+            (days) => {
+                const records = days.map((day, index) => record(`2023-${String(11 + Math.floor(index / 30)).padStart(2, '0')}-${String(index % 30 + 1).padStart(2, '0')}`, day.snow, day.liquid));
+                const [season] = buildSeasons(addSnowToLiquid(records));
+                const { snowToLiquid } = summarizeSnowToLiquid(season);
+                const dailyRatios = days.map(day => day.snow / day.liquid);
+
+                assert.strictEqual(snowToLiquid.snowDays, days.length);
+                assert.ok(snowToLiquid.ratio >= Math.min(...dailyRatios) - 0.05);
+                assert.ok(snowToLiquid.ratio <= Math.max(...dailyRatios) + 0.05);
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
@@ -6,7 +6,15 @@
 const { test } = require('node:test');
 const assert = require('node:assert');
 const fc = require('fast-check');
-const { calculateDailySnowfall, calculateCumulative } = require('../js/snowfall-calculations.js');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+    calculateDailySnowfall,
+    calculateCumulative,
+    resolveSnowfallPolicies,
+    describeSnowfallEstimator
+} = require('../js/snowfall-calculations.js');
 
 // Property 1: Daily Snowfall Calculation
 // Feature: snowfall-tracker, Property 1: Daily snowfall calculation from snow depth changes
@@ -155,4 +163,105 @@ test('Edge cases: Empty and single-element arrays', () => {
 
     // Two elements with increase (snowfall)
     assert.deepStrictEqual(calculateDailySnowfall([5, 10]), [0, 5]);
-});
\ No newline at end of file
+});
+test('First-day policy: zero by default, whole depth on request', () => {
+    assert.deepStrictEqual(calculateDailySnowfall([8, 10, 9]), [0, 2, 0]);
+    assert.deepStrictEqual(calculateDailySnowfall([8, 10, 9], { firstDay: 'depth' }), [8, 2, 0]);
+    // The first reading is the first day that has one
+    assert.deepStrictEqual(calculateDailySnowfall([null, 8, 10], { firstDay: 'depth' }), [null, 8, 2]);
+});
+
+test('Missing-depth policies', () => {
+    const depths = [10, null, 14, null, null, 12];
+
+    assert.deepStrictEqual(calculateDailySnowfall(depths), [0, null, 4, null, null, 0]);
+    assert.deepStrictEqual(calculateDailySnowfall(depths, { missingDepth: 'carry' }), [0, 0, 4, 0, 0, 0]);
+    assert.deepStrictEqual(calculateDailySnowfall(depths, { missingDepth: 'zero' }), [0, 0, 14, 0, 0, 12]);
+    assert.deepStrictEqual(calculateCumulative(calculateDailySnowfall(depths)), [0, 0, 4, 4, 4, 4]);
+});
+
+test('Rounding policy applies to daily values and cumulative totals', () => {
+    assert.deepStrictEqual(calculateDailySnowfall([0.1, 0.3, 0.64], { precision: 1 }), [0, 0.2, 0.3]);
+    assert.deepStrictEqual(calculateCumulative([0.1, 0.2, 0.3]), [0.1, 0.30000000000000004, 0.6000000000000001]);
+    assert.deepStrictEqual(calculateCumulative([0.1, 0.2, 0.3], { precision: 1 }), [0.1, 0.3, 0.6]);
+});
+
+test('Unknown policies and values are rejected', () => {
+    assert.throws(() => calculateDailySnowfall([1, 2], { firstDay: 'first' }), /Invalid firstDay policy "first"/);
+    assert.throws(() => calculateDailySnowfall([1, 2], { missing: 'skip' }), /Unknown snowfall policy "missing"/);
+    assert.throws(() => resolveSnowfallPolicies({ precision: -1 }), /Invalid precision policy/);
+    assert.throws(() => resolveSnowfallPolicies({ settlingRate: 1 }), /Invalid settlingRate policy/);
+    assert.deepStrictEqual(resolveSnowfallPolicies(), {
+        firstDay: 'zero', missingDepth: 'skip', precision: null, estimator: 'naive', settlingRate: 0.02
+    });
+});
+
+test('Settling estimator adds back the compaction of the previous reading', () => {
+    const policies = { estimator: 'settling', settlingRate: 0.1, precision: 2 };
+
+    assert.deepStrictEqual(calculateDailySnowfall([10, 10, 14, 12], policies), [0, 1, 5, 0]);
+    // Snow smaller than the day's compaction still counts
+    assert.deepStrictEqual(calculateDailySnowfall([10, 10, 14, 12.8], policies), [0, 1, 5, 0.2]);
+    // Compaction compounds over days without a reading
+    assert.deepStrictEqual(calculateDailySnowfall([10, null, 14], policies), [0, null, 5.9]);
+    // ...and over dates missing from the series
+    assert.deepStrictEqual(calculateDailySnowfall([10, 14], policies, ['2024-01-01', '2024-01-03']), [0, 5.9]);
+    assert.deepStrictEqual(calculateDailySnowfall([10, 14], policies, ['2024-01-01', '2024-01-02']), [0, 5]);
+    assert.deepStrictEqual(calculateDailySnowfall([10, 14], { ...policies, settlingRate: 0 }), calculateDailySnowfall([10, 14]));
+
+    assert.deepStrictEqual(describeSnowfallEstimator(policies), {
+        name: 'settling', firstDay: 'zero', missingDepth: 'skip', precision: 2, settlingRate: 0.1
+    });
+    assert.deepStrictEqual(describeSnowfallEstimator(), { name: 'naive', firstDay: 'zero', missingDepth: 'skip', precision: null });
+});
+
+test('Property: the settling estimator never reports less than the naive rule', async () => {
+    await fc.assert(
+        fc.property(
+            fc.array(fc.option(fc.float({ min: 0, max: 200, noNaN: true }), { nil: null }), { maxLength: 60 }),
+            fc.float({ min: 0, max: Math.fround(0.2), noNaN: true }),
+            (depths, settlingRate) => {
+                const naive = calculateDailySnowfall(depths);
+                const settling = calculateDailySnowfall(depths, { estimator: 'settling', settlingRate });
+
+                naive.forEach((value, i) => {
+                    if (value === null) {
+                        assert.strictEqual(settling[i], null);
+                    } else {
+                        assert.ok(settling[i] >= value, `Day ${i}: ${settling[i]} < ${value}`);
+                    }
+                });
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
+
+// The browser loads the same file as a plain script; results must match Node exactly
+test('Browser and Node load the same engine and compute identical seasons', async () => {
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js', 'snowfall-calculations.js'), 'utf8');
+    const window = {};
+    vm.runInNewContext(code, { window });
+
+    await fc.assert(
+        fc.property(
+            fc.array(fc.option(fc.float({ min: 0, max: 200, noNaN: true }), { nil: null }), { maxLength: 60 }),
+            fc.record({
+                firstDay: fc.constantFrom('zero', 'depth'),
+                missingDepth: fc.constantFrom('skip', 'carry', 'zero'),
+                precision: fc.constantFrom(null, 0, 1, 2),
+                estimator: fc.constantFrom('naive', 'settling')
+            }),
+            (depths, policies) => {
+                const node = calculateDailySnowfall(depths, policies);
+                const browser = window.calculateDailySnowfall(depths, policies);
+                assert.deepStrictEqual(Array.from(browser), node);
+                assert.deepStrictEqual(
+                    Array.from(window.calculateCumulative(browser, { precision: policies.precision })),
+                    calculateCumulative(node, { precision: policies.precision })
+                );
+            }
+        ),
+        { numRuns: 100 }
+    );
+});
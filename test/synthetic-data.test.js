@@ -0,0 +1,114 @@
+/**
+ * Tests for the seeded synthetic season generator
+ * Feature: snowfall-tracker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const path = require('path');
+const {
+    WINTER_PARK_PROFILE,
+    loadClimateProfile,
+    createRandom,
+    isLeapSeason,
+    generateSeasonDepths
+} = require('../scripts/lib/synthetic-data.js');
+const {
+    generateSeasonData,
+    generateHistoricalData,
+    parseCliArgs
+} = require('../scripts/fetch-snotel-data.js');
+
+test('createRandom returns the same sequence for the same seed', () => {
+    fc.assert(fc.property(fc.integer({ min: 0, max: 0xFFFFFFFF }), (seed) => {
+        const a = createRandom(seed);
+        const b = createRandom(seed);
+        for (let i = 0; i < 20; i++) {
+            const value = a();
+            assert.strictEqual(value, b());
+            assert.ok(value >= 0 && value < 1);
+        }
+    }), { numRuns: 100 });
+});
+
+test('generateSeasonData is deterministic per seed and independent of other seasons', () => {
+    assert.deepStrictEqual(generateSeasonData(2020, { seed: 7 }), generateSeasonData(2020, { seed: 7 }));
+    assert.notDeepStrictEqual(generateSeasonData(2020, { seed: 7 }), generateSeasonData(2020, { seed: 8 }));
+
+    const history = generateHistoricalData({ seed: 7, firstYear: 2018, lastYear: 2021 });
+    const single = generateHistoricalData({ seed: 7, firstYear: 2020, lastYear: 2020 });
+    assert.deepStrictEqual(history.seasons.find(season => season.startYear === 2020).dailyData.map(day => day.snowDepth),
+        single.seasons[0].dailyData.map(day => day.snowDepth));
+    assert.deepStrictEqual(generateHistoricalData({ seed: 7, firstYear: 2018, lastYear: 2021 }), history);
+});
+
+test('simulated output is labelled as simulated, not as a SNOTEL station', () => {
+    const output = generateHistoricalData({ seed: 7, firstYear: 2020, lastYear: 2020 });
+
+    assert.strictEqual(output.stationId, 'simulated');
+    assert.strictEqual(output.source, 'Simulated data (profile winter-park), not an observed station record');
+});
+
+test('typical seasons cover Aug 1 - Jul 31 with no snow in summer', () => {
+    fc.assert(fc.property(fc.integer({ min: 0, max: 1e6 }), fc.integer({ min: 1990, max: 2040 }), (seed, year) => {
+        const days = generateSeasonData(year, { seed });
+        assert.strictEqual(days[0].date, `${year}-08-01`);
+        assert.strictEqual(days[days.length - 1].date, `${year + 1}-07-31`);
+        days.forEach((day, index) => {
+            // Seasons without Feb 29 skip its day of season (212), so Jul 31 is always day 365
+            assert.strictEqual(day.dayOfSeason, index < 212 || isLeapSeason(year) ? index : index + 1);
+            assert.ok(day.snowDepth >= 0);
+        });
+        // Profile has no storms in Aug/Sep, so depth only starts building in October
+        assert.strictEqual(days[60].cumulativeSnowfall, 0);
+    }), { numRuns: 30 });
+});
+
+test('no-snow scenario produces an empty season', () => {
+    const output = generateHistoricalData({ seed: 3, scenario: 'no-snow', firstYear: 2015, lastYear: 2016 });
+
+    assert.strictEqual(output.seasons.length, 2);
+    for (const season of output.seasons) {
+        assert.strictEqual(season.totalSnowfall, 0);
+        assert.ok(season.dailyData.every(day => day.snowDepth === 0));
+    }
+});
+
+test('leap-year scenario generates seasons containing Feb 29', () => {
+    const days = generateSeasonData(2021, { scenario: 'leap-year' });
+    assert.strictEqual(days[0].date, '2023-08-01');
+    assert.strictEqual(days.length, 366);
+    assert.ok(days.some(day => day.date === '2024-02-29'));
+
+    const output = generateHistoricalData({ scenario: 'leap-year', firstYear: 2014, lastYear: 2023 });
+    assert.deepStrictEqual(output.seasons.map(season => season.season), ['2015-16', '2019-20', '2023-24']);
+});
+
+test('gaps scenario drops runs of days but keeps the season span', () => {
+    const typical = generateSeasonDepths(2019, { seed: 11 }).days;
+    const gappy = generateSeasonDepths(2019, { seed: 11, scenario: 'gaps' }).days;
+
+    assert.ok(gappy.length < typical.length);
+    assert.strictEqual(gappy[0].date, typical[0].date);
+    assert.strictEqual(gappy[gappy.length - 1].date, typical[typical.length - 1].date);
+    // Remaining days keep the readings of the uninterrupted season
+    const byDate = new Map(typical.map(day => [day.date, day.snowDepth]));
+    assert.ok(gappy.every(day => byDate.get(day.date) === day.snowDepth));
+
+    const season = generateSeasonData(2019, { seed: 11, scenario: 'gaps' });
+    assert.ok(season.some((day, index) => index > 0 && day.dayOfSeason - season[index - 1].dayOfSeason > 1));
+});
+
+test('climate profiles can be loaded by name or validated from JSON', () => {
+    assert.strictEqual(loadClimateProfile('winter-park'), WINTER_PARK_PROFILE);
+    assert.throws(() => loadClimateProfile('nowhere'), /Unknown climate profile "nowhere"/);
+    assert.throws(() => loadClimateProfile(path.join(__dirname, 'fixtures', 'snotel-335-report.csv')), /Unknown climate profile/);
+});
+
+test('parseCliArgs reads simulation options', () => {
+    const options = parseCliArgs(['--simulate', '--seed', '42', '--scenario', 'gaps', '--first-season', '2010']);
+    assert.deepStrictEqual(options.generator, { seed: 42, scenario: 'gaps', firstYear: 2010 });
+    assert.throws(() => parseCliArgs(['--simulate', '--scenario', 'blizzard']), /Invalid --scenario "blizzard"/);
+    assert.throws(() => parseCliArgs(['--simulate', '--seed', '1.5']), /Invalid --seed/);
+});